@@ -4,7 +4,7 @@
 */
 
 // Global libraries
-// import { randomBytes } from 'crypto'
+import { randomBytes } from 'crypto'
 import { createRequire } from 'module'
 import BCHWallet from 'minimal-slp-wallet'
 import RetryQueue from '@chris.troutner/retry-queue'
@@ -57,30 +57,43 @@ export function createBCHSigner (privateKeyWIF, paymentAmountSats) {
  * @param {Object} signer - BCH signer object from createBCHSigner
  * @param {Object} paymentRequirements - Payment requirements from 402 response
  * @param {number} x402Version - x402 protocol version (default: 1)
+ * @param {string} txid - TXID of the prepaid UTXO to debit
+ * @param {number} vout - Output index of the prepaid UTXO
+ * @param {string} account - Address of the account to debit instead of a
+ *   single UTXO. When txid and vout are also given, that UTXO tops up the
+ *   account first.
  * @returns {Promise<string>} JSON string of the payment header
  */
-export async function createPaymentHeader (signer, paymentRequirements, x402Version = 1, txid, vout) {
+export async function createPaymentHeader (signer, paymentRequirements, x402Version = 1, txid, vout, account) {
   // Instantiate minimal-slp-wallet
   const bchWallet = new BCHWallet()
   await bchWallet.walletInfoPromise
 
   // Generate random 32-byte nonce
-  // const nonceBytes = randomBytes(32)
-  // const nonce = '0x' + nonceBytes.toString('hex')
+  const nonceBytes = randomBytes(32)
+  const nonce = '0x' + nonceBytes.toString('hex')
 
   // Calculate timestamps
-  // const now = Math.floor(Date.now() / 1000)
-  // const validAfter = String(now - 60) // 60 seconds before current time
-  // const validBefore = String(now + (paymentRequirements.maxTimeoutSeconds || 60))
+  const now = Math.floor(Date.now() / 1000)
+  const validAfter = String(now - 60) // 60 seconds before current time
+  const validBefore = String(now + (paymentRequirements.maxTimeoutSeconds || 60))
 
-  // Build authorization object
+  // Build authorization object. The payer signs the amount, recipient and
+  // the resource it pays for, so the Facilitator can not be asked to debit
+  // anything else.
   const authorization = {
     from: signer.address,
     to: paymentRequirements.payTo,
     value: paymentRequirements.minAmountRequired,
     txid,
     vout,
-    amount: signer.paymentAmountSats // Optional
+    account,
+    amount: signer.paymentAmountSats, // Optional
+    resource: paymentRequirements.resource,
+    method: paymentRequirements.outputSchema?.input?.method || 'GET',
+    nonce,
+    validAfter,
+    validBefore
   }
 
   // Create message to sign (JSON stringified authorization)
@@ -106,6 +119,75 @@ export async function createPaymentHeader (signer, paymentRequirements, x402Vers
   return JSON.stringify(paymentHeader)
 }
 
+/**
+ * Creates a signed request to refund the unused balance of a prepaid UTXO.
+ * POST the returned object to the Facilitator's /facilitator/refund endpoint.
+ * The signer must be the address that funded the UTXO.
+ *
+ * @param {Object} signer - BCH signer object from createBCHSigner
+ * @param {string} txid - TXID of the prepaid UTXO (default: the current UTXO)
+ * @param {number} vout - Output index of the prepaid UTXO
+ * @returns {Object} Object with refundRequest and signature properties
+ */
+export function createRefundRequest (signer, txid = currentUtxo.txid, vout = currentUtxo.vout) {
+  if (!txid || vout === null || vout === undefined) {
+    throw new Error('txid and vout of the prepaid UTXO are required')
+  }
+
+  const refundRequest = {
+    from: signer.address,
+    txid,
+    vout,
+    timestamp: String(Math.floor(Date.now() / 1000))
+  }
+
+  const signature = signer.signMessage(JSON.stringify(refundRequest))
+
+  return {
+    refundRequest,
+    signature
+  }
+}
+
+/**
+ * Creates the signed headers for the Facilitator's
+ * GET /facilitator/account/:address endpoint, which lists the balances and
+ * recent debits of every UTXO funded by the signer.
+ *
+ * @param {Object} signer - BCH signer object from createBCHSigner
+ * @returns {Object} Headers to send with the request
+ */
+export function createAccountRequest (signer) {
+  const timestamp = String(Math.floor(Date.now() / 1000))
+
+  const signature = signer.signMessage(
+    JSON.stringify({ address: signer.address, timestamp })
+  )
+
+  return {
+    'x-account-timestamp': timestamp,
+    'x-account-signature': signature
+  }
+}
+
+/**
+ * Decodes the X-PAYMENT-RESPONSE header that the resource server returns
+ * with a paid response.
+ *
+ * @param {string} header - Base64 encoded header value
+ * @returns {Object|null} The settlement result with its receipt, or null if
+ *   the header is missing or malformed
+ */
+export function decodePaymentResponse (header) {
+  if (!header) return null
+
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString('utf8'))
+  } catch (err) {
+    return null
+  }
+}
+
 /**
  * Selects payment requirements from the accepts array.
  * Filters for BCH network and exact scheme.
@@ -127,7 +209,17 @@ function selectPaymentRequirements (accepts) {
   return bchRequirements[0]
 }
 
-async function sendPayment (signer, paymentRequirements) {
+/**
+ * Sends a new prepaid UTXO to the payTo address.
+ *
+ * @param {Object} signer - BCH signer object from createBCHSigner
+ * @param {Object} paymentRequirements - Payment requirements from 402 response
+ * @param {Object} wallet - Optional wallet to pay with. It only needs the
+ *   send(receivers) method of minimal-slp-wallet. Defaults to a wallet built
+ *   from the signer's private key.
+ * @returns {Promise<Object>} The txid, vout and satsSent of the new UTXO
+ */
+async function sendPayment (signer, paymentRequirements, wallet) {
   try {
     const wif = signer.wif
 
@@ -136,9 +228,12 @@ async function sendPayment (signer, paymentRequirements) {
     // minAmountRequired from the payment requirements.
     const paymentAmountSats = signer.paymentAmountSats
 
-    // Initialize the wallet with the private key.
-    const bchWallet = new BCHWallet(wif)
-    await bchWallet.initialize()
+    // Pay with the given wallet, or initialize one with the private key.
+    let bchWallet = wallet
+    if (!bchWallet) {
+      bchWallet = new BCHWallet(wif)
+      await bchWallet.initialize()
+    }
 
     const retryQueue = new RetryQueue()
 
@@ -170,9 +265,15 @@ async function sendPayment (signer, paymentRequirements) {
  *
  * @param {Object} axiosInstance - Axios instance to add interceptor to
  * @param {Object} signer - BCH signer object from createBCHSigner
+ * @param {Object} options - Set useAccount to debit the signer's account,
+ *   which spans every UTXO it funded, instead of one UTXO at a time. Set
+ *   wallet to pay new UTXOs with it instead of the signer's key, e.g. the
+ *   wallet of a mock chain in tests.
  * @returns {Object} Modified axios instance
  */
-export function withPaymentInterceptor (axiosInstance, signer) {
+export function withPaymentInterceptor (axiosInstance, signer, options = {}) {
+  const account = options.useAccount ? signer.address : undefined
+
   axiosInstance.interceptors.response.use(
     response => response,
     async (error) => {
@@ -206,14 +307,19 @@ export function withPaymentInterceptor (axiosInstance, signer) {
         let txid = null
         let vout = null
         let satsLeft = null
+        let isNewUtxo = false
         if (currentUtxo.txid === null || currentUtxo.satsLeft < cost) {
           console.log('Sending a new payment to the server.')
 
           // Send a new payment to the server.
-          const payment = await sendPayment(signer, paymentRequirements)
+          const payment = await sendPayment(signer, paymentRequirements, options.wallet)
           txid = payment.txid
           vout = payment.vout
           satsLeft = payment.satsSent - cost
+          isNewUtxo = true
+
+          // The balance left on older UTXOs is still spent from the account.
+          if (account && currentUtxo.satsLeft) satsLeft += currentUtxo.satsLeft
         } else {
           console.log('Using the current UTXO being debited against.')
 
@@ -228,13 +334,16 @@ export function withPaymentInterceptor (axiosInstance, signer) {
         currentUtxo.vout = vout
         currentUtxo.satsLeft = satsLeft
 
-        // Create payment header
+        // Create payment header. In account mode, the UTXO is only named when
+        // it is new, so the Facilitator adds it to the account.
+        const nameUtxo = !account || isNewUtxo
         const paymentHeader = await createPaymentHeader(
           signer,
           paymentRequirements,
           x402Version || 1,
-          txid,
-          vout
+          nameUtxo ? txid : undefined,
+          nameUtxo ? vout : undefined,
+          account
         )
 
         // Mark request as retry to prevent loops
@@ -245,7 +354,22 @@ export function withPaymentInterceptor (axiosInstance, signer) {
         originalConfig.headers['Access-Control-Expose-Headers'] = 'X-PAYMENT-RESPONSE'
 
         // Retry the original request with payment header
-        const secondResponse = await axiosInstance.request(originalConfig)
+        let secondResponse
+        try {
+          secondResponse = await axiosInstance.request(originalConfig)
+        } catch (err) {
+          // A call that fails is not charged.
+          currentUtxo.satsLeft += cost
+          throw err
+        }
+
+        // Follow the balance reported by the settlement receipt.
+        const paymentResponse = decodePaymentResponse(secondResponse.headers['x-payment-response'])
+        const remainingBalanceSat = paymentResponse?.receipt?.remainingBalanceSat
+        if (remainingBalanceSat !== undefined) {
+          currentUtxo.satsLeft = Number(remainingBalanceSat)
+        }
+
         return secondResponse
       } catch (paymentError) {
         // If payment creation fails, reject with the original error
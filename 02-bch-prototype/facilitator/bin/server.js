@@ -32,7 +32,10 @@ class Server {
       const app = express()
 
       // MIDDLEWARE START
-      app.use(express.json())
+      // Keep the raw body, so HMAC signatures of resource servers can be checked.
+      app.use(express.json({
+        verify: (req, res, buf) => { req.rawBody = buf }
+      }))
       app.use(express.urlencoded({ extended: true }))
       app.use(cors({ origin: '*' }))
 
@@ -75,7 +78,31 @@ class Server {
           endpoints: {
             supported: 'GET /facilitator/supported',
             verify: 'POST /facilitator/verify',
-            settle: 'POST /facilitator/settle'
+            settle: 'POST /facilitator/settle',
+            release: 'POST /facilitator/release',
+            delegate: 'POST /facilitator/delegate',
+            refund: 'POST /facilitator/refund',
+            balance: 'GET /facilitator/balance/:txid/:vout',
+            account: 'GET /facilitator/account/:address',
+            webhooks: {
+              list: 'GET /webhooks',
+              create: 'POST /webhooks',
+              remove: 'DELETE /webhooks/:webhookId',
+              deliveries: 'GET /webhooks/deliveries'
+            },
+            admin: {
+              utxos: 'GET /admin/utxos',
+              utxo: 'GET /admin/utxos/:utxoId',
+              adjust: 'POST /admin/utxos/:utxoId/adjust',
+              freeze: 'POST /admin/utxos/:utxoId/freeze',
+              unfreeze: 'POST /admin/utxos/:utxoId/unfreeze',
+              ledger: 'GET /admin/utxos/:utxoId/ledger',
+              checkLedger: 'POST /admin/utxos/:utxoId/ledger/check',
+              checkAllLedgers: 'POST /admin/ledger/check',
+              blocklist: 'GET|POST /admin/blocklist',
+              unblock: 'DELETE /admin/blocklist/:address',
+              audit: 'GET /admin/audit'
+            }
           }
         })
       })
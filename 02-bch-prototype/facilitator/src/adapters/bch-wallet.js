@@ -1,5 +1,8 @@
 /*
   BCH Wallet adapter for Bitcoin Cash operations
+
+  Chain data is read through the chain backend chosen by CHAIN_BACKEND. See
+  ./chain/index.js for the interface.
 */
 
 // Global libraries
@@ -8,38 +11,212 @@ import RetryQueue from '@chris.troutner/retry-queue'
 
 // Local libraries
 import config from '../config/index.js'
+import { CHAIN_BACKENDS } from './chain/index.js'
+
+// Outputs smaller than this are rejected by the network.
+export const DUST_LIMIT_SAT = 546
 
 class BCHWalletAdapter {
   constructor (localConfig = {}) {
+    // Connection settings for bch-api, shared by all wallet instances.
+    this.walletOptions = {}
+    if (localConfig.restURL) this.walletOptions.restURL = localConfig.restURL
+    if (localConfig.apiToken) this.walletOptions.apiToken = localConfig.apiToken
+    if (localConfig.authPass) this.walletOptions.authPass = localConfig.authPass
+
     // Encapsulate dependencies
-    this.msWallet = new MinimalBCHWallet()
+    this.msWallet = new MinimalBCHWallet(undefined, this.walletOptions)
     this.bchjs = this.msWallet.bchjs
     this.config = config
     this.retryQueue = new RetryQueue()
 
+    // The backend used to look up TXs and broadcast them.
+    this.chainBackend = localConfig.chainBackend || config.chainBackend
+    const ChainBackend = CHAIN_BACKENDS[this.chainBackend]
+    if (!ChainBackend) {
+      throw new Error(
+        `Unknown chain backend '${this.chainBackend}'. Use one of: ${Object.keys(CHAIN_BACKENDS).join(', ')}`
+      )
+    }
+    this.chain = new ChainBackend({
+      ...this.walletOptions,
+      electrumUrl: localConfig.electrumUrl || config.electrumUrl,
+      electrumTimeoutMs: localConfig.electrumTimeoutMs || config.electrumTimeoutMs
+    })
+
+    // Acceptance policy for prepaid UTXOs. A UTXO with fewer than
+    // minConfirmations is only accepted if its value is within the zero-conf
+    // cap and, when enabled, it did not trigger a Double Spend Proof.
+    this.minConfirmations = localConfig.minConfirmations ?? config.minConfirmations
+    this.zeroConfMaxSat = localConfig.zeroConfMaxSat ?? config.zeroConfMaxSat
+    this.checkDsProof = localConfig.checkDsProof ?? config.checkDsProof
+
+    // The wallet that controls the server address. It is only needed to sweep
+    // consumed UTXOs, so it is created on demand.
+    this.bchPrivateKey = localConfig.bchPrivateKey
+
+    // Placeholders
+    this.wallet = null
+
     // Bind 'this' object to all class methods
     this.validateUtxo = this.validateUtxo.bind(this)
+    this.hasDoubleSpendProof = this.hasDoubleSpendProof.bind(this)
+    this.isUtxoUnspent = this.isUtxoUnspent.bind(this)
+    this.getFunderAddresses = this.getFunderAddresses.bind(this)
+    this.extractFunderAddresses = this.extractFunderAddresses.bind(this)
+    this.isWalletInitialized = this.isWalletInitialized.bind(this)
+    this.initializeWallet = this.initializeWallet.bind(this)
+    this.getWallet = this.getWallet.bind(this)
+    this.getFacilitatorAddress = this.getFacilitatorAddress.bind(this)
+    this.getMinConfirmations = this.getMinConfirmations.bind(this)
+    this.sweepUtxo = this.sweepUtxo.bind(this)
+    this.refundUtxo = this.refundUtxo.bind(this)
+    this.spendUtxo = this.spendUtxo.bind(this)
   }
 
-  // Validate that a UTXO payment to the server was made.
-  async validateUtxo ({ txid, vout }) {
-    try {
-      // Ensure the minimal-slp-wallet is ready
-      await this.msWallet.walletInfoPromise
+  // Returns true if the wallet for the server address has been initialized.
+  isWalletInitialized () {
+    return !!this.wallet
+  }
+
+  // Create the wallet for the server address from BCH_PRIVATE_KEY. Every TX
+  // it signs spends a UTXO that is already known, so the UTXOs of the wallet
+  // are not downloaded, and no chain lookup is needed.
+  async initializeWallet () {
+    if (!this.bchPrivateKey) {
+      throw new Error('BCH_PRIVATE_KEY must be set to use the facilitator wallet.')
+    }
+
+    const wallet = new MinimalBCHWallet(this.bchPrivateKey, this.walletOptions)
+    await wallet.walletInfoPromise
+
+    this.wallet = wallet
+
+    return true
+  }
+
+  getWallet () {
+    if (!this.wallet) {
+      throw new Error('Wallet has not been initialized. Call initializeWallet() first.')
+    }
+
+    return this.wallet
+  }
+
+  // The cash address controlled by BCH_PRIVATE_KEY.
+  getFacilitatorAddress () {
+    return this.getWallet().walletInfo.cashAddress
+  }
+
+  getMinConfirmations () {
+    return this.minConfirmations
+  }
+
+  // Spend a single UTXO held by the server address into toAddress, minus the
+  // mining fee. Returns the TXID of the sweep transaction.
+  async sweepUtxo ({ txid, vout, valueSat, toAddress }) {
+    return this.spendUtxo({ txid, vout, valueSat, outputs: [], changeAddress: toAddress })
+  }
+
+  // Refund part of a UTXO held by the server address to refundAddress. The
+  // rest of the UTXO, minus the mining fee, goes to changeAddress. Returns
+  // the TXID of the refund transaction.
+  async refundUtxo ({ txid, vout, valueSat, refundAddress, refundSat, changeAddress }) {
+    return this.spendUtxo({
+      txid,
+      vout,
+      valueSat,
+      outputs: [{ address: refundAddress, amountSat: refundSat }],
+      changeAddress
+    })
+  }
+
+  // Build, sign and broadcast a TX that spends a single UTXO held by the
+  // server address. Whatever is left after the outputs and the mining fee is
+  // sent to changeAddress, or left to miners if it is below the dust limit.
+  async spendUtxo ({ txid, vout, valueSat, outputs, changeAddress }) {
+    const wallet = this.getWallet()
+    const bchjs = wallet.bchjs
+
+    if (this.getFacilitatorAddress() !== this.config.serverBchAddress) {
+      throw new Error('BCH_PRIVATE_KEY does not control the server BCH address.')
+    }
+
+    const byteCount = bchjs.BitcoinCash.getByteCount(
+      { P2PKH: 1 },
+      { P2PKH: outputs.length + 1 }
+    )
+    const feeSat = Math.ceil(byteCount * wallet.fee)
+    const outputsSat = outputs.reduce((sum, x) => sum + Number(x.amountSat), 0)
+    const changeSat = Number(valueSat) - outputsSat - feeSat
+
+    if (changeSat < 0) {
+      throw new Error(`UTXO value of ${valueSat} sats can not cover the outputs and mining fee.`)
+    }
+
+    const transactionBuilder = new bchjs.TransactionBuilder()
+    transactionBuilder.addInput(txid, vout)
 
+    // Outputs below the dust limit are rejected by the network.
+    for (const output of outputs) {
+      if (Number(output.amountSat) < DUST_LIMIT_SAT) {
+        throw new Error(`Output of ${output.amountSat} sats is below the dust limit.`)
+      }
+
+      transactionBuilder.addOutput(
+        bchjs.Address.toLegacyAddress(output.address),
+        Number(output.amountSat)
+      )
+    }
+
+    if (changeSat >= DUST_LIMIT_SAT) {
+      transactionBuilder.addOutput(bchjs.Address.toLegacyAddress(changeAddress), changeSat)
+    } else if (!outputs.length) {
+      throw new Error(`UTXO value of ${valueSat} sats is too small to sweep.`)
+    }
+
+    const keyPair = bchjs.ECPair.fromWIF(this.bchPrivateKey)
+    let redeemScript
+    transactionBuilder.sign(
+      0,
+      keyPair,
+      redeemScript,
+      transactionBuilder.hashTypes.SIGHASH_ALL,
+      Number(valueSat)
+    )
+
+    const hex = transactionBuilder.build().toHex()
+    const spendTxid = await this.retryQueue.addToQueue(this.chain.broadcast, hex)
+
+    return spendTxid
+  }
+
+  // Validate that a UTXO payment to the payTo address was made, and that it
+  // meets the acceptance policy for confirmations and double spends. payTo
+  // defaults to the server's address.
+  async validateUtxo ({ txid, vout, payTo = this.config.serverBchAddress }) {
+    try {
       // Get the TX details
-      // const txData = await this.msWallet.getTxData([txid])
-      const txData = await this.retryQueue.addToQueue(this.msWallet.getTxData, [txid])
-      console.log('txData: ', JSON.stringify(txData, null, 2))
+      const tx = await this.retryQueue.addToQueue(this.chain.getTransaction, txid)
+      console.log('tx: ', JSON.stringify(tx, null, 2))
 
       // Extract the sats sent and reciever address from the UTXO.
-      const voutData = txData[0]?.vout?.[vout]
-      const receiverAddress = voutData?.scriptPubKey?.addresses?.[0]
-      const valueBch = Number(voutData?.value)
-      const valueSats = Math.round(valueBch * 1e8)
+      const output = tx?.outputs?.[vout]
+      if (!output) {
+        return {
+          isValid: false,
+          invalidReason: 'utxo_not_found',
+          utxoAmountSat: null
+        }
+      }
+
+      const receiverAddress = output.address
+      const valueSats = output.valueSat
+      const confirmations = tx.confirmations
+      const isConfirmed = confirmations >= this.minConfirmations
 
-      // Verify the receiver address is the server's address.
-      if (receiverAddress !== this.config.serverBchAddress) {
+      // Verify the receiver address is the payTo address.
+      if (receiverAddress !== payTo) {
         return {
           isValid: false,
           invalidReason: 'invalid_receiver_address',
@@ -47,14 +224,45 @@ class BCHWalletAdapter {
         }
       }
 
-      // TODO: Verify the payment did not trigger a Double Spend Proof.
-      // This call is only available in bch-js and requires a connection to bch-api.
+      // Unconfirmed payments are only accepted up to the zero-conf cap.
+      if (!isConfirmed) {
+        if (!this.zeroConfMaxSat) {
+          return {
+            isValid: false,
+            invalidReason: 'insufficient_confirmations',
+            utxoAmountSat: valueSats,
+            confirmations
+          }
+        }
+
+        if (valueSats > this.zeroConfMaxSat) {
+          return {
+            isValid: false,
+            invalidReason: 'zero_conf_amount_exceeds_limit',
+            utxoAmountSat: valueSats,
+            confirmations
+          }
+        }
+
+        // Verify the payment did not trigger a Double Spend Proof.
+        if (this.checkDsProof && await this.hasDoubleSpendProof(txid)) {
+          return {
+            isValid: false,
+            invalidReason: 'double_spend_proof_detected',
+            utxoAmountSat: valueSats,
+            confirmations
+          }
+        }
+      }
 
       return {
         isValid: true,
         invalidReason: 'valid_utxo',
-        utxoAmountSat: valueSats
-
+        utxoAmountSat: valueSats,
+        receiverAddress,
+        funderAddresses: this.extractFunderAddresses(tx),
+        confirmations,
+        isConfirmed
       }
     } catch (err) {
       console.error('Error in BCHWalletAdapter.validateUtxo()', err)
@@ -66,6 +274,35 @@ class BCHWalletAdapter {
       }
     }
   }
+
+  // Get the addresses that funded a TX, from the addresses of its inputs.
+  async getFunderAddresses ({ txid }) {
+    const tx = await this.retryQueue.addToQueue(this.chain.getTransaction, txid)
+
+    return this.extractFunderAddresses(tx)
+  }
+
+  // Returns the unique input addresses of a TX returned by the chain backend.
+  extractFunderAddresses (tx) {
+    const addresses = (tx?.inputs || [])
+      .map(input => input.address)
+      .filter(Boolean)
+
+    return [...new Set(addresses)]
+  }
+
+  // Returns true if the TX generated a Double Spend Proof.
+  async hasDoubleSpendProof (txid) {
+    return this.retryQueue.addToQueue(this.chain.hasDoubleSpendProof, txid)
+  }
+
+  // Returns true if the UTXO has not been spent on chain or in the mempool.
+  async isUtxoUnspent ({ txid, vout }) {
+    return this.retryQueue.addToQueue(
+      (utxo) => this.chain.isOutputUnspent(utxo.txid, utxo.vout),
+      { txid, vout }
+    )
+  }
 }
 
 export default BCHWalletAdapter
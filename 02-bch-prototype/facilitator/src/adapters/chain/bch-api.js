@@ -0,0 +1,112 @@
+/*
+  Chain backend that uses minimal-slp-wallet and bch-js, connected to the
+  hosted bch-api or a self-hosted copy of it.
+*/
+
+// Global libraries
+import MinimalBCHWallet from 'minimal-slp-wallet'
+
+// bch-api passes on the error of the full node for a TXID it does not know.
+const TX_NOT_FOUND_PATTERN = /no such mempool or blockchain transaction|not found/i
+
+class BchApiChainBackend {
+  constructor (localConfig = {}) {
+    // Connection settings for bch-api.
+    this.walletOptions = {}
+    if (localConfig.restURL) this.walletOptions.restURL = localConfig.restURL
+    if (localConfig.apiToken) this.walletOptions.apiToken = localConfig.apiToken
+    if (localConfig.authPass) this.walletOptions.authPass = localConfig.authPass
+
+    // Encapsulate dependencies
+    this.msWallet = new MinimalBCHWallet(undefined, this.walletOptions)
+    this.bchjs = this.msWallet.bchjs
+
+    // Bind 'this' object to all class methods
+    this.getTransaction = this.getTransaction.bind(this)
+    this.getConfirmations = this.getConfirmations.bind(this)
+    this.isOutputUnspent = this.isOutputUnspent.bind(this)
+    this.broadcast = this.broadcast.bind(this)
+    this.getAddressHistory = this.getAddressHistory.bind(this)
+    this.hasDoubleSpendProof = this.hasDoubleSpendProof.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  // Returns the TX, or null if the node does not know it.
+  async getTransaction (txid) {
+    // Ensure the minimal-slp-wallet is ready
+    await this.msWallet.walletInfoPromise
+
+    let txData
+    try {
+      txData = await this.msWallet.getTxData([txid])
+    } catch (err) {
+      if (TX_NOT_FOUND_PATTERN.test(getErrorMessage(err))) return null
+      throw err
+    }
+    const tx = txData?.[0]
+    if (!tx) return null
+
+    return {
+      txid: tx.txid || txid,
+      confirmations: Number(tx.confirmations) || 0,
+      inputs: (tx.vin || []).map(input => ({
+        txid: input.txid,
+        vout: input.vout,
+        address: input.address || null
+      })),
+      outputs: (tx.vout || []).map((output, i) => ({
+        vout: output.n ?? i,
+        address: output.scriptPubKey?.addresses?.[0] || null,
+        valueSat: Math.round(Number(output.value) * 1e8)
+      }))
+    }
+  }
+
+  async getConfirmations (txid) {
+    const tx = await this.getTransaction(txid)
+
+    return tx ? tx.confirmations : 0
+  }
+
+  // getTxOut returns null for an output that is spent or does not exist.
+  async isOutputUnspent (txid, vout) {
+    const txOut = await this.bchjs.Blockchain.getTxOut(txid, vout, true)
+
+    return !!txOut
+  }
+
+  async broadcast (hex) {
+    await this.msWallet.walletInfoPromise
+
+    return this.msWallet.broadcast({ hex })
+  }
+
+  async getAddressHistory (address) {
+    await this.msWallet.walletInfoPromise
+
+    const transactions = await this.msWallet.getTransactions(address)
+
+    return transactions.map(x => ({ txid: x.tx_hash, height: x.height }))
+  }
+
+  // This call requires a connection to bch-api.
+  async hasDoubleSpendProof (txid) {
+    const proof = await this.bchjs.DSProof.getDSProof(txid)
+
+    return !!proof
+  }
+
+  async close () {
+    return true
+  }
+}
+
+// bch-js throws an Error, or the body of the bch-api response when that has
+// no error field.
+function getErrorMessage (err) {
+  if (typeof err === 'string') return err
+
+  return err?.message || err?.error || ''
+}
+
+export default BchApiChainBackend
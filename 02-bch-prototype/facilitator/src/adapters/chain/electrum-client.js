@@ -0,0 +1,185 @@
+/*
+  Minimal client for the Electrum protocol, as served by Fulcrum. Requests
+  are JSON-RPC 2.0 messages, one per line, over a TCP or TLS socket.
+
+  The client connects on the first request, and reconnects on the next
+  request if the server closes the connection.
+*/
+
+// Global libraries
+import net from 'net'
+import tls from 'tls'
+
+// Protocol version this client speaks. Fulcrum supports 1.4 and newer.
+export const ELECTRUM_PROTOCOL_VERSION = '1.4'
+
+class ElectrumClient {
+  constructor (localConfig = {}) {
+    // URL of the server, as tcp://host:port or tls://host:port. ssl:// is
+    // accepted as an alias of tls://.
+    const { protocol, hostname, port } = new URL(localConfig.url || '')
+    if (!['tcp:', 'tls:', 'ssl:'].includes(protocol) || !hostname || !port) {
+      throw new Error(
+        'The Electrum server URL must look like tls://host:port or tcp://host:port.'
+      )
+    }
+    this.host = hostname
+    this.port = Number(port)
+    this.useTls = protocol !== 'tcp:'
+    this.timeoutMs = localConfig.timeoutMs || 30000
+    this.clientName = localConfig.clientName || 'bch-facilitator'
+
+    // Encapsulate dependencies
+    this.net = net
+    this.tls = tls
+
+    // State
+    this.socket = null
+    this.connecting = null
+    this.buffer = ''
+    this.nextId = 1
+    this.pending = new Map()
+
+    // Bind 'this' object to all class methods
+    this.connect = this.connect.bind(this)
+    this.request = this.request.bind(this)
+    this.send = this.send.bind(this)
+    this.handleData = this.handleData.bind(this)
+    this.handleClose = this.handleClose.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  // Open the socket and negotiate the protocol version. Concurrent callers
+  // share the same connection attempt.
+  connect () {
+    if (this.socket) return Promise.resolve(this.socket)
+    if (this.connecting) return this.connecting
+
+    this.connecting = new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port }
+      const socket = this.useTls
+        ? this.tls.connect({ ...options, servername: this.host })
+        : this.net.connect(options)
+
+      const onConnectError = (err) => {
+        socket.destroy()
+        reject(err)
+      }
+
+      socket.setEncoding('utf8')
+      socket.setTimeout(this.timeoutMs, () => {
+        socket.destroy(new Error(`Timed out connecting to Electrum server ${this.host}:${this.port}`))
+      })
+      socket.once('error', onConnectError)
+      socket.once(this.useTls ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', onConnectError)
+        socket.setTimeout(0)
+
+        socket.on('data', this.handleData)
+        socket.on('error', err => this.handleClose(err))
+        socket.on('close', () => this.handleClose())
+
+        this.socket = socket
+        resolve(socket)
+      })
+    })
+      .then(async (socket) => {
+        await this.send('server.version', [this.clientName, ELECTRUM_PROTOCOL_VERSION])
+        return socket
+      })
+      .finally(() => {
+        this.connecting = null
+      })
+
+    return this.connecting
+  }
+
+  /**
+   * Calls a method on the Electrum server.
+   *
+   * @param method Name of the method, e.g. 'blockchain.transaction.get'
+   * @param params Array of parameters
+   * @returns The result of the call. Throws an error that carries the code
+   * returned by the server if the call failed.
+   */
+  async request (method, params = []) {
+    await this.connect()
+
+    return this.send(method, params)
+  }
+
+  // Write a request to the open socket and wait for its response.
+  send (method, params) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++
+
+      const timer = setTimeout(() => {
+        this.pending.delete(id)
+        reject(new Error(`Electrum request ${method} timed out`))
+      }, this.timeoutMs)
+
+      this.pending.set(id, { resolve, reject, timer })
+      this.socket.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`)
+    })
+  }
+
+  // Responses are separated by newlines, and may arrive split across
+  // several chunks.
+  handleData (chunk) {
+    this.buffer += chunk
+
+    let newline = this.buffer.indexOf('\n')
+    while (newline !== -1) {
+      const line = this.buffer.slice(0, newline).trim()
+      this.buffer = this.buffer.slice(newline + 1)
+      newline = this.buffer.indexOf('\n')
+
+      if (!line) continue
+
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch (err) {
+        continue
+      }
+
+      // Notifications of subscriptions have no ID, and are not used.
+      const request = this.pending.get(message.id)
+      if (!request) continue
+
+      this.pending.delete(message.id)
+      clearTimeout(request.timer)
+
+      if (message.error) {
+        const err = new Error(message.error.message || JSON.stringify(message.error))
+        err.code = message.error.code
+        request.reject(err)
+      } else {
+        request.resolve(message.result)
+      }
+    }
+  }
+
+  // Fail every request still waiting on a closed socket.
+  handleClose (err) {
+    if (this.socket) {
+      this.socket.destroy()
+      this.socket = null
+    }
+    this.buffer = ''
+
+    for (const [id, request] of this.pending) {
+      clearTimeout(request.timer)
+      request.reject(err || new Error('Connection to Electrum server closed'))
+      this.pending.delete(id)
+    }
+  }
+
+  async close () {
+    this.handleClose()
+
+    return true
+  }
+}
+
+export default ElectrumClient
@@ -0,0 +1,134 @@
+/*
+  Chain backend that talks the Electrum protocol to a Fulcrum server. Running
+  the facilitator against its own Fulcrum node removes the dependency on a
+  third-party REST API.
+*/
+
+// Local libraries
+import ElectrumClient from './electrum-client.js'
+
+// Error returned by the node for a TX it does not know.
+const TX_NOT_FOUND_PATTERN = /no such mempool or blockchain transaction|not found/i
+
+class ElectrumChainBackend {
+  constructor (localConfig = {}) {
+    if (!localConfig.electrumUrl) {
+      throw new Error('ELECTRUM_URL must be set to use the electrum chain backend.')
+    }
+
+    // Encapsulate dependencies
+    this.client = new ElectrumClient({
+      url: localConfig.electrumUrl,
+      timeoutMs: localConfig.electrumTimeoutMs
+    })
+
+    // Bind 'this' object to all class methods
+    this.getRawTransaction = this.getRawTransaction.bind(this)
+    this.getTransaction = this.getTransaction.bind(this)
+    this.getConfirmations = this.getConfirmations.bind(this)
+    this.isOutputUnspent = this.isOutputUnspent.bind(this)
+    this.broadcast = this.broadcast.bind(this)
+    this.getAddressHistory = this.getAddressHistory.bind(this)
+    this.hasDoubleSpendProof = this.hasDoubleSpendProof.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  // Returns the TX decoded by the node, or null if the node does not know it.
+  async getRawTransaction (txid) {
+    try {
+      return await this.client.request('blockchain.transaction.get', [txid, true])
+    } catch (err) {
+      if (TX_NOT_FOUND_PATTERN.test(err.message)) return null
+      throw err
+    }
+  }
+
+  async getTransaction (txid) {
+    const tx = await this.getRawTransaction(txid)
+    if (!tx) return null
+
+    // The decoded TX does not include the addresses of its inputs. They are
+    // read from the outputs spent by each input.
+    const parentTxs = new Map()
+    const inputs = []
+    for (const input of tx.vin || []) {
+      // Coinbase inputs do not spend an output.
+      if (!input.txid) {
+        inputs.push({ txid: null, vout: null, address: null })
+        continue
+      }
+
+      if (!parentTxs.has(input.txid)) {
+        parentTxs.set(input.txid, await this.getRawTransaction(input.txid))
+      }
+      const spentOutput = parentTxs.get(input.txid)?.vout?.[input.vout]
+
+      inputs.push({
+        txid: input.txid,
+        vout: input.vout,
+        address: getOutputAddress(spentOutput)
+      })
+    }
+
+    return {
+      txid: tx.txid || txid,
+      confirmations: Number(tx.confirmations) || 0,
+      inputs,
+      outputs: (tx.vout || []).map((output, i) => ({
+        vout: output.n ?? i,
+        address: getOutputAddress(output),
+        valueSat: Math.round(Number(output.value) * 1e8)
+      }))
+    }
+  }
+
+  async getConfirmations (txid) {
+    const tx = await this.getRawTransaction(txid)
+
+    return tx ? Number(tx.confirmations) || 0 : 0
+  }
+
+  // Fulcrum returns null, or an error on older versions, for an output that
+  // is spent or does not exist.
+  async isOutputUnspent (txid, vout) {
+    try {
+      const info = await this.client.request('blockchain.utxo.get_info', [txid, vout])
+
+      return !!info
+    } catch (err) {
+      if (TX_NOT_FOUND_PATTERN.test(err.message)) return false
+      throw err
+    }
+  }
+
+  broadcast (hex) {
+    return this.client.request('blockchain.transaction.broadcast', [hex])
+  }
+
+  async getAddressHistory (address) {
+    const history = await this.client.request('blockchain.address.get_history', [address])
+
+    return history.map(x => ({ txid: x.tx_hash, height: x.height }))
+  }
+
+  // Fulcrum keeps the Double Spend Proofs relayed by BCHN.
+  async hasDoubleSpendProof (txid) {
+    const proof = await this.client.request('blockchain.transaction.dsproof.get', [txid])
+
+    return !!proof
+  }
+
+  close () {
+    return this.client.close()
+  }
+}
+
+// Address paid by a decoded TX output. Newer nodes return a single address,
+// older ones an array.
+function getOutputAddress (output) {
+  const scriptPubKey = output?.scriptPubKey
+
+  return scriptPubKey?.address || scriptPubKey?.addresses?.[0] || null
+}
+
+export default ElectrumChainBackend
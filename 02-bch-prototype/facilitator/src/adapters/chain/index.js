@@ -0,0 +1,43 @@
+/*
+  Blockchain backends. The wallet adapter reads the chain only through the
+  interface below, so the facilitator can run against the hosted bch-api or
+  its own Fulcrum node. The backend is chosen by the CHAIN_BACKEND config
+  setting.
+
+  Every backend has these async methods:
+
+  - getTransaction(txid): Returns the TX, or null if the chain does not know
+    it. The TX has the shape:
+      {
+        txid,
+        confirmations,
+        inputs: [{ txid, vout, address }],
+        outputs: [{ vout, address, valueSat }]
+      }
+    address is a cash address, or null for inputs and outputs that do not pay
+    to an address.
+  - getConfirmations(txid): Returns the number of confirmations of a TX. 0
+    while it is in the mempool.
+  - isOutputUnspent(txid, vout): Returns true if the output exists and has
+    not been spent, counting spends in the mempool.
+  - broadcast(hex): Broadcasts a signed TX. Returns its TXID.
+  - getAddressHistory(address): Returns the TXs of an address as an array of
+    { txid, height }. height is 0 or less for unconfirmed TXs.
+  - hasDoubleSpendProof(txid): Returns true if a Double Spend Proof was seen
+    for the TX.
+  - close(): Closes any connection held by the backend.
+
+  The 'mock' backend keeps an in-process chain for end-to-end tests. It must
+  not be used in production.
+*/
+
+// Local libraries
+import BchApiChainBackend from './bch-api.js'
+import ElectrumChainBackend from './electrum.js'
+import MockChainBackend from './mock.js'
+
+export const CHAIN_BACKENDS = {
+  'bch-api': BchApiChainBackend,
+  electrum: ElectrumChainBackend,
+  mock: MockChainBackend
+}
@@ -0,0 +1,332 @@
+/*
+  In-process mock of the BCH chain, for end-to-end tests that run without
+  network access. It implements the chain backend interface in ./index.js,
+  plus helpers to drive the chain from a test:
+
+  - createFundingTx() and createWallet() create payments to an address.
+  - setConfirmations() and mine() confirm TXs.
+  - spendOutput() spends an output, like a sweep of the server address.
+  - doubleSpend() replaces a TX with a conflicting one, or only raises a
+    Double Spend Proof for it.
+  - reorg() rolls back the last blocks, and can drop TXs from the chain.
+
+  Select it with CHAIN_BACKEND=mock. A test reaches the instance used by the
+  facilitator at adapters.bchWallet.chain, and hands createWallet() to the
+  client so both sides see the same chain. Nothing is kept after the process
+  exits.
+*/
+
+// Global libraries
+import { createHash, randomBytes } from 'crypto'
+
+class MockChainBackend {
+  constructor (localConfig = {}) {
+    // Height of the chain tip.
+    this.height = localConfig.startHeight || 800000
+
+    // Every TX known to the chain, by TXID. A TX in the mempool has a
+    // blockHeight of null.
+    this.txs = new Map()
+
+    // Outputs spent by a TX, as 'txid:vout'.
+    this.spentOutputs = new Set()
+
+    // TXIDs that a Double Spend Proof was seen for.
+    this.dsProofs = new Set()
+
+    // Raw TXs sent to broadcast(), oldest first.
+    this.broadcasts = []
+
+    // Bind 'this' object to all class methods
+    this.getTransaction = this.getTransaction.bind(this)
+    this.getConfirmations = this.getConfirmations.bind(this)
+    this.isOutputUnspent = this.isOutputUnspent.bind(this)
+    this.broadcast = this.broadcast.bind(this)
+    this.getAddressHistory = this.getAddressHistory.bind(this)
+    this.hasDoubleSpendProof = this.hasDoubleSpendProof.bind(this)
+    this.close = this.close.bind(this)
+    this.createFundingTx = this.createFundingTx.bind(this)
+    this.createWallet = this.createWallet.bind(this)
+    this.setConfirmations = this.setConfirmations.bind(this)
+    this.spendOutput = this.spendOutput.bind(this)
+    this.mine = this.mine.bind(this)
+    this.doubleSpend = this.doubleSpend.bind(this)
+    this.reorg = this.reorg.bind(this)
+    this.removeTransaction = this.removeTransaction.bind(this)
+    this.getStoredTx = this.getStoredTx.bind(this)
+    this.getTxConfirmations = this.getTxConfirmations.bind(this)
+  }
+
+  async getTransaction (txid) {
+    const tx = this.txs.get(txid)
+    if (!tx) return null
+
+    // Return a copy, so the caller can not change the chain.
+    return {
+      txid,
+      confirmations: this.getTxConfirmations(tx),
+      inputs: tx.inputs.map(x => ({ ...x })),
+      outputs: tx.outputs.map(x => ({ ...x }))
+    }
+  }
+
+  async getConfirmations (txid) {
+    const tx = this.txs.get(txid)
+
+    return tx ? this.getTxConfirmations(tx) : 0
+  }
+
+  async isOutputUnspent (txid, vout) {
+    const tx = this.txs.get(txid)
+    if (!tx?.outputs[vout]) return false
+
+    return !this.spentOutputs.has(`${txid}:${vout}`)
+  }
+
+  // Raw TXs are not decoded. They are kept in the mempool under their TXID,
+  // with no inputs or outputs, so their confirmations can be followed.
+  async broadcast (hex) {
+    const txid = getTxid(hex)
+
+    this.broadcasts.push({ txid, hex })
+    if (!this.txs.has(txid)) {
+      this.txs.set(txid, { txid, inputs: [], outputs: [], blockHeight: null, hex })
+    }
+
+    return txid
+  }
+
+  async getAddressHistory (address) {
+    const history = []
+    for (const tx of this.txs.values()) {
+      const isInvolved = tx.inputs.some(x => x.address === address) ||
+        tx.outputs.some(x => x.address === address)
+      if (!isInvolved) continue
+
+      history.push({ txid: tx.txid, height: tx.blockHeight ?? 0 })
+    }
+
+    return history
+  }
+
+  async hasDoubleSpendProof (txid) {
+    return this.dsProofs.has(txid)
+  }
+
+  async close () {
+    return true
+  }
+
+  /**
+   * Adds a TX that pays the given outputs from an address. Its input spends
+   * an output that the chain does not know, like a coin received long ago.
+   *
+   * @param from Address that funds the TX
+   * @param outputs Array of { address, amountSat }, in vout order
+   * @param confirmations Confirmations the TX starts with (default 0)
+   * @returns The TXID
+   */
+  createFundingTx ({ from, outputs, confirmations = 0 }) {
+    if (!from || !Array.isArray(outputs) || !outputs.length) {
+      throw new Error('A funding TX needs a from address and at least one output.')
+    }
+
+    const txid = randomTxid()
+    this.txs.set(txid, {
+      txid,
+      inputs: [{ txid: randomTxid(), vout: 0, address: from }],
+      outputs: outputs.map((output, vout) => ({
+        vout,
+        address: output.address,
+        valueSat: Number(output.amountSat)
+      })),
+      blockHeight: null
+    })
+    this.setConfirmations(txid, confirmations)
+
+    return txid
+  }
+
+  // Returns an object with the send() method of minimal-slp-wallet, which
+  // pays from the given address on this chain. Pass it to the client in
+  // place of a funded wallet.
+  createWallet (address) {
+    return {
+      send: async (outputs) => this.createFundingTx({ from: address, outputs })
+    }
+  }
+
+  // Put a TX in the block that gives it the wanted number of confirmations.
+  // 0 moves it back to the mempool. The chain grows if it is too short.
+  setConfirmations (txid, confirmations) {
+    const tx = this.getStoredTx(txid)
+
+    if (confirmations <= 0) {
+      tx.blockHeight = null
+      return tx
+    }
+
+    this.height = Math.max(this.height, confirmations)
+    tx.blockHeight = this.height - confirmations + 1
+
+    return tx
+  }
+
+  // Spend an output in a new TX in the mempool, which pays its value to
+  // toAddress. Returns the TXID of the spending TX.
+  spendOutput (txid, vout, { toAddress = null } = {}) {
+    const output = this.getStoredTx(txid).outputs[vout]
+    if (!output) {
+      throw new Error(`TX ${txid} has no output ${vout}.`)
+    }
+
+    const spendTxid = randomTxid()
+    this.txs.set(spendTxid, {
+      txid: spendTxid,
+      inputs: [{ txid, vout, address: output.address }],
+      outputs: [{ vout: 0, address: toAddress, valueSat: output.valueSat }],
+      blockHeight: null
+    })
+    this.spentOutputs.add(`${txid}:${vout}`)
+
+    return spendTxid
+  }
+
+  /**
+   * Mines blocks. Every TX in the mempool goes into the first one.
+   *
+   * @param blocks Number of blocks to mine (default 1)
+   * @returns The TXIDs confirmed by the first block
+   */
+  mine (blocks = 1) {
+    const minedTxids = []
+
+    for (let i = 0; i < blocks; i++) {
+      this.height++
+
+      if (i > 0) continue
+      for (const tx of this.txs.values()) {
+        if (tx.blockHeight !== null) continue
+
+        tx.blockHeight = this.height
+        minedTxids.push(tx.txid)
+      }
+    }
+
+    return minedTxids
+  }
+
+  /**
+   * Double spends the inputs of a TX back to its funder.
+   *
+   * By default the conflicting TX only reaches the mempool of other nodes,
+   * so the original TX stays on the chain and a Double Spend Proof is raised
+   * for it. With confirm set, the conflicting TX is mined instead, and the
+   * original TX disappears from the chain.
+   *
+   * @param txid The TX to double spend. It must not be confirmed.
+   * @param confirm Mine the conflicting TX in place of the original
+   * @returns The TXID of the conflicting TX
+   */
+  doubleSpend (txid, { confirm = false } = {}) {
+    const tx = this.getStoredTx(txid)
+    if (tx.blockHeight !== null) {
+      throw new Error(`TX ${txid} is confirmed and can not be double spent.`)
+    }
+
+    const valueSat = tx.outputs.reduce((sum, x) => sum + x.valueSat, 0)
+    const conflictTxid = randomTxid()
+    const conflictTx = {
+      txid: conflictTxid,
+      inputs: tx.inputs.map(x => ({ ...x })),
+      outputs: [{ vout: 0, address: tx.inputs[0]?.address || null, valueSat }],
+      blockHeight: null
+    }
+
+    if (!confirm) {
+      this.dsProofs.add(txid)
+      return conflictTxid
+    }
+
+    this.height++
+    conflictTx.blockHeight = this.height
+    this.txs.delete(txid)
+    this.txs.set(conflictTxid, conflictTx)
+
+    return conflictTxid
+  }
+
+  /**
+   * Rolls back the last blocks. The TXs they held go back to the mempool,
+   * except the ones listed in drop, which disappear from the chain as if a
+   * conflicting TX had been mined in the new branch.
+   *
+   * @param depth Number of blocks to roll back (default 1)
+   * @param drop TXIDs to remove from the chain
+   * @returns The TXIDs that were in the rolled back blocks
+   */
+  reorg (depth = 1, { drop = [] } = {}) {
+    const forkHeight = this.height - depth
+    const unconfirmedTxids = []
+
+    for (const tx of this.txs.values()) {
+      if (tx.blockHeight === null || tx.blockHeight <= forkHeight) continue
+
+      tx.blockHeight = null
+      unconfirmedTxids.push(tx.txid)
+    }
+    this.height = forkHeight
+
+    for (const txid of drop) {
+      this.removeTransaction(txid)
+    }
+
+    return unconfirmedTxids
+  }
+
+  // Forget a TX, as if it was evicted from every mempool. The outputs it
+  // spent are unspent again.
+  removeTransaction (txid) {
+    const tx = this.txs.get(txid)
+    if (!tx) return false
+
+    for (const input of tx.inputs) {
+      this.spentOutputs.delete(`${input.txid}:${input.vout}`)
+    }
+    this.dsProofs.delete(txid)
+
+    return this.txs.delete(txid)
+  }
+
+  // Returns the stored TX, or throws if the chain does not know it.
+  getStoredTx (txid) {
+    const tx = this.txs.get(txid)
+    if (!tx) {
+      throw new Error(`TX ${txid} is not on the mock chain.`)
+    }
+
+    return tx
+  }
+
+  // Confirmations of a stored TX at the current height.
+  getTxConfirmations (tx) {
+    if (tx.blockHeight === null || tx.blockHeight > this.height) return 0
+
+    return this.height - tx.blockHeight + 1
+  }
+}
+
+// Random 32-byte TXID in hex.
+function randomTxid () {
+  return randomBytes(32).toString('hex')
+}
+
+// TXID of a raw TX: its double SHA-256, byte reversed.
+function getTxid (hex) {
+  const once = createHash('sha256').update(Buffer.from(hex, 'hex')).digest()
+  const twice = createHash('sha256').update(once).digest()
+
+  return Buffer.from(twice).reverse().toString('hex')
+}
+
+export default MockChainBackend
@@ -8,7 +8,7 @@
 import BCHWalletAdapter from './bch-wallet.js'
 import Logger from './logger.js'
 import config from '../config/index.js'
-import LevelDBAdapter from './leveldb.js'
+import StorageAdapter from './storage/index.js'
 
 class Adapters {
   constructor (localConfig = {}) {
@@ -18,18 +18,26 @@ class Adapters {
     this.bchWallet = new BCHWalletAdapter({
       bchPrivateKey: localConfig.bchPrivateKey || config.bchPrivateKey,
       network: localConfig.network || config.network,
-      minConfirmations: localConfig.minConfirmations || config.minConfirmations,
+      minConfirmations: localConfig.minConfirmations ?? config.minConfirmations,
+      zeroConfMaxSat: localConfig.zeroConfMaxSat ?? config.zeroConfMaxSat,
+      checkDsProof: localConfig.checkDsProof ?? config.checkDsProof,
       restURL: localConfig.restURL || config.restURL,
       apiToken: localConfig.apiToken || config.apiToken,
-      authPass: localConfig.authPass || config.authPass
+      authPass: localConfig.authPass || config.authPass,
+      chainBackend: localConfig.chainBackend || config.chainBackend,
+      electrumUrl: localConfig.electrumUrl || config.electrumUrl
+    })
+    this.storage = new StorageAdapter({
+      backend: localConfig.storageBackend,
+      dbDir: localConfig.dbDir,
+      logger: this.logger
     })
-    this.levelDB = new LevelDBAdapter()
   }
 
   async start () {
     try {
-      await this.levelDB.openDb()
-      this.logger.info('Level DB adapter initialized.')
+      await this.storage.openDb()
+      this.logger.info(`Storage adapter initialized with the ${this.storage.backendName} backend.`)
 
       return true
     } catch (err) {
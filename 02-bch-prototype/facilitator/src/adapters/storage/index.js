@@ -0,0 +1,129 @@
+/*
+  Storage adapter. Opens the stores that hold the facilitator state, using
+  the backend chosen by the STORAGE_BACKEND config setting. Use cases only
+  talk to the store interface described in store.js, never to the backend.
+
+  Writes to several stores that must not be applied in part, e.g. a UTXO
+  balance and the ledger entry that explains it, go through transaction().
+*/
+
+// Local libraries
+import config from '../../config/index.js'
+import Logger from '../logger.js'
+import LevelDBBackend from './leveldb.js'
+import SQLiteBackend from './sqlite.js'
+import MemoryBackend from './memory.js'
+
+export const STORAGE_BACKENDS = {
+  leveldb: LevelDBBackend,
+  sqlite: SQLiteBackend,
+  memory: MemoryBackend
+}
+
+// Every store, as [name, property]. Each store is opened as
+// this.<property>, e.g. this.utxoDb.
+export const STORES = [
+  // Prepaid UTXOs and their balances.
+  ['utxo', 'utxoDb'],
+  // Nonces of payment authorizations that have already been accepted.
+  ['nonce', 'nonceDb'],
+  // Delegates that a UTXO funder has authorized to spend its balance.
+  ['delegate', 'delegateDb'],
+  // Payer accounts, listing the prepaid UTXOs that top up each balance.
+  ['account', 'accountDb'],
+  // Closed UTXO records moved out of utxoDb, so the hot store stays small.
+  ['archive', 'archiveDb'],
+  // Resource servers that use this facilitator, and their payTo addresses.
+  ['tenant', 'tenantDb'],
+  // Payer addresses that an admin has blocked from paying.
+  ['blocklist', 'blocklistDb'],
+  // Append-only trail of every admin action.
+  ['audit', 'auditDb'],
+  // Append-only ledger of every change to a UTXO balance. Entries are never
+  // updated or deleted.
+  ['ledger', 'ledgerDb'],
+  // Webhook endpoints registered by tenants.
+  ['webhook', 'webhookDb'],
+  // Every webhook delivery, with the result of each attempt.
+  ['webhook_delivery', 'webhookDeliveryDb']
+]
+
+class StorageAdapter {
+  constructor (localConfig = {}) {
+    // Encapsulate dependencies
+    this.config = config
+    this.logger = localConfig.logger || new Logger({ logLevel: config.logLevel })
+
+    this.backendName = localConfig.backend || this.config.storageBackend
+    this.dbDir = localConfig.dbDir || this.config.dbDir
+
+    const Backend = STORAGE_BACKENDS[this.backendName]
+    if (!Backend) {
+      throw new Error(
+        `Unknown storage backend '${this.backendName}'. Use one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`
+      )
+    }
+    this.backend = new Backend({ dbDir: this.dbDir })
+
+    // Placeholders
+    for (const [, property] of STORES) {
+      this[property] = null
+    }
+
+    // Bind 'this' object to all class methods
+    this.openDb = this.openDb.bind(this)
+    this.closeDb = this.closeDb.bind(this)
+    this.transaction = this.transaction.bind(this)
+  }
+
+  async openDb () {
+    await this.backend.open()
+
+    const stores = {}
+    for (const [name, property] of STORES) {
+      this[property] = this.backend.openStore(name)
+      stores[property] = this[property]
+    }
+
+    // Finish the transactions that were cut off by a crash.
+    const recovered = await this.backend.recover()
+    if (recovered) {
+      this.logger.warn(`Recovered ${recovered} interrupted storage transactions.`)
+    }
+
+    return stores
+  }
+
+  /**
+   * Applies writes to several stores as one transaction. Either all of them
+   * are stored, or, if the process stops half way, none are visible or the
+   * rest are applied when the storage is next opened.
+   *
+   * @param ops Array of { type: 'put', store, key, value } and
+   *   { type: 'del', store, key }, where store is one of the opened stores,
+   *   e.g. this.utxoDb
+   * @returns true
+   */
+  async transaction (ops) {
+    if (!ops.length) return true
+
+    await this.backend.transaction(ops)
+
+    return true
+  }
+
+  async closeDb () {
+    for (const [, property] of STORES) {
+      if (this[property]) {
+        await this[property].close()
+        this[property] = null
+      }
+    }
+
+    await this.backend.close()
+
+    return true
+  }
+}
+
+export default StorageAdapter
@@ -0,0 +1,172 @@
+/*
+  LevelDB storage backend. Each store is a separate LevelDB database in a
+  sub-directory of dbDir.
+
+  A batch is atomic within one database only. A transaction across stores is
+  first written to a journal database, then applied to each store, then
+  removed from the journal. Transactions left in the journal by a crash are
+  applied again when the storage is opened. Every op sets or deletes a key,
+  so applying one twice is safe.
+*/
+
+// Global libraries
+import level from 'level'
+import { mkdirSync } from 'fs'
+
+// Options for individual stores.
+const STORE_OPTIONS = {
+  utxo: {
+    cacheSize: 1024 * 1024 * 10 // 10MB
+  }
+}
+
+// Name of the journal database of cross-store transactions.
+const JOURNAL_NAME = 'journal'
+
+class LevelDBStore {
+  constructor (db, name) {
+    this.db = db
+    this.name = name
+
+    // Bind 'this' object to all class methods
+    this.get = this.get.bind(this)
+    this.put = this.put.bind(this)
+    this.del = this.del.bind(this)
+    this.list = this.list.bind(this)
+    this.batch = this.batch.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  // LevelDB already throws an error with notFound set for a missing key.
+  get (key) {
+    return this.db.get(key)
+  }
+
+  put (key, value) {
+    return this.db.put(key, value)
+  }
+
+  del (key) {
+    return this.db.del(key)
+  }
+
+  list (options = {}) {
+    return new Promise((resolve, reject) => {
+      const entries = []
+
+      this.db.createReadStream(options)
+        .on('data', ({ key, value }) => entries.push({ key, value }))
+        .on('error', reject)
+        .on('end', () => resolve(entries))
+    })
+  }
+
+  batch (ops) {
+    return this.db.batch(ops)
+  }
+
+  close () {
+    return this.db.close()
+  }
+}
+
+class LevelDBBackend {
+  constructor (localConfig = {}) {
+    this.dbDir = localConfig.dbDir
+    if (!this.dbDir) {
+      throw new Error('dbDir must be passed in when instantiating LevelDB storage backend.')
+    }
+
+    // Encapsulate dependencies
+    this.level = level
+
+    // State
+    this.stores = new Map()
+    this.journal = null
+    this.journalSequence = 0
+
+    // Bind 'this' object to all class methods
+    this.open = this.open.bind(this)
+    this.openStore = this.openStore.bind(this)
+    this.transaction = this.transaction.bind(this)
+    this.applyTransaction = this.applyTransaction.bind(this)
+    this.recover = this.recover.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  // LevelDB creates the directory of each store, but not dbDir itself.
+  async open () {
+    mkdirSync(this.dbDir, { recursive: true })
+
+    this.journal = this.openStore(JOURNAL_NAME)
+
+    return true
+  }
+
+  openStore (name) {
+    const db = this.level(`${this.dbDir}/${name}`, {
+      valueEncoding: 'json',
+      ...STORE_OPTIONS[name]
+    })
+
+    const store = new LevelDBStore(db, name)
+    this.stores.set(name, store)
+
+    return store
+  }
+
+  async transaction (ops) {
+    // Keys sort in the order the transactions were started.
+    this.journalSequence = (this.journalSequence + 1) % 1000000
+    const journalKey = `${Date.now()}:${String(this.journalSequence).padStart(6, '0')}`
+
+    const journalOps = ops.map(({ type, store, key, value }) => {
+      return { type, store: store.name, key, value }
+    })
+
+    await this.journal.put(journalKey, journalOps)
+    await this.applyTransaction(journalOps)
+    await this.journal.del(journalKey)
+  }
+
+  // Apply the ops of a journaled transaction, as one batch per store.
+  async applyTransaction (journalOps) {
+    const opsByStore = new Map()
+    for (const { store, ...op } of journalOps) {
+      if (!opsByStore.has(store)) opsByStore.set(store, [])
+      opsByStore.get(store).push(op)
+    }
+
+    for (const [name, storeOps] of opsByStore) {
+      const store = this.stores.get(name)
+      if (!store) throw new Error(`Unknown store in storage transaction: ${name}`)
+
+      await store.batch(storeOps)
+    }
+  }
+
+  // Apply again, oldest first, every transaction left in the journal.
+  async recover () {
+    const pending = await this.journal.list()
+
+    for (const { key, value } of pending) {
+      await this.applyTransaction(value)
+      await this.journal.del(key)
+    }
+
+    return pending.length
+  }
+
+  // Each store is closed on its own. The journal is closed here.
+  async close () {
+    if (this.journal) {
+      await this.journal.close()
+      this.journal = null
+    }
+    this.stores.clear()
+
+    return true
+  }
+}
+
+export default LevelDBBackend
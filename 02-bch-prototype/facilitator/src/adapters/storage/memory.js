@@ -0,0 +1,111 @@
+/*
+  In-memory storage backend, for tests and throw-away runs. Nothing is kept
+  after the process exits.
+*/
+
+// Local libraries
+import { NotFoundError, isInRange } from './store.js'
+
+class MemoryStore {
+  constructor () {
+    this.entries = new Map()
+
+    // Bind 'this' object to all class methods
+    this.get = this.get.bind(this)
+    this.put = this.put.bind(this)
+    this.del = this.del.bind(this)
+    this.list = this.list.bind(this)
+    this.batch = this.batch.bind(this)
+    this.applyOp = this.applyOp.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  // Values are stored as JSON, like the other backends, so a caller can not
+  // change a stored value by mutating the object it passed in or got back.
+  async get (key) {
+    if (!this.entries.has(key)) throw new NotFoundError(key)
+
+    return JSON.parse(this.entries.get(key))
+  }
+
+  async put (key, value) {
+    this.entries.set(key, JSON.stringify(value))
+  }
+
+  async del (key) {
+    this.entries.delete(key)
+  }
+
+  async list (options = {}) {
+    const keys = [...this.entries.keys()]
+      .filter(key => isInRange(key, options))
+      .sort()
+    if (options.reverse) keys.reverse()
+
+    const limit = options.limit >= 0 ? options.limit : keys.length
+
+    return keys.slice(0, limit).map(key => ({
+      key,
+      value: JSON.parse(this.entries.get(key))
+    }))
+  }
+
+  async batch (ops) {
+    const values = ops.map(serializeValue)
+    ops.forEach((op, i) => this.applyOp(op, values[i]))
+  }
+
+  // Apply one put or del operation, with the value already serialized.
+  applyOp (op, value) {
+    if (op.type === 'put') this.entries.set(op.key, value)
+    if (op.type === 'del') this.entries.delete(op.key)
+  }
+
+  async close () {
+    return true
+  }
+}
+
+// Returns the JSON of the value of a put operation.
+function serializeValue (op) {
+  return op.type === 'put' ? JSON.stringify(op.value) : null
+}
+
+class MemoryBackend {
+  constructor () {
+    // Bind 'this' object to all class methods
+    this.open = this.open.bind(this)
+    this.openStore = this.openStore.bind(this)
+    this.transaction = this.transaction.bind(this)
+    this.recover = this.recover.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  async open () {
+    return true
+  }
+
+  openStore () {
+    return new MemoryStore()
+  }
+
+  // Every value is serialized before the first op is applied, so a value
+  // that can not be stored leaves the stores as they were. The ops are
+  // applied without yielding to the event loop, so no other code sees them
+  // in part.
+  async transaction (ops) {
+    const values = ops.map(serializeValue)
+    ops.forEach((op, i) => op.store.applyOp(op, values[i]))
+  }
+
+  // Nothing survives a crash, so there is nothing to recover.
+  async recover () {
+    return 0
+  }
+
+  async close () {
+    return true
+  }
+}
+
+export default MemoryBackend
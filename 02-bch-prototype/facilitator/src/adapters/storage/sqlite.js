@@ -0,0 +1,166 @@
+/*
+  SQLite storage backend. Every store is a table in one SQLite file, so the
+  state can be queried with SQL, and changes to several stores can share a
+  transaction.
+
+  Each table has a key column and a value column holding the JSON value, e.g.
+    SELECT key, json_extract(value, '$.remainingBalanceSat') FROM utxo
+*/
+
+// Global libraries
+import { mkdirSync } from 'fs'
+
+// Local libraries
+import { NotFoundError } from './store.js'
+
+// Store names are used as table names, so they are limited to safe characters.
+const STORE_NAME_PATTERN = /^[a-z_]+$/
+
+class SQLiteStore {
+  constructor (localConfig = {}) {
+    this.db = localConfig.db
+    this.table = localConfig.table
+
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (key TEXT PRIMARY KEY, value TEXT NOT NULL) WITHOUT ROWID`
+    )
+
+    // Prepared statements
+    this.getStatement = this.db.prepare(`SELECT value FROM ${this.table} WHERE key = ?`)
+    this.putStatement = this.db.prepare(
+      `INSERT INTO ${this.table} (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+    )
+    this.delStatement = this.db.prepare(`DELETE FROM ${this.table} WHERE key = ?`)
+
+    // Bind 'this' object to all class methods
+    this.get = this.get.bind(this)
+    this.put = this.put.bind(this)
+    this.del = this.del.bind(this)
+    this.list = this.list.bind(this)
+    this.batch = this.batch.bind(this)
+    this.applyOp = this.applyOp.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  async get (key) {
+    const row = this.getStatement.get(key)
+    if (!row) throw new NotFoundError(key)
+
+    return JSON.parse(row.value)
+  }
+
+  async put (key, value) {
+    this.putStatement.run(key, JSON.stringify(value))
+  }
+
+  async del (key) {
+    this.delStatement.run(key)
+  }
+
+  async list (options = {}) {
+    const conditions = []
+    const params = []
+    for (const [option, operator] of [['gt', '>'], ['gte', '>='], ['lt', '<'], ['lte', '<=']]) {
+      if (options[option] === undefined) continue
+
+      conditions.push(`key ${operator} ?`)
+      params.push(options[option])
+    }
+
+    let sql = `SELECT key, value FROM ${this.table}`
+    if (conditions.length) sql += ` WHERE ${conditions.join(' AND ')}`
+    sql += ` ORDER BY key ${options.reverse ? 'DESC' : 'ASC'}`
+    if (options.limit >= 0) {
+      sql += ' LIMIT ?'
+      params.push(options.limit)
+    }
+
+    return this.db.prepare(sql).all(...params).map(row => ({
+      key: row.key,
+      value: JSON.parse(row.value)
+    }))
+  }
+
+  async batch (ops) {
+    const applyOps = this.db.transaction(() => {
+      for (const op of ops) this.applyOp(op)
+    })
+
+    applyOps()
+  }
+
+  // Apply one put or del operation. Runs inside the caller's transaction.
+  applyOp (op) {
+    if (op.type === 'put') this.putStatement.run(op.key, JSON.stringify(op.value))
+    if (op.type === 'del') this.delStatement.run(op.key)
+  }
+
+  // The SQLite file is closed by the backend.
+  async close () {
+    return true
+  }
+}
+
+class SQLiteBackend {
+  constructor (localConfig = {}) {
+    this.dbDir = localConfig.dbDir
+    if (!this.dbDir) {
+      throw new Error('dbDir must be passed in when instantiating SQLite storage backend.')
+    }
+
+    this.db = null
+
+    // Bind 'this' object to all class methods
+    this.open = this.open.bind(this)
+    this.openStore = this.openStore.bind(this)
+    this.transaction = this.transaction.bind(this)
+    this.recover = this.recover.bind(this)
+    this.close = this.close.bind(this)
+  }
+
+  // better-sqlite3 is a native module, so it is only loaded when the SQLite
+  // backend is used.
+  async open () {
+    const { default: Database } = await import('better-sqlite3')
+
+    mkdirSync(this.dbDir, { recursive: true })
+    this.db = new Database(`${this.dbDir}/facilitator.sqlite`)
+    this.db.pragma('journal_mode = WAL')
+
+    return this.db
+  }
+
+  openStore (name) {
+    if (!STORE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid store name: ${name}`)
+    }
+
+    return new SQLiteStore({ db: this.db, table: name })
+  }
+
+  // Every store is a table of the same file, so the ops share one SQL
+  // transaction.
+  async transaction (ops) {
+    const applyOps = this.db.transaction(() => {
+      for (const op of ops) op.store.applyOp(op)
+    })
+
+    applyOps()
+  }
+
+  // SQLite rolls back an interrupted transaction by itself.
+  async recover () {
+    return 0
+  }
+
+  async close () {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+
+    return true
+  }
+}
+
+export default SQLiteBackend
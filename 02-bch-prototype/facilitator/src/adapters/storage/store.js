@@ -0,0 +1,38 @@
+/*
+  The interface of a store, a named collection of JSON values by string key.
+  Every storage backend returns stores with these async methods:
+
+  - get(key): Returns the value. Throws an error with notFound set to true if
+    the key does not exist.
+  - put(key, value): Stores the value under the key.
+  - del(key): Removes the key. Does nothing if it does not exist.
+  - list({ gt, gte, lt, lte, reverse, limit }): Returns an array of
+    { key, value } in key order, optionally limited to a range of keys.
+  - batch(ops): Applies an array of { type: 'put', key, value } and
+    { type: 'del', key } operations atomically.
+  - close(): Closes the store.
+
+  Keys are compared as strings, so keys that share a prefix can be read as a
+  range. For example, { gt: 'abc:', lt: 'abc;' } selects every key that
+  starts with 'abc:'.
+*/
+
+// Thrown by get() for a missing key, with the same shape as the LevelDB error.
+export class NotFoundError extends Error {
+  constructor (key) {
+    super(`Key not found in database [${key}]`)
+    this.name = 'NotFoundError'
+    this.notFound = true
+    this.status = 404
+  }
+}
+
+// Returns true if a key is inside the range given by list() options.
+export function isInRange (key, { gt, gte, lt, lte } = {}) {
+  if (gt !== undefined && !(key > gt)) return false
+  if (gte !== undefined && !(key >= gte)) return false
+  if (lt !== undefined && !(key < lt)) return false
+  if (lte !== undefined && !(key <= lte)) return false
+
+  return true
+}
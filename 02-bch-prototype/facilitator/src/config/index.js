@@ -32,8 +32,68 @@ export default {
   apiToken: process.env.BCH_API_TOKEN,
   authPass: process.env.BCH_AUTH_PASS,
 
+  // Where chain data comes from: 'bch-api' uses BCH_REST_URL, 'electrum'
+  // talks to a Fulcrum server at ELECTRUM_URL, e.g. tls://fulcrum.example.com:50002
+  // 'mock' is an in-process chain for end-to-end tests.
+  chainBackend: process.env.CHAIN_BACKEND || 'bch-api',
+  electrumUrl: process.env.ELECTRUM_URL,
+  electrumTimeoutMs: parseInt(process.env.ELECTRUM_TIMEOUT_MS || '30000', 10),
+
+  // Acceptance policy for UTXOs with fewer than minConfirmations.
+  // The largest UTXO value accepted before it confirms. 0 disables zero-conf.
+  zeroConfMaxSat: parseInt(process.env.ZERO_CONF_MAX_SAT || '10000', 10),
+  // Reject zero-conf UTXOs that triggered a Double Spend Proof. Needs bch-api.
+  checkDsProof: process.env.CHECK_DSPROOF === 'true',
+  // How often an unconfirmed UTXO is re-checked against the chain.
+  zeroConfRecheckSeconds: parseInt(process.env.ZERO_CONF_RECHECK_SECONDS || '300', 10),
+  // How often every active UTXO is reconciled against the chain, to catch
+  // reorgs, double spends and spends of the server address. 0 disables it.
+  reconcileIntervalSeconds: parseInt(process.env.RECONCILE_INTERVAL_SECONDS || '600', 10),
+
   // Version
   version,
 
-  serverBchAddress: process.env.SERVER_BCH_ADDRESS || 'bitcoincash:qqlrzp23w08434twmvr4fxw672whkjy0py26r63g3d'
+  // Storage backend for the facilitator state: 'leveldb', 'sqlite', or
+  // 'memory' for tests. The memory backend loses everything on restart.
+  storageBackend: process.env.STORAGE_BACKEND || 'leveldb',
+  // Directory that holds the LevelDB databases or the SQLite file.
+  dbDir: process.env.DB_DIR || `${__dirname.toString()}/../../leveldb`,
+
+  // Resource servers must authenticate with a tenant credential to call
+  // /verify and /settle. Only turn this off for local development.
+  requireResourceServerAuth: process.env.REQUIRE_RESOURCE_SERVER_AUTH !== 'false',
+
+  // Key for the /admin REST API, sent as 'Authorization: Bearer <key>'. The
+  // /admin routes are disabled when it is not set.
+  adminApiKey: process.env.ADMIN_API_KEY,
+
+  serverBchAddress: process.env.SERVER_BCH_ADDRESS || 'bitcoincash:qqlrzp23w08434twmvr4fxw672whkjy0py26r63g3d',
+
+  // Optional sweep of fully consumed UTXOs from the server address into a
+  // treasury address. Requires BCH_PRIVATE_KEY to control the server address.
+  sweepConsumedUtxos: process.env.SWEEP_CONSUMED_UTXOS === 'true',
+  treasuryBchAddress: process.env.TREASURY_BCH_ADDRESS,
+
+  // Sats kept from a refund of unused prepaid balance, to cover the mining fee.
+  refundFeeSat: parseInt(process.env.REFUND_FEE_SAT || '500', 10),
+
+  // Expiry of idle prepaid balances. A UTXO that has not been used for
+  // utxoIdleTtlSeconds is closed and moved to the archive DB. 0 disables it.
+  utxoIdleTtlSeconds: parseInt(process.env.UTXO_IDLE_TTL_SECONDS || '0', 10),
+  // What happens to the balance left on an expired UTXO: 'refund' sends it
+  // back to the funder, 'forfeit' keeps it at the server address.
+  expiredBalancePolicy: process.env.EXPIRED_BALANCE_POLICY || 'refund',
+  // How often the expiry job runs.
+  expiryCheckIntervalSeconds: parseInt(process.env.EXPIRY_CHECK_INTERVAL_SECONDS || '3600', 10),
+
+  // Webhook deliveries to tenants. A failed delivery is retried
+  // webhookMaxRetries times, waiting longer before each retry.
+  webhookMaxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES || '5', 10),
+  webhookRetryPeriodMs: parseInt(process.env.WEBHOOK_RETRY_PERIOD_MS || '5000', 10),
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  // Number of deliveries sent at the same time.
+  webhookConcurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || '5', 10),
+  // Webhooks must be https URLs of public hosts. For development only, this
+  // also allows http URLs and hosts on private networks, e.g. localhost.
+  webhookAllowInsecureUrls: process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true'
 }
@@ -0,0 +1,289 @@
+/*
+  REST API Controller library for the /admin route
+
+  The operator making a change can name themselves in the X-Admin-Actor
+  header. The name is kept in the audit trail.
+*/
+
+class AdminRESTControllerLib {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating /admin REST Controller.'
+      )
+    }
+    this.useCases = localConfig.useCases
+    if (!this.useCases) {
+      throw new Error(
+        'Instance of Use Cases library required when instantiating /admin REST Controller.'
+      )
+    }
+
+    // Bind 'this' object to all subfunctions
+    this.listUtxos = this.listUtxos.bind(this)
+    this.getUtxo = this.getUtxo.bind(this)
+    this.adjustBalance = this.adjustBalance.bind(this)
+    this.freezeUtxo = this.freezeUtxo.bind(this)
+    this.unfreezeUtxo = this.unfreezeUtxo.bind(this)
+    this.getLedger = this.getLedger.bind(this)
+    this.checkLedger = this.checkLedger.bind(this)
+    this.checkAllLedgers = this.checkAllLedgers.bind(this)
+    this.listBlocklist = this.listBlocklist.bind(this)
+    this.blockPayer = this.blockPayer.bind(this)
+    this.unblockPayer = this.unblockPayer.bind(this)
+    this.listAudit = this.listAudit.bind(this)
+    this.getActor = this.getActor.bind(this)
+    this.handleError = this.handleError.bind(this)
+  }
+
+  /**
+   * GET /admin/utxos
+   * Lists UTXO records, filtered by the status, tenantId and address query
+   * parameters, and paged with limit and offset
+   */
+  async listUtxos (req, res) {
+    try {
+      const result = await this.useCases.admin.listUtxos({
+        status: req.query.status,
+        tenantId: req.query.tenantId,
+        address: req.query.address,
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /admin/utxos/:utxoId
+   * Returns the full record of a UTXO and a page of its debits
+   */
+  async getUtxo (req, res) {
+    try {
+      const result = await this.useCases.admin.getUtxo({
+        utxoId: req.params.utxoId,
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/utxos/:utxoId/adjust
+   * Sets the remaining balance of a UTXO
+   */
+  async adjustBalance (req, res) {
+    try {
+      if (req.body?.remainingBalanceSat === undefined || !req.body?.reason) {
+        return res.status(400).json({
+          error: 'Missing remainingBalanceSat or reason'
+        })
+      }
+
+      const result = await this.useCases.admin.adjustBalance({
+        utxoId: req.params.utxoId,
+        remainingBalanceSat: req.body.remainingBalanceSat,
+        reason: req.body.reason,
+        actor: this.getActor(req)
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/utxos/:utxoId/freeze
+   * Freezes a UTXO, so it can not be used for payment
+   */
+  async freezeUtxo (req, res) {
+    try {
+      if (!req.body?.reason) {
+        return res.status(400).json({
+          error: 'Missing reason'
+        })
+      }
+
+      const result = await this.useCases.admin.setFrozen({
+        utxoId: req.params.utxoId,
+        frozen: true,
+        reason: req.body.reason,
+        actor: this.getActor(req)
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/utxos/:utxoId/unfreeze
+   * Unfreezes a UTXO
+   */
+  async unfreezeUtxo (req, res) {
+    try {
+      if (!req.body?.reason) {
+        return res.status(400).json({
+          error: 'Missing reason'
+        })
+      }
+
+      const result = await this.useCases.admin.setFrozen({
+        utxoId: req.params.utxoId,
+        frozen: false,
+        reason: req.body.reason,
+        actor: this.getActor(req)
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /admin/utxos/:utxoId/ledger
+   * Returns a page of the ledger entries of a UTXO, and its balance rebuilt
+   * from the ledger
+   */
+  async getLedger (req, res) {
+    try {
+      const result = await this.useCases.admin.getLedger({
+        utxoId: req.params.utxoId,
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/utxos/:utxoId/ledger/check
+   * Checks the balance of a UTXO against its ledger, and flags a mismatch
+   */
+  async checkLedger (req, res) {
+    try {
+      const result = await this.useCases.admin.checkLedger({
+        utxoId: req.params.utxoId
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/ledger/check
+   * Checks the balance of every UTXO against its ledger
+   */
+  async checkAllLedgers (req, res) {
+    try {
+      const result = await this.useCases.admin.checkAllLedgers()
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /admin/blocklist
+   * Lists the blocklisted payer addresses
+   */
+  async listBlocklist (req, res) {
+    try {
+      const result = await this.useCases.admin.listBlocklist()
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/blocklist
+   * Blocks a payer address from making payments
+   */
+  async blockPayer (req, res) {
+    try {
+      if (!req.body?.address || !req.body?.reason) {
+        return res.status(400).json({
+          error: 'Missing address or reason'
+        })
+      }
+
+      const result = await this.useCases.admin.blockPayer({
+        address: req.body.address,
+        reason: req.body.reason,
+        actor: this.getActor(req)
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * DELETE /admin/blocklist/:address
+   * Removes a payer address from the blocklist
+   */
+  async unblockPayer (req, res) {
+    try {
+      const result = await this.useCases.admin.unblockPayer({
+        address: req.params.address,
+        actor: this.getActor(req)
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /admin/audit
+   * Returns a page of the audit trail, newest first
+   */
+  async listAudit (req, res) {
+    try {
+      const result = await this.useCases.admin.listAudit({
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  // The name of the operator making a change.
+  getActor (req) {
+    return req.get('x-admin-actor') || 'admin'
+  }
+
+  handleError (err, req, res) {
+    this.adapters.logger.error('Error in AdminRESTController:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error'
+    })
+  }
+}
+
+export default AdminRESTControllerLib
@@ -0,0 +1,70 @@
+/*
+  REST API library for the /admin route.
+*/
+
+// Public npm libraries.
+import express from 'express'
+
+// Local libraries.
+import AdminRESTControllerLib from './controller.js'
+import AdminAuth from '../middleware/admin-auth.js'
+
+class AdminRouter {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating Admin REST Controller.'
+      )
+    }
+    this.useCases = localConfig.useCases
+    if (!this.useCases) {
+      throw new Error(
+        'Instance of Use Cases library required when instantiating Admin REST Controller.'
+      )
+    }
+
+    const dependencies = {
+      adapters: this.adapters,
+      useCases: this.useCases
+    }
+
+    // Encapsulate dependencies.
+    this.adminRESTController = new AdminRESTControllerLib(dependencies)
+    this.adminAuth = new AdminAuth(dependencies)
+
+    // Instantiate the router and set the base route.
+    this.router = express.Router()
+  }
+
+  attach (app) {
+    if (!app) {
+      throw new Error(
+        'Must pass app object when attaching REST API controllers.'
+      )
+    }
+
+    // Every admin route requires the admin API key.
+    this.router.use(this.adminAuth.authenticate)
+
+    // Define the routes and attach the controller.
+    this.router.get('/utxos', this.adminRESTController.listUtxos)
+    this.router.get('/utxos/:utxoId', this.adminRESTController.getUtxo)
+    this.router.post('/utxos/:utxoId/adjust', this.adminRESTController.adjustBalance)
+    this.router.post('/utxos/:utxoId/freeze', this.adminRESTController.freezeUtxo)
+    this.router.post('/utxos/:utxoId/unfreeze', this.adminRESTController.unfreezeUtxo)
+    this.router.get('/utxos/:utxoId/ledger', this.adminRESTController.getLedger)
+    this.router.post('/utxos/:utxoId/ledger/check', this.adminRESTController.checkLedger)
+    this.router.post('/ledger/check', this.adminRESTController.checkAllLedgers)
+    this.router.get('/blocklist', this.adminRESTController.listBlocklist)
+    this.router.post('/blocklist', this.adminRESTController.blockPayer)
+    this.router.delete('/blocklist/:address', this.adminRESTController.unblockPayer)
+    this.router.get('/audit', this.adminRESTController.listAudit)
+
+    // Attach the Controller routes to the Express app.
+    app.use('/admin', this.router)
+  }
+}
+
+export default AdminRouter
@@ -22,6 +22,11 @@ class FacilitatorRESTControllerLib {
     this.listSupportedKinds = this.listSupportedKinds.bind(this)
     this.verifyPayment = this.verifyPayment.bind(this)
     this.settlePayment = this.settlePayment.bind(this)
+    this.releasePayment = this.releasePayment.bind(this)
+    this.registerDelegate = this.registerDelegate.bind(this)
+    this.refundPayment = this.refundPayment.bind(this)
+    this.getBalance = this.getBalance.bind(this)
+    this.getAccount = this.getAccount.bind(this)
     this.handleError = this.handleError.bind(this)
   }
 
@@ -31,7 +36,7 @@ class FacilitatorRESTControllerLib {
    */
   async listSupportedKinds (req, res) {
     try {
-      console.log('listSupportedKinds() called')
+      this.adapters.logger.debug('listSupportedKinds() called')
 
       const result = this.useCases.facilitator.listSupportedKinds()
       return res.status(200).json(result)
@@ -42,11 +47,11 @@ class FacilitatorRESTControllerLib {
 
   /**
    * POST /facilitator/verify
-   * Verifies a payment authorization without settling it on-chain
+   * Verifies a payment authorization and reserves its cost, without debiting
    */
   async verifyPayment (req, res) {
     try {
-      console.log('verifyPayment() called')
+      this.adapters.logger.debug('verifyPayment() called')
       // console.log('req.body:', req.body)
 
       if (!req.body?.paymentPayload || !req.body?.paymentRequirements) {
@@ -57,7 +62,8 @@ class FacilitatorRESTControllerLib {
 
       const result = await this.useCases.facilitator.verifyPayment(
         req.body.paymentPayload,
-        req.body.paymentRequirements
+        req.body.paymentRequirements,
+        { tenantId: req.tenant?.tenantId }
       )
 
       // Add invalidReason if payment is invalid
@@ -78,11 +84,12 @@ class FacilitatorRESTControllerLib {
 
   /**
    * POST /facilitator/settle
-   * Settles a payment by broadcasting the transaction to the blockchain
+   * Settles a payment by debiting the amount reserved during /verify, or
+   * the smaller amountSat used by a metered call
    */
   async settlePayment (req, res) {
     try {
-      console.log('settlePayment() called')
+      this.adapters.logger.debug('settlePayment() called')
 
       if (!req.body?.paymentPayload || !req.body?.paymentRequirements) {
         return res.status(400).json({
@@ -92,7 +99,8 @@ class FacilitatorRESTControllerLib {
 
       const result = await this.useCases.facilitator.settlePayment(
         req.body.paymentPayload,
-        req.body.paymentRequirements
+        req.body.paymentRequirements,
+        { tenantId: req.tenant?.tenantId, amountSat: req.body.amountSat }
       )
 
       return res.status(200).json(result)
@@ -101,6 +109,127 @@ class FacilitatorRESTControllerLib {
     }
   }
 
+  /**
+   * POST /facilitator/release
+   * Drops the reservation of a verified payment, without debiting it
+   */
+  async releasePayment (req, res) {
+    try {
+      this.adapters.logger.debug('releasePayment() called')
+
+      if (!req.body?.paymentPayload || !req.body?.paymentRequirements) {
+        return res.status(400).json({
+          error: 'Missing paymentPayload or paymentRequirements'
+        })
+      }
+
+      const result = await this.useCases.facilitator.releasePayment(
+        req.body.paymentPayload,
+        req.body.paymentRequirements,
+        { tenantId: req.tenant?.tenantId }
+      )
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /facilitator/delegate
+   * Adds or revokes a delegate that may spend the UTXOs funded by an address
+   */
+  async registerDelegate (req, res) {
+    try {
+      this.adapters.logger.debug('registerDelegate() called')
+
+      if (!req.body?.delegation || !req.body?.signature) {
+        return res.status(400).json({
+          error: 'Missing delegation or signature'
+        })
+      }
+
+      const result = await this.useCases.facilitator.registerDelegate({
+        delegation: req.body.delegation,
+        signature: req.body.signature
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /facilitator/refund
+   * Refunds the unused balance of a prepaid UTXO to the address that funded it
+   */
+  async refundPayment (req, res) {
+    try {
+      this.adapters.logger.debug('refundPayment() called')
+
+      if (!req.body?.refundRequest || !req.body?.signature) {
+        return res.status(400).json({
+          error: 'Missing refundRequest or signature'
+        })
+      }
+
+      const result = await this.useCases.facilitator.refundPayment({
+        refundRequest: req.body.refundRequest,
+        signature: req.body.signature
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /facilitator/balance/:txid/:vout
+   * Returns the balance of a prepaid UTXO and its recent debits
+   */
+  async getBalance (req, res) {
+    try {
+      this.adapters.logger.debug('getBalance() called')
+
+      const result = await this.useCases.balance.getBalance({
+        txid: req.params.txid,
+        vout: req.params.vout,
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /facilitator/account/:address
+   * Returns every prepaid UTXO funded by an address. The request must be
+   * signed by that address, passed in the x-account-timestamp and
+   * x-account-signature headers.
+   */
+  async getAccount (req, res) {
+    try {
+      this.adapters.logger.debug('getAccount() called')
+
+      const result = await this.useCases.balance.getAccount({
+        address: req.params.address,
+        timestamp: req.get('x-account-timestamp'),
+        signature: req.get('x-account-signature'),
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
   handleError (err, req, res) {
     this.adapters.logger.error('Error in FacilitatorRESTController:', err)
     return res.status(500).json({
@@ -7,6 +7,7 @@ import express from 'express'
 
 // Local libraries.
 import FacilitatorRESTControllerLib from './controller.js'
+import ResourceServerAuth from '../middleware/resource-server-auth.js'
 
 class FacilitatorRouter {
   constructor (localConfig = {}) {
@@ -31,6 +32,7 @@ class FacilitatorRouter {
 
     // Encapsulate dependencies.
     this.facilitatorRESTController = new FacilitatorRESTControllerLib(dependencies)
+    this.resourceServerAuth = new ResourceServerAuth(dependencies)
 
     // Instantiate the router and set the base route.
     this.router = express.Router()
@@ -45,8 +47,13 @@ class FacilitatorRouter {
 
     // Define the routes and attach the controller.
     this.router.get('/supported', this.facilitatorRESTController.listSupportedKinds)
-    this.router.post('/verify', this.facilitatorRESTController.verifyPayment)
-    this.router.post('/settle', this.facilitatorRESTController.settlePayment)
+    this.router.post('/verify', this.resourceServerAuth.authenticate, this.facilitatorRESTController.verifyPayment)
+    this.router.post('/settle', this.resourceServerAuth.authenticate, this.facilitatorRESTController.settlePayment)
+    this.router.post('/release', this.resourceServerAuth.authenticate, this.facilitatorRESTController.releasePayment)
+    this.router.post('/delegate', this.facilitatorRESTController.registerDelegate)
+    this.router.post('/refund', this.facilitatorRESTController.refundPayment)
+    this.router.get('/balance/:txid/:vout', this.facilitatorRESTController.getBalance)
+    this.router.get('/account/:address', this.facilitatorRESTController.getAccount)
 
     // Attach the Controller routes to the Express app.
     app.use('/facilitator', this.router)
@@ -0,0 +1,57 @@
+/*
+  Express middleware that authenticates calls to the /admin routes. The
+  caller sends the admin API key set in the ADMIN_API_KEY env var:
+    Authorization: Bearer <key>
+
+  The /admin routes are disabled when no admin API key is configured.
+*/
+
+// Global libraries
+import { timingSafeEqual } from 'crypto'
+
+// Local libraries
+import config from '../../../config/index.js'
+
+class AdminAuth {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating Admin Auth middleware.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+
+    // Bind 'this' object to all subfunctions
+    this.authenticate = this.authenticate.bind(this)
+  }
+
+  authenticate (req, res, next) {
+    if (!this.config.adminApiKey) {
+      return res.status(404).json({
+        error: 'admin_api_disabled'
+      })
+    }
+
+    const [scheme, key] = (req.get('authorization') || '').split(' ')
+
+    const keyBuf = Buffer.from(String(key || ''))
+    const adminKeyBuf = Buffer.from(this.config.adminApiKey)
+    const isValid = scheme === 'Bearer' &&
+      keyBuf.length === adminKeyBuf.length &&
+      timingSafeEqual(keyBuf, adminKeyBuf)
+
+    if (!isValid) {
+      return res.status(401).json({
+        error: 'invalid_admin_credentials'
+      })
+    }
+
+    return next()
+  }
+}
+
+export default AdminAuth
@@ -0,0 +1,81 @@
+/*
+  Express middleware that authenticates the resource server calling
+  /facilitator/verify, /facilitator/settle, /facilitator/release and the
+  /webhooks API.
+
+  The resource server either sends an API key:
+    X-API-Key: <keyId>.<secret>
+  or signs the request with the secret of its credential:
+    X-Facilitator-Key-Id: <keyId>
+    X-Facilitator-Timestamp: <unix seconds>
+    X-Facilitator-Signature: hex HMAC-SHA256 of
+      '<method>\n<path>\n<timestamp>\n<raw body>'
+  The path is the full request path, with its query string.
+
+  On success the tenant is attached to req.tenant.
+*/
+
+// Local libraries
+import config from '../../../config/index.js'
+
+class ResourceServerAuth {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating Resource Server Auth middleware.'
+      )
+    }
+    this.useCases = localConfig.useCases
+    if (!this.useCases) {
+      throw new Error(
+        'Instance of Use Cases library required when instantiating Resource Server Auth middleware.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+
+    // Bind 'this' object to all subfunctions
+    this.authenticate = this.authenticate.bind(this)
+  }
+
+  async authenticate (req, res, next) {
+    try {
+      const apiKey = req.get('x-api-key')
+      const keyId = req.get('x-facilitator-key-id')
+
+      // Unauthenticated calls are only allowed when auth is turned off.
+      if (!apiKey && !keyId && !this.config.requireResourceServerAuth) {
+        return next()
+      }
+
+      const result = await this.useCases.tenant.authenticateResourceServer({
+        apiKey,
+        keyId,
+        timestamp: req.get('x-facilitator-timestamp'),
+        signature: req.get('x-facilitator-signature'),
+        method: req.method,
+        path: req.originalUrl,
+        rawBody: req.rawBody ? req.rawBody.toString() : ''
+      })
+
+      if (!result.success) {
+        return res.status(401).json({
+          error: result.errorReason
+        })
+      }
+
+      req.tenant = result.tenant
+      return next()
+    } catch (err) {
+      this.adapters.logger.error('Error in ResourceServerAuth:', err)
+      return res.status(500).json({
+        error: err.message || 'Internal server error'
+      })
+    }
+  }
+}
+
+export default ResourceServerAuth
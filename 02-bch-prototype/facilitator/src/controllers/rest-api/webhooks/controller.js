@@ -0,0 +1,130 @@
+/*
+  REST API Controller library for the /webhooks route
+
+  Every route acts on the webhooks of the tenant that authenticated the
+  request. When resource server auth is turned off, that is the default
+  tenant.
+*/
+
+// Local libraries
+import { DEFAULT_TENANT_ID } from '../../../use-cases/tenant.js'
+
+class WebhooksRESTControllerLib {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating /webhooks REST Controller.'
+      )
+    }
+    this.useCases = localConfig.useCases
+    if (!this.useCases) {
+      throw new Error(
+        'Instance of Use Cases library required when instantiating /webhooks REST Controller.'
+      )
+    }
+
+    // Bind 'this' object to all subfunctions
+    this.listWebhooks = this.listWebhooks.bind(this)
+    this.createWebhook = this.createWebhook.bind(this)
+    this.deleteWebhook = this.deleteWebhook.bind(this)
+    this.listDeliveries = this.listDeliveries.bind(this)
+    this.getTenantId = this.getTenantId.bind(this)
+    this.handleError = this.handleError.bind(this)
+  }
+
+  /**
+   * GET /webhooks
+   * Lists the webhooks of the tenant, without their secrets
+   */
+  async listWebhooks (req, res) {
+    try {
+      const webhooks = await this.useCases.webhook.listWebhooks(this.getTenantId(req))
+
+      return res.status(200).json({
+        success: true,
+        webhooks: webhooks.map(({ secret, ...webhook }) => webhook)
+      })
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /webhooks
+   * Registers a webhook endpoint. The body has the url, and optionally the
+   * events to send. The signing secret is only returned in this response.
+   */
+  async createWebhook (req, res) {
+    try {
+      if (!req.body?.url) {
+        return res.status(400).json({
+          error: 'Missing url'
+        })
+      }
+
+      const result = await this.useCases.webhook.createWebhook({
+        tenantId: this.getTenantId(req),
+        url: req.body.url,
+        events: req.body.events
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * DELETE /webhooks/:webhookId
+   * Removes a webhook. Its pending deliveries are cancelled.
+   */
+  async deleteWebhook (req, res) {
+    try {
+      const result = await this.useCases.webhook.deleteWebhook({
+        tenantId: this.getTenantId(req),
+        webhookId: req.params.webhookId
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /webhooks/deliveries
+   * Returns a page of the webhook deliveries of the tenant, newest first,
+   * filtered by the status and webhookId query parameters
+   */
+  async listDeliveries (req, res) {
+    try {
+      const result = await this.useCases.webhook.listDeliveries({
+        tenantId: this.getTenantId(req),
+        status: req.query.status,
+        webhookId: req.query.webhookId,
+        limit: req.query.limit,
+        offset: req.query.offset
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  // The tenant that authenticated the request.
+  getTenantId (req) {
+    return req.tenant?.tenantId || DEFAULT_TENANT_ID
+  }
+
+  handleError (err, req, res) {
+    this.adapters.logger.error('Error in WebhooksRESTController:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error'
+    })
+  }
+}
+
+export default WebhooksRESTControllerLib
@@ -0,0 +1,63 @@
+/*
+  REST API library for the /webhooks route.
+*/
+
+// Public npm libraries.
+import express from 'express'
+
+// Local libraries.
+import WebhooksRESTControllerLib from './controller.js'
+import ResourceServerAuth from '../middleware/resource-server-auth.js'
+
+class WebhooksRouter {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating Webhooks REST Controller.'
+      )
+    }
+    this.useCases = localConfig.useCases
+    if (!this.useCases) {
+      throw new Error(
+        'Instance of Use Cases library required when instantiating Webhooks REST Controller.'
+      )
+    }
+
+    const dependencies = {
+      adapters: this.adapters,
+      useCases: this.useCases
+    }
+
+    // Encapsulate dependencies.
+    this.webhooksRESTController = new WebhooksRESTControllerLib(dependencies)
+    this.resourceServerAuth = new ResourceServerAuth(dependencies)
+
+    // Instantiate the router and set the base route.
+    this.router = express.Router()
+  }
+
+  attach (app) {
+    if (!app) {
+      throw new Error(
+        'Must pass app object when attaching REST API controllers.'
+      )
+    }
+
+    // A tenant manages its webhooks with the same credential its resource
+    // server uses to call /verify and /settle.
+    this.router.use(this.resourceServerAuth.authenticate)
+
+    // Define the routes and attach the controller.
+    this.router.get('/', this.webhooksRESTController.listWebhooks)
+    this.router.post('/', this.webhooksRESTController.createWebhook)
+    this.router.get('/deliveries', this.webhooksRESTController.listDeliveries)
+    this.router.delete('/:webhookId', this.webhooksRESTController.deleteWebhook)
+
+    // Attach the Controller routes to the Express app.
+    app.use('/webhooks', this.router)
+  }
+}
+
+export default WebhooksRouter
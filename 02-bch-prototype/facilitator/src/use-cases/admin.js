@@ -0,0 +1,453 @@
+/*
+  Admin use case. Lets the operator of the facilitator inspect and manage the
+  UTXO ledger.
+
+  - List and filter UTXO records, and look at one record with its debits.
+  - Adjust the remaining balance of a UTXO, or freeze and unfreeze it.
+  - Blocklist payer addresses, so they can not pay.
+  - Every change is written to the audit trail in auditDb.
+  - The balance of a UTXO can be checked against its ledger. A mismatch is
+    flagged on the record.
+*/
+
+// Global libraries
+import { randomBytes } from 'crypto'
+
+// Local libraries
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
+class AdminUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Admin Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Admin Use Case.'
+      )
+    }
+    this.balance = localConfig.balance
+    if (!this.balance) {
+      throw new Error(
+        'Instance of Balance Use Case must be passed in when instantiating Admin Use Case.'
+      )
+    }
+    this.ledger = localConfig.ledger
+    if (!this.ledger) {
+      throw new Error(
+        'Instance of Ledger Use Case must be passed in when instantiating Admin Use Case.'
+      )
+    }
+
+    // Bind 'this' object to all class methods
+    this.listUtxos = this.listUtxos.bind(this)
+    this.getUtxo = this.getUtxo.bind(this)
+    this.adjustBalance = this.adjustBalance.bind(this)
+    this.setFrozen = this.setFrozen.bind(this)
+    this.getLedger = this.getLedger.bind(this)
+    this.checkLedger = this.checkLedger.bind(this)
+    this.checkAllLedgers = this.checkAllLedgers.bind(this)
+    this.listBlocklist = this.listBlocklist.bind(this)
+    this.blockPayer = this.blockPayer.bind(this)
+    this.unblockPayer = this.unblockPayer.bind(this)
+    this.listAudit = this.listAudit.bind(this)
+    this.recordAudit = this.recordAudit.bind(this)
+  }
+
+  /**
+   * Returns a page of UTXO records that match the filters, newest first.
+   *
+   * @param status Only records with this status: active, frozen, refunded...
+   * @param tenantId Only records paid to this tenant
+   * @param address Only records funded or first paid by this address
+   * @param limit Number of records to return
+   * @param offset Number of records to skip
+   * @returns Object with success and a page of UTXO summaries
+   */
+  async listUtxos ({ status, tenantId, address, limit, offset } = {}) {
+    const records = await this.facilitator.listUtxoRecords(x => {
+      const summary = this.balance.summarizeUtxo(x)
+
+      if (status && summary.status !== status) return false
+      if (tenantId && summary.tenantId !== tenantId) return false
+      if (address && x.funderAddress !== address && x.payerAddress !== address) return false
+
+      return true
+    })
+
+    records.sort((a, b) => (b.firstSeen || '').localeCompare(a.firstSeen || ''))
+
+    return {
+      success: true,
+      utxos: this.balance.paginate(records.map(this.balance.summarizeUtxo), limit, offset)
+    }
+  }
+
+  // Returns the full record of one UTXO, and a page of its debits. Archived
+  // records are included.
+  async getUtxo ({ utxoId, limit, offset }) {
+    const [txid, vout] = utxoId.split(':')
+    const result = await this.balance.getBalance({ txid, vout, limit, offset })
+    if (!result.success) return result
+
+    let record
+    try {
+      record = await this.adapters.storage.utxoDb.get(utxoId)
+    } catch (err) {
+      if (!err.notFound) throw err
+      record = await this.adapters.storage.archiveDb.get(utxoId)
+    }
+
+    return {
+      success: true,
+      record: {
+        ...record,
+        tenantId: record.tenantId || DEFAULT_TENANT_ID
+      },
+      debits: result.debits
+    }
+  }
+
+  /**
+   * Sets the remaining balance of a UTXO. The change is kept on the record
+   * and in the audit trail. The balance can not be set below the sum of the
+   * active reservations on the UTXO.
+   *
+   * @param utxoId The UTXO to adjust
+   * @param remainingBalanceSat The new remaining balance
+   * @param reason Why the balance was adjusted
+   * @param actor Who made the change
+   * @returns Object with success and the updated record, or an errorReason
+   */
+  async adjustBalance ({ utxoId, remainingBalanceSat, reason, actor }) {
+    let newRemainingSat
+    try {
+      newRemainingSat = BigInt(remainingBalanceSat)
+    } catch (err) {
+      newRemainingSat = -1n
+    }
+
+    if (newRemainingSat < 0n || !reason) {
+      return {
+        success: false,
+        errorReason: 'invalid_adjustment'
+      }
+    }
+
+    return this.facilitator.withUtxoLock(utxoId, async () => {
+      const utxoDb = this.adapters.storage.utxoDb
+
+      let utxoInfo
+      try {
+        utxoInfo = await utxoDb.get(utxoId)
+      } catch (err) {
+        if (err.notFound) return { success: false, errorReason: 'unknown_utxo' }
+        throw err
+      }
+
+      if (utxoInfo.status) {
+        return {
+          success: false,
+          errorReason: 'utxo_closed'
+        }
+      }
+
+      if (newRemainingSat > BigInt(utxoInfo.transactionValueSat)) {
+        return {
+          success: false,
+          errorReason: 'adjustment_exceeds_utxo_value'
+        }
+      }
+
+      // The active reservations are settled from the remaining balance, so
+      // it can not be set below what they hold.
+      const reservedSat = Object.values(this.facilitator.getActiveReservations(utxoInfo))
+        .reduce((sum, x) => sum + BigInt(x.amountSat), 0n)
+      if (newRemainingSat < reservedSat) {
+        return {
+          success: false,
+          errorReason: 'adjustment_below_reserved_balance'
+        }
+      }
+
+      const timestamp = new Date().toISOString()
+      const adjustment = {
+        previousBalanceSat: utxoInfo.remainingBalanceSat,
+        remainingBalanceSat: newRemainingSat.toString(),
+        reason,
+        actor,
+        adjustedAt: timestamp
+      }
+
+      const updatedRecord = {
+        ...utxoInfo,
+        remainingBalanceSat: newRemainingSat.toString(),
+        adjustments: [...(utxoInfo.adjustments || []), adjustment],
+        lastUpdated: timestamp
+      }
+      await this.ledger.commitEntries({
+        entries: [this.ledger.createEntry({
+          utxoInfo: updatedRecord,
+          type: 'adjustment',
+          amountSat: newRemainingSat,
+          balanceDeltaSat: newRemainingSat - BigInt(utxoInfo.remainingBalanceSat),
+          actor,
+          details: { reason }
+        })],
+        ops: [{ type: 'put', store: utxoDb, key: utxoId, value: updatedRecord }]
+      })
+
+      // A used up UTXO is pruned from the account of its funder. Given back a
+      // balance, it is added to the account again.
+      if (updatedRecord.funderAddress && newRemainingSat > 0n) {
+        await this.facilitator.addUtxoToAccount({
+          address: updatedRecord.funderAddress,
+          utxoId
+        })
+      } else {
+        await this.facilitator.pruneClosedUtxo(updatedRecord)
+      }
+
+      await this.recordAudit({
+        action: 'adjust_balance',
+        target: utxoId,
+        actor,
+        details: adjustment
+      })
+
+      return {
+        success: true,
+        record: updatedRecord
+      }
+    })
+  }
+
+  // Freeze a UTXO so it can not be debited, or unfreeze it.
+  async setFrozen ({ utxoId, frozen, reason, actor }) {
+    if (!reason) {
+      return {
+        success: false,
+        errorReason: 'missing_reason'
+      }
+    }
+
+    return this.facilitator.withUtxoLock(utxoId, async () => {
+      const utxoDb = this.adapters.storage.utxoDb
+
+      let utxoInfo
+      try {
+        utxoInfo = await utxoDb.get(utxoId)
+      } catch (err) {
+        if (err.notFound) return { success: false, errorReason: 'unknown_utxo' }
+        throw err
+      }
+
+      const updatedRecord = {
+        ...utxoInfo,
+        frozen,
+        frozenReason: frozen ? `admin: ${reason}` : undefined,
+        lastUpdated: new Date().toISOString()
+      }
+      await utxoDb.put(utxoId, updatedRecord)
+      this.facilitator.emitStateChange({
+        utxoInfo: updatedRecord,
+        change: frozen ? 'frozen' : 'unfrozen',
+        reason: updatedRecord.frozenReason || reason
+      })
+
+      await this.recordAudit({
+        action: frozen ? 'freeze_utxo' : 'unfreeze_utxo',
+        target: utxoId,
+        actor,
+        details: { reason, previousFrozenReason: utxoInfo.frozenReason || null }
+      })
+
+      return {
+        success: true,
+        record: updatedRecord
+      }
+    })
+  }
+
+  // Returns a page of the ledger entries of a UTXO, newest first, and its
+  // balance rebuilt from the ledger.
+  async getLedger ({ utxoId, limit, offset }) {
+    const rebuilt = await this.facilitator.withUtxoLock(utxoId, () => {
+      return this.ledger.rebuildBalance(utxoId)
+    })
+    if (!rebuilt.success) return rebuilt
+
+    const entries = await this.ledger.listEntries(utxoId, { reverse: true })
+
+    return {
+      success: true,
+      balance: rebuilt,
+      entries: this.balance.paginate(entries, limit, offset)
+    }
+  }
+
+  /**
+   * Rebuilds the balance of a UTXO from its ledger. If it does not match the
+   * stored record, the record is flagged with ledgerMismatch. The flag is
+   * cleared once they match again.
+   *
+   * @param utxoId The UTXO to check
+   * @returns Object with success and the rebuilt balance
+   */
+  async checkLedger ({ utxoId }) {
+    return this.facilitator.withUtxoLock(utxoId, async () => {
+      const rebuilt = await this.ledger.rebuildBalance(utxoId)
+      if (!rebuilt.success) return rebuilt
+
+      // Archived records are closed, and only reported.
+      const utxoDb = this.adapters.storage.utxoDb
+      let utxoInfo
+      try {
+        utxoInfo = await utxoDb.get(utxoId)
+      } catch (err) {
+        if (!err.notFound) throw err
+        return rebuilt
+      }
+
+      if (!rebuilt.isConsistent) {
+        this.adapters.logger.error(
+          `Ledger mismatch on UTXO ${utxoId}: stored ${rebuilt.storedBalanceSat} sats, ledger ${rebuilt.ledgerBalanceSat} sats`
+        )
+
+        await utxoDb.put(utxoId, {
+          ...utxoInfo,
+          ledgerMismatch: {
+            storedBalanceSat: rebuilt.storedBalanceSat,
+            ledgerBalanceSat: rebuilt.ledgerBalanceSat,
+            storedDebitedSat: rebuilt.storedDebitedSat,
+            ledgerDebitedSat: rebuilt.ledgerDebitedSat,
+            detectedAt: new Date().toISOString()
+          }
+        })
+      } else if (utxoInfo.ledgerMismatch) {
+        const { ledgerMismatch, ...clearedRecord } = utxoInfo
+        await utxoDb.put(utxoId, clearedRecord)
+      }
+
+      return rebuilt
+    })
+  }
+
+  // Check the ledger of every UTXO record in utxoDb. Returns the number of
+  // records checked and the ones that do not match.
+  async checkAllLedgers () {
+    const records = await this.facilitator.listUtxoRecords()
+
+    const mismatches = []
+    for (const record of records) {
+      const result = await this.checkLedger({ utxoId: record.utxoId })
+      if (result.success && !result.isConsistent) mismatches.push(result)
+    }
+
+    return {
+      success: true,
+      checked: records.length,
+      mismatches
+    }
+  }
+
+  // Returns every blocklisted address.
+  async listBlocklist () {
+    const entries = await this.adapters.storage.blocklistDb.list()
+
+    return {
+      success: true,
+      blocklist: entries.map(x => x.value)
+    }
+  }
+
+  // Block an address from paying.
+  async blockPayer ({ address, reason, actor }) {
+    if (!address || !reason) {
+      return {
+        success: false,
+        errorReason: 'invalid_blocklist_entry'
+      }
+    }
+
+    const entry = {
+      address,
+      reason,
+      actor,
+      blockedAt: new Date().toISOString()
+    }
+    await this.adapters.storage.blocklistDb.put(address, entry)
+
+    await this.recordAudit({
+      action: 'block_payer',
+      target: address,
+      actor,
+      details: { reason }
+    })
+
+    return {
+      success: true,
+      entry
+    }
+  }
+
+  // Remove an address from the blocklist.
+  async unblockPayer ({ address, actor }) {
+    const isBlocklisted = await this.facilitator.isBlocklisted(address)
+    if (!isBlocklisted) {
+      return {
+        success: false,
+        errorReason: 'address_not_blocklisted'
+      }
+    }
+
+    await this.adapters.storage.blocklistDb.del(address)
+
+    await this.recordAudit({
+      action: 'unblock_payer',
+      target: address,
+      actor
+    })
+
+    return {
+      success: true,
+      address
+    }
+  }
+
+  // Returns a page of the audit trail, newest first.
+  async listAudit ({ limit, offset } = {}) {
+    const entries = await this.adapters.storage.auditDb.list({ reverse: true })
+
+    return {
+      success: true,
+      audit: this.balance.paginate(entries.map(x => x.value), limit, offset)
+    }
+  }
+
+  // Append an entry to the audit trail. Keys start with the timestamp, so
+  // the trail reads in the order the actions happened.
+  async recordAudit ({ action, target, actor, details = {} }) {
+    const timestamp = new Date().toISOString()
+    const entry = {
+      action,
+      target,
+      actor,
+      details,
+      timestamp
+    }
+
+    await this.adapters.storage.auditDb.put(
+      `${timestamp}:${randomBytes(4).toString('hex')}`,
+      entry
+    )
+
+    return entry
+  }
+}
+
+export default AdminUseCase
@@ -0,0 +1,221 @@
+/*
+  Balance use case. Lets payers look up what is left on their prepaid UTXOs,
+  and the recent debits made against them.
+
+  - The balance of a single UTXO is public. Anyone who knows the TXID can see
+    it on-chain anyway.
+  - The summary of every UTXO funded by an address is only returned to a
+    caller that signs the request with that address.
+*/
+
+// Local libraries
+import { SIGNED_REQUEST_MAX_AGE_SECONDS } from './facilitator.js'
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
+export const DEFAULT_PAGE_LIMIT = 20
+export const MAX_PAGE_LIMIT = 100
+
+class BalanceUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Balance Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Balance Use Case.'
+      )
+    }
+
+    // Bind 'this' object to all class methods
+    this.getBalance = this.getBalance.bind(this)
+    this.getAccount = this.getAccount.bind(this)
+    this.summarizeUtxo = this.summarizeUtxo.bind(this)
+    this.paginate = this.paginate.bind(this)
+  }
+
+  /**
+   * Returns the balance of a prepaid UTXO and a page of its recent debits.
+   *
+   * @param txid TXID of the prepaid UTXO
+   * @param vout Output index of the prepaid UTXO
+   * @param limit Number of debits to return, newest first
+   * @param offset Number of debits to skip
+   * @returns Object with success, the balance and a page of debits
+   */
+  async getBalance ({ txid, vout, limit, offset }) {
+    const utxoDb = this.adapters?.storage?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    const utxoId = `${txid}:${vout}`
+
+    let utxoInfo = null
+    try {
+      utxoInfo = await utxoDb.get(utxoId)
+    } catch (err) {
+      if (!err.notFound) throw err
+    }
+
+    // Closed balances are kept in the archive.
+    if (!utxoInfo) {
+      try {
+        utxoInfo = await this.adapters.storage.archiveDb.get(utxoId)
+      } catch (err) {
+        if (!err.notFound) throw err
+      }
+    }
+
+    if (!utxoInfo) {
+      return {
+        success: false,
+        errorReason: 'unknown_utxo'
+      }
+    }
+
+    const debits = [...(utxoInfo.debits || [])].reverse()
+
+    return {
+      success: true,
+      balance: this.summarizeUtxo(utxoInfo),
+      debits: this.paginate(debits, limit, offset)
+    }
+  }
+
+  /**
+   * Returns every prepaid UTXO funded by an address, the combined balance,
+   * and a page of the recent debits across all of them.
+   *
+   * The caller signs JSON.stringify({ address, timestamp }) with the address.
+   *
+   * @param address The funding address
+   * @param timestamp Unix timestamp in seconds that was signed
+   * @param signature Signature of the request by the address
+   * @param limit Number of debits to return, newest first
+   * @param offset Number of debits to skip
+   * @returns Object with success, the account summary and a page of debits
+   */
+  async getAccount ({ address, timestamp, signature, limit, offset }) {
+    if (!address || !timestamp || !signature) {
+      return {
+        success: false,
+        errorReason: 'missing_account_signature'
+      }
+    }
+
+    const bchjs = this.adapters.bchWallet.bchjs
+    let isValidSignature = false
+    try {
+      isValidSignature = bchjs.BitcoinCash.verifyMessage(
+        address,
+        signature,
+        JSON.stringify({ address, timestamp })
+      )
+    } catch (err) {
+      /* exit quietly */
+    }
+
+    if (!isValidSignature) {
+      return {
+        success: false,
+        errorReason: 'invalid_account_signature'
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    if (Math.abs(now - Number(timestamp)) > SIGNED_REQUEST_MAX_AGE_SECONDS) {
+      return {
+        success: false,
+        errorReason: 'account_request_expired'
+      }
+    }
+
+    // Only the funder sees a UTXO. A delegate that paid with it signs for its
+    // own address, and must not be shown the balances of the funder.
+    const records = await this.facilitator.listUtxoRecords(
+      x => x.funderAddress === address
+    )
+
+    let remainingBalanceSat = 0n
+    let totalDebitedSat = 0n
+    let firstSeen = null
+    let lastSeen = null
+    let debits = []
+
+    const utxos = records.map(utxoInfo => {
+      const summary = this.summarizeUtxo(utxoInfo)
+
+      remainingBalanceSat += BigInt(summary.remainingBalanceSat)
+      totalDebitedSat += BigInt(summary.totalDebitedSat)
+      if (!firstSeen || summary.firstSeen < firstSeen) firstSeen = summary.firstSeen
+      if (!lastSeen || summary.lastSeen > lastSeen) lastSeen = summary.lastSeen
+
+      debits = debits.concat(
+        (utxoInfo.debits || []).map(debit => ({ utxoId: utxoInfo.utxoId, ...debit }))
+      )
+
+      return summary
+    })
+
+    // Newest debits first.
+    debits.sort((a, b) => b.settledAt.localeCompare(a.settledAt))
+
+    return {
+      success: true,
+      account: {
+        address,
+        remainingBalanceSat: remainingBalanceSat.toString(),
+        totalDebitedSat: totalDebitedSat.toString(),
+        firstSeen,
+        lastSeen,
+        utxos
+      },
+      debits: this.paginate(debits, limit, offset)
+    }
+  }
+
+  // The fields of a UTXO record that are returned to payers.
+  summarizeUtxo (utxoInfo) {
+    const reservations = this.facilitator.getActiveReservations(utxoInfo)
+    const reservedSat = Object.values(reservations)
+      .reduce((sum, x) => sum + BigInt(x.amountSat), 0n)
+
+    return {
+      utxoId: utxoInfo.utxoId,
+      txid: utxoInfo.txid,
+      vout: utxoInfo.vout,
+      tenantId: utxoInfo.tenantId || DEFAULT_TENANT_ID,
+      funderAddress: utxoInfo.funderAddress || null,
+      transactionValueSat: utxoInfo.transactionValueSat,
+      remainingBalanceSat: utxoInfo.remainingBalanceSat,
+      reservedSat: reservedSat.toString(),
+      totalDebitedSat: utxoInfo.totalDebitedSat,
+      status: utxoInfo.status || (utxoInfo.frozen ? 'frozen' : 'active'),
+      archived: !!utxoInfo.archivedAt,
+      firstSeen: utxoInfo.firstSeen,
+      lastSeen: utxoInfo.lastUpdated
+    }
+  }
+
+  // Return one page of items, along with the paging info.
+  paginate (items, limit, offset) {
+    const pageLimit = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_PAGE_LIMIT, 1),
+      MAX_PAGE_LIMIT
+    )
+    const pageOffset = Math.max(parseInt(offset) || 0, 0)
+
+    return {
+      total: items.length,
+      limit: pageLimit,
+      offset: pageOffset,
+      items: items.slice(pageOffset, pageOffset + pageLimit)
+    }
+  }
+}
+
+export default BalanceUseCase
@@ -0,0 +1,268 @@
+/*
+  Expiry use case. A background job that closes prepaid balances that have
+  been idle for longer than the configured TTL.
+
+  - The balance left on an expired UTXO is refunded to its funder, or
+    forfeited, depending on the expiredBalancePolicy config setting.
+  - Closed records (expired, refunded or fully consumed) are moved from
+    utxoDb to archiveDb, so the hot DB stays small. An archived UTXO can not
+    be used for payment again.
+  - Frozen records are left in place for the operator to look at.
+*/
+
+// Local libraries
+import config from '../config/index.js'
+
+class ExpiryUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Expiry Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Expiry Use Case.'
+      )
+    }
+    this.ledger = localConfig.ledger
+    if (!this.ledger) {
+      throw new Error(
+        'Instance of Ledger Use Case must be passed in when instantiating Expiry Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+
+    // State
+    this.expiryTimer = null
+    this.isRunning = false
+
+    // Bind 'this' object to all class methods
+    this.start = this.start.bind(this)
+    this.stop = this.stop.bind(this)
+    this.isIdle = this.isIdle.bind(this)
+    this.expireIdleRecords = this.expireIdleRecords.bind(this)
+    this.expireUtxo = this.expireUtxo.bind(this)
+    this.closeUtxo = this.closeUtxo.bind(this)
+    this.archiveUtxo = this.archiveUtxo.bind(this)
+  }
+
+  // Start the periodic expiry job. Does nothing if no TTL is configured.
+  start () {
+    if (!this.config.utxoIdleTtlSeconds) {
+      this.adapters.logger.info('Expiry of idle prepaid balances is disabled.')
+      return false
+    }
+
+    if (!['refund', 'forfeit'].includes(this.config.expiredBalancePolicy)) {
+      throw new Error('EXPIRED_BALANCE_POLICY must be either refund or forfeit.')
+    }
+
+    this.expiryTimer = setInterval(
+      this.expireIdleRecords,
+      this.config.expiryCheckIntervalSeconds * 1000
+    )
+
+    this.adapters.logger.info(
+      `Expiring prepaid balances idle for more than ${this.config.utxoIdleTtlSeconds} seconds.`
+    )
+
+    return true
+  }
+
+  stop () {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer)
+      this.expiryTimer = null
+    }
+  }
+
+  // Returns true if a UTXO record has not been used for longer than the TTL,
+  // and can be closed.
+  isIdle (utxoInfo, now = Date.now()) {
+    // Frozen records need an operator, and an interrupted refund must not be
+    // archived before it is resolved.
+    if (utxoInfo.frozen || utxoInfo.status === 'refunding') return false
+
+    if (Object.keys(this.facilitator.getActiveReservations(utxoInfo, now)).length) {
+      return false
+    }
+
+    const lastActiveMs = new Date(utxoInfo.lastUpdated || utxoInfo.firstSeen).getTime()
+
+    return now - lastActiveMs > this.config.utxoIdleTtlSeconds * 1000
+  }
+
+  /**
+   * Closes and archives every UTXO record that has been idle for longer than
+   * the TTL. Errors on one record are logged and do not stop the others.
+   * Runs from a timer, so it logs its own errors instead of throwing.
+   *
+   * @returns Object with the number of records expired and archived, or null
+   *   if the run was skipped or failed
+   */
+  async expireIdleRecords () {
+    // Skip this run if the previous one is still going.
+    if (this.isRunning) return null
+    this.isRunning = true
+
+    const summary = {
+      archived: 0,
+      refunded: 0,
+      forfeited: 0,
+      failed: 0
+    }
+
+    try {
+      const records = await this.facilitator.listUtxoRecords(x => this.isIdle(x))
+
+      for (const record of records) {
+        try {
+          const archivedRecord = await this.expireUtxo(record.utxoId)
+          if (!archivedRecord) continue
+
+          summary.archived++
+          if (archivedRecord.expiredAction === 'refunded') summary.refunded++
+          if (archivedRecord.expiredAction === 'forfeited') summary.forfeited++
+        } catch (err) {
+          summary.failed++
+          this.adapters.logger.error(`Could not expire UTXO ${record.utxoId}:`, err)
+        }
+      }
+
+      if (records.length) {
+        this.adapters.logger.info(`Expiry job: ${JSON.stringify(summary)}`)
+      }
+
+      return summary
+    } catch (err) {
+      this.adapters.logger.error('Error in expireIdleRecords:', err)
+      return null
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  // Close the balance of an idle UTXO and move its record to the archive.
+  // Returns the archived record, or null if the UTXO is no longer idle.
+  async expireUtxo (utxoId) {
+    const closedRecord = await this.facilitator.withUtxoLock(utxoId, () => {
+      return this.closeUtxo(utxoId)
+    })
+    if (!closedRecord) return null
+
+    // Move a forfeited or fully consumed UTXO into the treasury before its
+    // record leaves the hot DB. A refunded UTXO was already spent.
+    if (
+      this.config.sweepConsumedUtxos &&
+      closedRecord.status !== 'refunded' &&
+      !closedRecord.sweepTxid
+    ) {
+      await this.facilitator.sweepConsumedUtxo({ utxoId })
+    }
+
+    return this.facilitator.withUtxoLock(utxoId, () => {
+      return this.archiveUtxo(utxoId)
+    })
+  }
+
+  // Refund or forfeit the balance left on an idle UTXO, based on the expiry
+  // policy. The caller must hold the UTXO lock. Returns the closed record, or
+  // null if the UTXO was used since it was found to be idle.
+  async closeUtxo (utxoId) {
+    const utxoDb = this.adapters.storage.utxoDb
+
+    let utxoInfo = null
+    try {
+      utxoInfo = await utxoDb.get(utxoId)
+    } catch (err) {
+      if (err.notFound) return null
+      throw err
+    }
+
+    if (!this.isIdle(utxoInfo)) return null
+
+    // Refunded and fully consumed records are already closed.
+    const remainingSat = BigInt(utxoInfo.remainingBalanceSat ?? '0')
+    if (utxoInfo.status || remainingSat <= 0n) return utxoInfo
+
+    const timestamp = new Date().toISOString()
+
+    // Balances that were never bound to a funder have nowhere to be refunded.
+    if (this.config.expiredBalancePolicy === 'refund' && utxoInfo.funderAddress) {
+      const refund = await this.facilitator.refundUtxoBalance({ utxoInfo })
+
+      if (refund.success) {
+        const refundedRecord = {
+          ...await utxoDb.get(utxoId),
+          expiredAction: 'refunded',
+          expiredAt: timestamp
+        }
+        await utxoDb.put(utxoId, refundedRecord)
+
+        return refundedRecord
+      }
+
+      // A balance too small to refund is forfeited. So is a balance paid to
+      // another tenant, which already holds the funds.
+      const forfeitReasons = ['refund_below_dust_limit', 'refund_not_supported_for_tenant']
+      if (!forfeitReasons.includes(refund.errorReason)) {
+        throw new Error(`Refund failed: ${refund.errorReason}`)
+      }
+    }
+
+    const forfeitedRecord = {
+      ...utxoInfo,
+      status: 'forfeited',
+      remainingBalanceSat: '0',
+      forfeitedSat: remainingSat.toString(),
+      expiredAction: 'forfeited',
+      expiredAt: timestamp,
+      lastUpdated: timestamp
+    }
+    await this.ledger.commitEntries({
+      entries: [this.ledger.createEntry({
+        utxoInfo: forfeitedRecord,
+        type: 'forfeit',
+        amountSat: remainingSat
+      })],
+      ops: [{ type: 'put', store: utxoDb, key: utxoId, value: forfeitedRecord }]
+    })
+    this.adapters.logger.info(`Forfeited ${remainingSat} sats of expired UTXO ${utxoId}`)
+
+    return forfeitedRecord
+  }
+
+  // Move a closed UTXO record from utxoDb to archiveDb, and remove it from
+  // its funder's account. The caller must hold the UTXO lock.
+  async archiveUtxo (utxoId) {
+    const { utxoDb, archiveDb } = this.adapters.storage
+
+    const utxoInfo = await utxoDb.get(utxoId)
+    const archivedRecord = {
+      ...utxoInfo,
+      archivedAt: new Date().toISOString()
+    }
+
+    // Moved in one transaction, so the UTXO is never missing from both DBs.
+    await this.adapters.storage.transaction([
+      { type: 'put', store: archiveDb, key: utxoId, value: archivedRecord },
+      { type: 'del', store: utxoDb, key: utxoId }
+    ])
+
+    if (utxoInfo.funderAddress) {
+      await this.facilitator.removeUtxoFromAccount({
+        address: utxoInfo.funderAddress,
+        utxoId
+      })
+    }
+
+    return archivedRecord
+  }
+}
+
+export default ExpiryUseCase
@@ -6,9 +6,55 @@
   - Facilitator adds new UTXOs to the Level DB for quick lookup.
   - Client can send any amount in UTXO. Each call is debited against that UTXO
     until the amount is exhausted.
+  - /verify reserves the cost of a call against the UTXO balance. /settle
+    commits the reservation as a debit, and /release drops it when the call
+    failed. Reservations that are never settled expire after
+    maxTimeoutSeconds.
+  - A metered call reserves the most it may cost, and /settle is told the
+    amount it actually used. Only that amount is debited, and the rest of
+    the reservation is released.
+  - Fully consumed UTXOs can optionally be swept from the server address
+    into a treasury address.
+  - The funder of a UTXO can ask for a refund of its unused balance, which
+    closes the balance.
+  - Payments are made to a tenant, found from the payTo address of the
+    payment requirements. A UTXO balance can only be spent at its tenant.
+  - Every UTXO bound to a funder also tops up the funder's account. An
+    authorization can name the account instead of a UTXO, and the cost is
+    then debited across the account's UTXOs, oldest first.
+  - Every change to a UTXO balance is also written to the append-only ledger.
+  - Changes of state that are not balance changes, like a UTXO being frozen,
+    are emitted on the events emitter as 'utxo_state_changed' events.
 */
 
+// Global libraries
+import { EventEmitter } from 'events'
+
+// Local libraries
+import config from '../config/index.js'
+import { DUST_LIMIT_SAT } from '../adapters/bch-wallet.js'
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
 export const DEFAULT_MIN_CONFIRMATIONS = 1
+export const DEFAULT_MAX_TIMEOUT_SECONDS = 60
+
+// Number of recent debits kept on each UTXO record.
+export const MAX_DEBIT_HISTORY = 100
+
+// How far the timestamp of a signed delegation or refund request may be from
+// the current time.
+export const SIGNED_REQUEST_MAX_AGE_SECONDS = 300
+
+// Name of the event emitted when a UTXO changes state.
+export const UTXO_STATE_CHANGED = 'utxo_state_changed'
+
+// Re-check results that mean the funding TX can no longer be trusted. A UTXO
+// that fails the re-check for one of these reasons is frozen.
+export const FREEZE_REASONS = [
+  'utxo_not_found',
+  'invalid_receiver_address',
+  'double_spend_proof_detected'
+]
 
 class FacilitatorUseCase {
   constructor (localConfig = {}) {
@@ -19,11 +65,73 @@ class FacilitatorUseCase {
       )
     }
 
+    this.tenants = localConfig.tenants
+    if (!this.tenants) {
+      throw new Error(
+        'Instance of Tenant Use Case must be passed in when instantiating Facilitator Use Case.'
+      )
+    }
+
+    this.ledger = localConfig.ledger
+    if (!this.ledger) {
+      throw new Error(
+        'Instance of Ledger Use Case must be passed in when instantiating Facilitator Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.events = new EventEmitter()
+
+    // Tail of the promise chain for each UTXO currently being debited. Used to
+    // serialize balance updates so that parallel calls can not overspend.
+    this.utxoLocks = new Map()
+
     // Bind 'this' object to all class methods
+    this.withUtxoLock = this.withUtxoLock.bind(this)
+    this.emitStateChange = this.emitStateChange.bind(this)
     this.listSupportedKinds = this.listSupportedKinds.bind(this)
     this.validateUtxo = this.validateUtxo.bind(this)
+    this.loadUtxoRecord = this.loadUtxoRecord.bind(this)
+    this.isUtxoArchived = this.isUtxoArchived.bind(this)
+    this.bindUtxoFunder = this.bindUtxoFunder.bind(this)
+    this.getAvailableSat = this.getAvailableSat.bind(this)
+    this.settleUtxo = this.settleUtxo.bind(this)
+    this.applyDebit = this.applyDebit.bind(this)
+    this.createDebitEntries = this.createDebitEntries.bind(this)
+    this.createRelease = this.createRelease.bind(this)
+    this.releaseFromUtxos = this.releaseFromUtxos.bind(this)
+    this.recheckUnconfirmedUtxo = this.recheckUnconfirmedUtxo.bind(this)
+    this.getActiveReservations = this.getActiveReservations.bind(this)
+    this.isBlocklisted = this.isBlocklisted.bind(this)
+    this.sweepConsumedUtxo = this.sweepConsumedUtxo.bind(this)
+    this.findFunderForPayer = this.findFunderForPayer.bind(this)
+    this.isAuthorizedPayer = this.isAuthorizedPayer.bind(this)
+    this.isDelegate = this.isDelegate.bind(this)
+    this.registerDelegate = this.registerDelegate.bind(this)
+    this.refundPayment = this.refundPayment.bind(this)
+    this.refundUtxoBalance = this.refundUtxoBalance.bind(this)
+    this.validateTimeWindow = this.validateTimeWindow.bind(this)
+    this.getNonceRecord = this.getNonceRecord.bind(this)
+    this.isNonceUsed = this.isNonceUsed.bind(this)
+    this.createNonceOp = this.createNonceOp.bind(this)
+    this.verifyAuthorization = this.verifyAuthorization.bind(this)
+    this.validateAuthorizationTerms = this.validateAuthorizationTerms.bind(this)
+    this.withUtxoLocks = this.withUtxoLocks.bind(this)
+    this.getAccountRecord = this.getAccountRecord.bind(this)
+    this.addUtxoToAccount = this.addUtxoToAccount.bind(this)
+    this.removeUtxoFromAccount = this.removeUtxoFromAccount.bind(this)
+    this.isUtxoClosed = this.isUtxoClosed.bind(this)
+    this.pruneClosedUtxo = this.pruneClosedUtxo.bind(this)
+    this.reserveFromAccount = this.reserveFromAccount.bind(this)
+    this.settleFromAccount = this.settleFromAccount.bind(this)
+    this.listUtxoRecords = this.listUtxoRecords.bind(this)
+    this.migrateUtxoRecordsToAccounts = this.migrateUtxoRecordsToAccounts.bind(this)
     this.verifyPayment = this.verifyPayment.bind(this)
     this.settlePayment = this.settlePayment.bind(this)
+    this.verifyAccountPayment = this.verifyAccountPayment.bind(this)
+    this.settleAccountPayment = this.settleAccountPayment.bind(this)
+    this.releasePayment = this.releasePayment.bind(this)
   }
 
   /**
@@ -43,12 +151,50 @@ class FacilitatorUseCase {
     }
   }
 
-  // Validate a payment UTXO
-  async validateUtxo ({ paymentPayload, paymentRequirements }) {
+  // Run fn() after every earlier call queued against the same UTXO has
+  // finished. The read-modify-write of a UTXO record must happen inside this
+  // lock, or concurrent requests will overwrite each other's debits.
+  async withUtxoLock (utxoId, fn) {
+    const previous = this.utxoLocks.get(utxoId) || Promise.resolve()
+
+    let release
+    const current = new Promise(resolve => { release = resolve })
+    const tail = previous.then(() => current)
+    this.utxoLocks.set(utxoId, tail)
+
     try {
-      console.log('validateUtxo() paymentPayload:', paymentPayload)
-      console.log('validateUtxo() paymentRequirements:', paymentRequirements)
+      await previous
+      return await fn()
+    } finally {
+      release()
+
+      // Clean up once the queue for this UTXO is empty.
+      if (this.utxoLocks.get(utxoId) === tail) {
+        this.utxoLocks.delete(utxoId)
+      }
+    }
+  }
+
+  // Tell listeners that a UTXO record changed state, e.g. it was frozen.
+  // utxoInfo is the record after the change.
+  emitStateChange ({ utxoInfo, change, reason }) {
+    this.events.emit(UTXO_STATE_CHANGED, {
+      utxoId: utxoInfo.utxoId,
+      tenantId: utxoInfo.tenantId || DEFAULT_TENANT_ID,
+      change,
+      reason: reason || null,
+      confirmations: utxoInfo.confirmations,
+      remainingBalanceSat: utxoInfo.remainingBalanceSat,
+      changedAt: new Date().toISOString()
+    })
+  }
 
+  // Validate a payment UTXO and reserve the cost of the call against its
+  // balance. The reservation is turned into a debit by settleUtxo(). If it is
+  // never settled, it expires after maxTimeoutSeconds. nonceOp, built by
+  // createNonceOp(), is stored in the same transaction as the reservation.
+  async validateUtxo ({ paymentPayload, paymentRequirements, tenant, nonceOp }) {
+    try {
       /*
         Example paymentPayload and paymentRequirements:
 
@@ -64,7 +210,12 @@ class FacilitatorUseCase {
               value: 1000,
               txid: 'b74dcfc839eb3693be811be64e563171d83e191388fdda900f2d3b952df01ba7',
               vout: 0,
-              amount: 2000
+              amount: 2000,
+              resource: 'http://localhost:4021/weather',
+              method: 'GET',
+              nonce: '0x3c9f0b6e1a7d4e8f2b5c6a9d0e1f2a3b4c5d6e7f8091a2b3c4d5e6f708192a3b',
+              validAfter: '1761945540',
+              validBefore: '1761945660'
             }
           }
         }
@@ -95,114 +246,99 @@ class FacilitatorUseCase {
       const utxoId = `${paymentPayload.payload.authorization.txid}:${paymentPayload.payload.authorization.vout}`
 
       // Ensure the UTXO database is initialized.
-      const utxoDb = this.adapters?.levelDB?.utxoDb
+      const utxoDb = this.adapters?.storage?.utxoDb
       if (!utxoDb) {
         throw new Error('UTXO database not initialized')
       }
 
-      const walletAdapter = this.adapters.bchWallet
-      // const logger = this.adapters.logger
-      // const bchjs = walletAdapter.bchjs
-
-      // Calculate the cost of the call in satoshis.
-      const callCostSat = BigInt(
-        paymentRequirements?.minAmountRequired ??
-          paymentRequirements?.maxAmountRequired ??
-          0
-      )
-      // const revalidateThresholdMs = 5 * 60 * 1000 // 5 minutes
+      // The cost of the call is the amount the payer signed for. It has
+      // already been checked against the payment requirements.
       const { authorization } = paymentPayload.payload
-      const { txid, vout } = authorization
+      const callCostSat = BigInt(authorization.value)
+      const { txid, vout, nonce } = authorization
       const payerAddress = authorization.from
 
-      // Try to get the UTXO information from the Level DB
-      let utxoInfo = null
-      try {
-        utxoInfo = await utxoDb.get(utxoId)
-      } catch (err) {
-        /* exit quietly */
+      // Reservations are held for the time the resource server has to settle.
+      const maxTimeoutSeconds = Number(paymentRequirements?.maxTimeoutSeconds) ||
+        DEFAULT_MAX_TIMEOUT_SECONDS
+
+      const loaded = await this.loadUtxoRecord({ txid, vout, payerAddress, tenant })
+      if (!loaded.isValid) {
+        return loaded
       }
 
+      // Only the address that funded the UTXO, or a delegate it authorized,
+      // can spend its balance. The UTXO is bound to its funder on first use.
+      const isNewlyBound = !loaded.utxoInfo.funderAddress
+      const utxoInfo = await this.bindUtxoFunder({ ...loaded, payerAddress })
       if (!utxoInfo) {
-        console.log('UTXO not found in Level DB')
-
-        // Validate the UTXO
-        const utxoValidation = await walletAdapter.validateUtxo({ txid, vout })
-        console.log('utxoValidation:', utxoValidation)
-
-        const remainingBalanceSat = BigInt(utxoValidation.utxoAmountSat) - callCostSat
-        if (remainingBalanceSat < 0n) {
-          return {
-            isValid: false,
-            invalidReason: 'insufficient_utxo_balance',
-            utxoAmountSat: utxoValidation.utxoAmountSat.toString()
-          }
-        }
-
-        const timestamp = new Date().toISOString()
-        const record = {
-          utxoId,
-          txid,
-          vout,
-          payerAddress,
-          receiverAddress: utxoValidation.receiverAddress,
-          transactionValueSat: utxoValidation.utxoAmountSat.toString(),
-          remainingBalanceSat: remainingBalanceSat.toString(),
-          totalDebitedSat: callCostSat.toString(),
-          lastUpdated: timestamp,
-          firstSeen: timestamp,
-          lastChecked: timestamp
+        return {
+          isValid: false,
+          invalidReason: 'payer_not_utxo_funder'
         }
+      }
 
-        await utxoDb.put(utxoId, record)
-        console.log('UTXO added to Level DB')
+      const now = Date.now()
+      const reservations = this.getActiveReservations(utxoInfo, now)
 
+      // Balance that is not already held by another pending call.
+      const availableSat = this.getAvailableSat(utxoInfo, now) - callCostSat
+      if (availableSat < 0n) {
         return {
-          isValid: true,
-          remainingBalanceSat: remainingBalanceSat.toString(),
-          utxoInfo: record
+          isValid: false,
+          invalidReason: 'insufficient_utxo_balance',
+          remainingBalanceSat: (availableSat + callCostSat).toString()
         }
-      } else {
-        const currentRemainingSat = BigInt(
-          utxoInfo.remainingBalanceSat ?? utxoInfo.remainingBalance ?? '0'
-        )
-        const totalDebitedSat = BigInt(
-          utxoInfo.totalDebitedSat ?? utxoInfo.totalDebited ?? '0'
-        )
+      }
 
-        const updatedRemainingSat = currentRemainingSat - callCostSat
+      reservations[nonce] = {
+        amountSat: callCostSat.toString(),
+        payerAddress,
+        reservedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + maxTimeoutSeconds * 1000).toISOString()
+      }
 
-        if (updatedRemainingSat < 0n) {
-          return {
-            isValid: false,
-            invalidReason: 'insufficient_utxo_balance',
-            remainingBalanceSat: currentRemainingSat.toString()
-          }
-        }
+      const timestamp = new Date(now).toISOString()
+      const updatedRecord = {
+        ...utxoInfo,
+        reservations,
+        lastUpdated: timestamp
+      }
 
-        const updatedTotalDebitedSat = totalDebitedSat + callCostSat
-        const timestamp = new Date().toISOString()
-        const updatedRecord = {
-          ...utxoInfo,
-          remainingBalanceSat: updatedRemainingSat.toString(),
-          totalDebitedSat: updatedTotalDebitedSat.toString(),
-          lastUpdated: timestamp,
-          lastChecked: timestamp
-        }
+      const entries = []
+      if (loaded.isNewRecord) {
+        entries.push(this.ledger.createEntry({
+          utxoInfo: updatedRecord,
+          type: 'credit',
+          amountSat: updatedRecord.transactionValueSat
+        }))
+      }
+      entries.push(this.ledger.createEntry({
+        utxoInfo: updatedRecord,
+        type: 'reservation',
+        amountSat: callCostSat,
+        paymentPayload
+      }))
 
-        await utxoDb.put(utxoId, updatedRecord)
+      await this.ledger.commitEntries({
+        entries,
+        ops: [
+          { type: 'put', store: utxoDb, key: utxoId, value: updatedRecord },
+          ...(nonceOp ? [nonceOp] : [])
+        ]
+      })
 
-        return {
-          isValid: true,
-          remainingBalanceSat: updatedRemainingSat.toString(),
-          utxoInfo: updatedRecord
-        }
+      // A UTXO bound to its funder tops up the funder's account.
+      if (isNewlyBound) {
+        await this.addUtxoToAccount({ address: utxoInfo.funderAddress, utxoId })
       }
 
-      // return {
-      //   isValid: false,
-      //   invalidReason: 'unknown_utxo_state'
-      // }
+      return {
+        isValid: true,
+        remainingBalanceSat: availableSat.toString(),
+        reservedSat: callCostSat.toString(),
+        utxoInfo: updatedRecord
+      }
     } catch (err) {
       console.error('Error in validateUtxo:', err)
       return {
@@ -213,222 +349,2137 @@ class FacilitatorUseCase {
     }
   }
 
-  /**
-   * Verifies a payment authorization without settling it on-chain.
-   *
-   * Checks the signature and payment details are valid according to the
-   * payment requirements.
-   *
-   * @param paymentPayload The signed payment authorization
-   * @param paymentRequirements The expected payment details
-   * @returns Verification result with validity and payer address
-   */
-  async verifyPayment (paymentPayload, paymentRequirements) {
-    console.log('FacilitatorUseCase verifyPayment() paymentPayload:', paymentPayload)
-    console.log('FacilitatorUseCase verifyPayment() paymentRequirements:', paymentRequirements)
+  // Get the record of a payment UTXO, creating it from the chain the first
+  // time the UTXO is seen. Returns an invalidReason if the UTXO does not pass
+  // the acceptance policy, belongs to another tenant, is frozen, or has been
+  // refunded. isNewRecord is true if the record is not stored yet; the caller
+  // stores it and credits it in the ledger.
+  async loadUtxoRecord ({ txid, vout, payerAddress, tenant }) {
+    const utxoId = `${txid}:${vout}`
+    const utxoDb = this.adapters.storage.utxoDb
+    const walletAdapter = this.adapters.bchWallet
 
+    // Try to get the UTXO information from the Level DB
+    let utxoInfo = null
     try {
-      const bchjs = this.adapters.bchWallet.bchjs
+      utxoInfo = await utxoDb.get(utxoId)
+    } catch (err) {
+      /* exit quietly */
+    }
 
-      // Verify network matches
-      if (paymentRequirements.network !== 'bch') {
+    // Input addresses of the funding TX, when it was looked up on this call.
+    let funderAddresses = null
+    let isNewRecord = false
+
+    if (!utxoInfo) {
+      // An archived UTXO was closed. It must not be read from the chain again
+      // with a fresh balance.
+      const isArchived = await this.isUtxoArchived(utxoId)
+      if (isArchived) {
         return {
           isValid: false,
-          invalidReason: 'invalid_network',
-          payer: ''
+          invalidReason: 'utxo_expired'
         }
       }
 
-      if (paymentPayload.network !== 'bch') {
+      // Validate the UTXO against the acceptance policy.
+      const utxoValidation = await walletAdapter.validateUtxo({ txid, vout, payTo: tenant.payTo })
+      this.adapters.logger.debug(`Validated new UTXO ${utxoId}: ${describeOutcome(utxoValidation)}`)
+
+      if (!utxoValidation.isValid) {
         return {
           isValid: false,
-          invalidReason: 'invalid_network',
-          payer: ''
+          invalidReason: utxoValidation.invalidReason || 'invalid_utxo'
         }
       }
 
-      // Verify scheme matches
-      if (paymentRequirements.scheme !== 'utxo' || paymentPayload.scheme !== 'utxo') {
+      funderAddresses = utxoValidation.funderAddresses
+      isNewRecord = true
+
+      const timestamp = new Date().toISOString()
+      utxoInfo = {
+        utxoId,
+        txid,
+        vout,
+        tenantId: tenant.tenantId,
+        payerAddress,
+        funderAddress: null,
+        receiverAddress: utxoValidation.receiverAddress,
+        transactionValueSat: utxoValidation.utxoAmountSat.toString(),
+        remainingBalanceSat: utxoValidation.utxoAmountSat.toString(),
+        totalDebitedSat: '0',
+        reservations: {},
+        confirmations: utxoValidation.confirmations,
+        isConfirmed: utxoValidation.isConfirmed,
+        lastUpdated: timestamp,
+        firstSeen: timestamp,
+        lastChecked: timestamp
+      }
+    } else {
+      // A balance can only be spent at the tenant it was paid to. Records
+      // created before tenants existed belong to the default tenant.
+      if ((utxoInfo.tenantId || DEFAULT_TENANT_ID) !== tenant.tenantId) {
         return {
           isValid: false,
-          invalidReason: 'invalid_scheme',
-          payer: ''
+          invalidReason: 'tenant_mismatch'
         }
       }
 
-      // Extract authorization and signature
-      const payload = paymentPayload.payload
-      if (!payload || !payload.authorization || !payload.signature) {
-        return {
-          isValid: false,
-          invalidReason: 'invalid_payload',
-          payer: ''
-        }
+      // Zero-conf UTXOs are checked against the chain again until they
+      // confirm.
+      utxoInfo = await this.recheckUnconfirmedUtxo(utxoInfo)
+    }
+
+    if (utxoInfo.frozen) {
+      return {
+        isValid: false,
+        invalidReason: 'utxo_frozen',
+        frozenReason: utxoInfo.frozenReason
       }
+    }
 
-      const { authorization, signature } = payload
-      const payerAddress = authorization.from
+    // A refunded UTXO has no balance left to spend.
+    if (utxoInfo.status === 'refunding' || utxoInfo.status === 'refunded') {
+      return {
+        isValid: false,
+        invalidReason: 'utxo_refunded'
+      }
+    }
 
-      // Verify signature
-      const messageToVerify = JSON.stringify(authorization)
-      let isValidSignature = false
+    if (utxoInfo.status === 'forfeited') {
+      return {
+        isValid: false,
+        invalidReason: 'utxo_expired'
+      }
+    }
+
+    return {
+      isValid: true,
+      utxoInfo,
+      funderAddresses,
+      isNewRecord
+    }
+  }
+
+  // Returns true if the UTXO record was closed and moved to the archive DB.
+  async isUtxoArchived (utxoId) {
+    const archiveDb = this.adapters?.storage?.archiveDb
+    if (!archiveDb) {
+      throw new Error('Archive database not initialized')
+    }
+
+    try {
+      await archiveDb.get(utxoId)
+      return true
+    } catch (err) {
+      if (err.notFound) return false
+      throw err
+    }
+  }
+
+  // Check that the payer may spend a UTXO. A UTXO that is not yet bound is
+  // bound to the funder the payer spends for. Returns the (possibly updated)
+  // record, or null if the payer is not allowed to spend the UTXO.
+  async bindUtxoFunder ({ utxoInfo, funderAddresses, payerAddress }) {
+    if (utxoInfo.funderAddress) {
+      const isAuthorized = await this.isAuthorizedPayer({
+        funderAddress: utxoInfo.funderAddress,
+        payerAddress
+      })
+
+      return isAuthorized ? utxoInfo : null
+    }
+
+    if (!funderAddresses) {
+      funderAddresses = await this.adapters.bchWallet.getFunderAddresses({ txid: utxoInfo.txid })
+    }
+
+    const funderAddress = await this.findFunderForPayer({ funderAddresses, payerAddress })
+    if (!funderAddress) return null
+
+    return { ...utxoInfo, funderAddress }
+  }
+
+  // Balance of a UTXO that is not held by an active reservation.
+  getAvailableSat (utxoInfo, now = Date.now()) {
+    const reservations = this.getActiveReservations(utxoInfo, now)
+
+    const currentRemainingSat = BigInt(
+      utxoInfo.remainingBalanceSat ?? utxoInfo.remainingBalance ?? '0'
+    )
+    const reservedSat = Object.values(reservations)
+      .reduce((sum, x) => sum + BigInt(x.amountSat), 0n)
+
+    return currentRemainingSat - reservedSat
+  }
+
+  // Commit the reservation made by validateUtxo() for this authorization.
+  // The reserved amount, or the smaller amountSat of a metered call, is
+  // debited from the UTXO balance exactly once.
+  async settleUtxo ({ paymentPayload, tenant, amountSat = null }) {
+    try {
+      const { authorization } = paymentPayload.payload
+      const { txid, vout, nonce } = authorization
+      const utxoId = `${txid}:${vout}`
+
+      // Ensure the UTXO database is initialized.
+      const utxoDb = this.adapters?.storage?.utxoDb
+      if (!utxoDb) {
+        throw new Error('UTXO database not initialized')
+      }
 
+      let utxoInfo = null
       try {
-        isValidSignature = bchjs.BitcoinCash.verifyMessage(
-          payerAddress,
-          signature,
-          messageToVerify
-        )
-      } catch (error) {
-        this.adapters.logger.error('Error verifying signature:', error)
+        utxoInfo = await utxoDb.get(utxoId)
+      } catch (err) {
+        /* exit quietly */
+      }
+
+      if (!utxoInfo) {
         return {
-          isValid: false,
-          invalidReason: 'invalid_exact_bch_payload_signature',
-          payer: payerAddress
+          success: false,
+          errorReason: 'unknown_utxo'
         }
       }
 
-      if (!isValidSignature) {
+      if ((utxoInfo.tenantId || DEFAULT_TENANT_ID) !== tenant.tenantId) {
         return {
-          isValid: false,
-          invalidReason: 'invalid_exact_bch_payload_signature',
-          payer: payerAddress
+          success: false,
+          errorReason: 'tenant_mismatch'
+        }
+      }
+
+      // A UTXO frozen after the reservation was made can not be debited.
+      if (utxoInfo.frozen) {
+        return {
+          success: false,
+          errorReason: 'utxo_frozen'
         }
       }
 
-      // Validate the UTXO is still valid for paying for this call.
-      const utxoValidation = await this.validateUtxo({ paymentPayload, paymentRequirements })
-      console.log('utxoValidation:', utxoValidation)
+      const reservation = utxoInfo.reservations?.[nonce]
+      if (!reservation) {
+        // Tell apart a second settle call from a payment that was never verified.
+        const nonceRecord = await this.getNonceRecord({ utxoId, nonce })
 
-      if (!utxoValidation.isValid) {
         return {
-          isValid: false,
-          invalidReason: utxoValidation.invalidReason || 'invalid_utxo',
-          payer: payerAddress
+          success: false,
+          errorReason: nonceRecord?.status === 'settled'
+            ? 'payment_already_settled'
+            : 'reservation_not_found'
+        }
+      }
+
+      const now = Date.now()
+      const reservations = this.getActiveReservations(utxoInfo, now)
+      const timestamp = new Date(now).toISOString()
+
+      if (!reservations[nonce]) {
+        // Drop the expired reservation so it no longer holds any balance.
+        await utxoDb.put(utxoId, {
+          ...utxoInfo,
+          reservations,
+          lastUpdated: timestamp
+        })
+
+        return {
+          success: false,
+          errorReason: 'reservation_expired'
+        }
+      }
+
+      const reservedSat = BigInt(reservation.amountSat)
+      const debitSat = amountSat ?? reservedSat
+      if (debitSat > reservedSat) {
+        return {
+          success: false,
+          errorReason: 'settle_amount_exceeds_reservation'
         }
       }
 
+      const updatedRecord = this.applyDebit({
+        utxoInfo,
+        reservations,
+        authorization,
+        timestamp,
+        debitSat
+      })
+
+      // Proof of the debit, returned to the resource server and stored with
+      // the nonce.
+      const receipt = {
+        utxoId,
+        txid,
+        vout,
+        payer: authorization.from,
+        nonce,
+        debitedSat: debitSat.toString(),
+        reservedSat: reservation.amountSat,
+        remainingBalanceSat: updatedRecord.remainingBalanceSat,
+        totalDebitedSat: updatedRecord.totalDebitedSat,
+        settledAt: timestamp
+      }
+
+      // The balance, its ledger entries and the settled nonce are stored
+      // together, so a crash can not debit a payment twice or lose a debit.
+      await this.ledger.commitEntries({
+        entries: this.createDebitEntries({ utxoInfo: updatedRecord, paymentPayload, reservedSat, debitSat }),
+        ops: [
+          { type: 'put', store: utxoDb, key: utxoId, value: updatedRecord },
+          await this.createNonceOp({
+            utxoId,
+            nonce,
+            payerAddress: authorization.from,
+            status: 'settled',
+            receipt
+          })
+        ]
+      })
+      await this.pruneClosedUtxo(updatedRecord)
+
       return {
-        isValid: true,
-        payer: payerAddress,
-        utxoId: utxoValidation.utxoId
+        success: true,
+        receipt,
+        utxoInfo: updatedRecord
       }
-    } catch (error) {
-      this.adapters.logger.error('Error in verifyPayment:', error)
+    } catch (err) {
+      console.error('Error in settleUtxo:', err)
       return {
-        isValid: false,
-        invalidReason: 'unexpected_verify_error',
-        payer: paymentPayload?.payload?.authorization?.from || ''
+        success: false,
+        errorReason: 'unexpected_utxo_settle_error',
+        errorMessage: err.message
       }
     }
   }
 
-  /**
-   * Settles a payment by broadcasting the transaction to the blockchain.
-   *
-   * Creates a transaction from the payment authorization and broadcasts it
-   * to the Bitcoin Cash network.
-   *
-   * @param paymentPayload The signed payment authorization
-   * @param paymentRequirements The expected payment details
-   * @returns Settlement result with transaction hash and status
-   */
-  async settlePayment (paymentPayload, paymentRequirements) {
-    this.adapters.logger.info('FacilitatorUseCase settlePayment() paymentPayload:', paymentPayload)
-    this.adapters.logger.info('FacilitatorUseCase settlePayment() paymentRequirements:', paymentRequirements)
+  // Turn the active reservation of an authorization into a debit. Returns the
+  // updated UTXO record, with the reservation removed and the debit added to
+  // its history. debitSat defaults to the reserved amount. The caller stores
+  // the record.
+  applyDebit ({ utxoInfo, reservations, authorization, timestamp, debitSat }) {
+    const { nonce } = authorization
+    debitSat = debitSat ?? BigInt(reservations[nonce].amountSat)
 
-    try {
-      // Re-verify payment
-      const verification = await this.verifyPayment(paymentPayload, paymentRequirements)
+    const updatedReservations = { ...reservations }
+    delete updatedReservations[nonce]
 
-      if (!verification.isValid) {
-        return {
-          success: false,
-          errorReason: verification.invalidReason || 'invalid_payment',
-          transaction: '',
-          network: 'bch',
-          payer: verification.payer || ''
+    const currentRemainingSat = BigInt(
+      utxoInfo.remainingBalanceSat ?? utxoInfo.remainingBalance ?? '0'
+    )
+    const totalDebitedSat = BigInt(
+      utxoInfo.totalDebitedSat ?? utxoInfo.totalDebited ?? '0'
+    )
+
+    return {
+      ...utxoInfo,
+      remainingBalanceSat: (currentRemainingSat - debitSat).toString(),
+      totalDebitedSat: (totalDebitedSat + debitSat).toString(),
+      reservations: updatedReservations,
+      debits: [
+        ...(utxoInfo.debits || []),
+        {
+          nonce,
+          amountSat: debitSat.toString(),
+          payer: authorization.from,
+          resource: authorization.resource,
+          method: authorization.method,
+          settledAt: timestamp
         }
-      }
+      ].slice(-MAX_DEBIT_HISTORY),
+      lastUpdated: timestamp,
+      lastSettled: timestamp
+    }
+  }
 
-      const payerAddress = verification.payer
-      const authorization = paymentPayload.payload.authorization
-      const amount = parseInt(authorization.value, 10) // Amount in satoshis
-      const payTo = paymentRequirements.payTo
+  // Build the ledger entries of a settled reservation: the debit, and a
+  // release of the part of the reservation that was not used. The caller
+  // commits them with the updated UTXO record.
+  createDebitEntries ({ utxoInfo, paymentPayload, reservedSat, debitSat }) {
+    const entries = [this.ledger.createEntry({
+      utxoInfo,
+      type: 'debit',
+      amountSat: debitSat,
+      paymentPayload
+    })]
 
-      // Initialize wallet if not already initialized
-      if (!this.adapters.bchWallet.isWalletInitialized()) {
-        await this.adapters.bchWallet.initializeWallet()
-      }
+    if (reservedSat > debitSat) {
+      entries.push(this.ledger.createEntry({
+        utxoInfo,
+        type: 'release',
+        amountSat: reservedSat - debitSat,
+        paymentPayload
+      }))
+    }
 
-      const wallet = this.adapters.bchWallet.getWallet()
-      const facilitatorAddress = this.adapters.bchWallet.getFacilitatorAddress()
+    return entries
+  }
 
-      // Create and broadcast transaction
-      // Note: The facilitator creates the transaction, not the payer
-      // This is different from EVM where we use the signed authorization
-      // For BCH, we need to create a new transaction from the facilitator's wallet
-      // However, the payment authorization proves the payer's intent
-      // In a real implementation, you might want to use a different approach
-      // For now, we'll create a transaction from facilitator to payTo with the authorized amount
+  // Drop the reservation of an authorization from a UTXO record, so it no
+  // longer holds any balance. Returns the released amount, the updated record
+  // and its ledger entry, for the caller to commit while it holds the lock of
+  // the UTXO. Returns null if the record holds no reservation for the nonce.
+  createRelease ({ utxoInfo, paymentPayload, now = Date.now() }) {
+    const { nonce } = paymentPayload.payload.authorization
+    const reservation = utxoInfo.reservations?.[nonce]
+    if (!reservation) return null
 
-      // Check facilitator balance first
-      const facilitatorBalance = await wallet.getBalance({ bchAddress: facilitatorAddress })
-      if (facilitatorBalance < amount) {
-        return {
-          success: false,
-          errorReason: 'insufficient_funds',
-          transaction: '',
-          network: 'bch',
-          payer: payerAddress
-        }
+    const reservations = this.getActiveReservations(utxoInfo, now)
+    delete reservations[nonce]
+
+    const updatedRecord = {
+      ...utxoInfo,
+      reservations,
+      lastUpdated: new Date(now).toISOString()
+    }
+
+    return {
+      amountSat: BigInt(reservation.amountSat),
+      updatedRecord,
+      entry: this.ledger.createEntry({
+        utxoInfo: updatedRecord,
+        type: 'release',
+        amountSat: reservation.amountSat,
+        paymentPayload
+      })
+    }
+  }
+
+  // Release the reservations of an authorization on every UTXO in utxoIds
+  // that belongs to the tenant. nonceId is the key the nonce was recorded
+  // under: the UTXO, or the account. The caller must hold the locks of every
+  // UTXO in utxoIds.
+  async releaseFromUtxos ({ paymentPayload, tenant, utxoIds, nonceId }) {
+    try {
+      const utxoDb = this.adapters?.storage?.utxoDb
+      if (!utxoDb) {
+        throw new Error('UTXO database not initialized')
       }
 
-      // Create transaction
-      const outputs = [
-        {
-          address: payTo,
-          amount
+      const { authorization } = paymentPayload.payload
+      const { nonce } = authorization
+
+      // The releases and the released nonce are stored in one transaction.
+      let releasedSat = 0n
+      const ops = []
+      const entries = []
+      for (const utxoId of utxoIds) {
+        let utxoInfo = null
+        try {
+          utxoInfo = await utxoDb.get(utxoId)
+        } catch (err) {
+          /* exit quietly */
         }
-      ]
+        if (!utxoInfo || (utxoInfo.tenantId || DEFAULT_TENANT_ID) !== tenant.tenantId) continue
 
-      const txid = await wallet.send(outputs)
+        const release = this.createRelease({ utxoInfo, paymentPayload })
+        if (!release) continue
+
+        releasedSat += release.amountSat
+        ops.push({ type: 'put', store: utxoDb, key: utxoId, value: release.updatedRecord })
+        entries.push(release.entry)
+      }
+
+      if (!entries.length) {
+        // Tell apart a settled payment from one that was never verified.
+        const nonceRecord = await this.getNonceRecord({ utxoId: nonceId, nonce })
 
-      if (!txid) {
         return {
           success: false,
-          errorReason: 'invalid_transaction_state',
-          transaction: '',
-          network: 'bch',
-          payer: payerAddress
+          errorReason: nonceRecord?.status === 'settled'
+            ? 'payment_already_settled'
+            : 'reservation_not_found'
         }
       }
 
-      // Wait for confirmations if required
-      const minConfirmations = this.adapters.bchWallet.getMinConfirmations()
-      if (minConfirmations > 0) {
-        // In a production system, you would wait for confirmations here
-        // For now, we'll just return the txid
-        // You could use bchjs.Blockchain.getTransaction(txid) to check confirmations
-      }
+      // The nonce stays used, so the authorization can not be replayed.
+      ops.push(await this.createNonceOp({
+        utxoId: nonceId,
+        nonce,
+        payerAddress: authorization.from,
+        status: 'released'
+      }))
+      await this.ledger.commitEntries({ entries, ops })
 
       return {
         success: true,
-        transaction: txid,
-        network: 'bch',
-        payer: payerAddress
+        releasedSat: releasedSat.toString()
       }
-    } catch (error) {
-      this.adapters.logger.error('Error in settlePayment:', error)
+    } catch (err) {
+      console.error('Error in releaseFromUtxos:', err)
       return {
         success: false,
-        errorReason: 'unexpected_settle_error',
-        transaction: '',
-        network: 'bch',
-        payer: paymentPayload?.payload?.authorization?.from || ''
+        errorReason: 'unexpected_release_error',
+        errorMessage: err.message
       }
     }
   }
+
+  // Re-validate a zero-conf UTXO against the chain, at most once every
+  // zeroConfRecheckSeconds. Returns the updated record. If the funding TX can
+  // no longer be trusted, the record is frozen so it can not be debited.
+  async recheckUnconfirmedUtxo (utxoInfo) {
+    // Records created before confirmations were tracked are left alone.
+    if (utxoInfo.isConfirmed !== false || utxoInfo.frozen) return utxoInfo
+
+    const lastCheckedMs = new Date(utxoInfo.lastChecked).getTime()
+    if (Date.now() - lastCheckedMs < this.config.zeroConfRecheckSeconds * 1000) {
+      return utxoInfo
+    }
+
+    const { utxoId, txid, vout } = utxoInfo
+    const utxoValidation = await this.adapters.bchWallet.validateUtxo({
+      txid,
+      vout,
+      payTo: utxoInfo.receiverAddress
+    })
+    this.adapters.logger.debug(`Rechecked unconfirmed UTXO ${utxoId}: ${describeOutcome(utxoValidation)}`)
+
+    const timestamp = new Date().toISOString()
+    let updatedRecord
+
+    if (utxoValidation.isValid) {
+      updatedRecord = {
+        ...utxoInfo,
+        confirmations: utxoValidation.confirmations,
+        isConfirmed: utxoValidation.isConfirmed,
+        lastChecked: timestamp
+      }
+    } else if (FREEZE_REASONS.includes(utxoValidation.invalidReason)) {
+      this.adapters.logger.warn(`Freezing UTXO ${utxoId}: ${utxoValidation.invalidReason}`)
+
+      updatedRecord = {
+        ...utxoInfo,
+        frozen: true,
+        frozenReason: utxoValidation.invalidReason,
+        lastChecked: timestamp,
+        lastUpdated: timestamp
+      }
+    } else {
+      // The chain could not be reached. Try again on the next call.
+      this.adapters.logger.warn(`Could not re-check UTXO ${utxoId}: ${utxoValidation.invalidReason}`)
+      return utxoInfo
+    }
+
+    await this.adapters.storage.utxoDb.put(utxoId, updatedRecord)
+
+    if (updatedRecord.frozen) {
+      this.emitStateChange({
+        utxoInfo: updatedRecord,
+        change: 'frozen',
+        reason: updatedRecord.frozenReason
+      })
+    }
+
+    return updatedRecord
+  }
+
+  // Sweep a fully consumed UTXO from the server address into the treasury
+  // address. Failures are logged and do not affect the settled payment.
+  async sweepConsumedUtxo ({ utxoId }) {
+    try {
+      if (!this.config.treasuryBchAddress) {
+        throw new Error('TREASURY_BCH_ADDRESS must be set to sweep consumed UTXOs.')
+      }
+
+      const walletAdapter = this.adapters.bchWallet
+      if (!walletAdapter.isWalletInitialized()) {
+        await walletAdapter.initializeWallet()
+      }
+
+      return await this.withUtxoLock(utxoId, async () => {
+        const utxoDb = this.adapters.storage.utxoDb
+        const utxoInfo = await utxoDb.get(utxoId)
+
+        // Skip UTXOs that were already swept, or still have balance to spend.
+        if (utxoInfo.sweepTxid) return utxoInfo.sweepTxid
+
+        // UTXOs paid to other tenants are not controlled by this wallet.
+        if (utxoInfo.receiverAddress && utxoInfo.receiverAddress !== this.config.serverBchAddress) {
+          return null
+        }
+
+        const reservations = this.getActiveReservations(utxoInfo)
+        if (BigInt(utxoInfo.remainingBalanceSat) > 0n || Object.keys(reservations).length) {
+          return null
+        }
+
+        const sweepTxid = await walletAdapter.sweepUtxo({
+          txid: utxoInfo.txid,
+          vout: utxoInfo.vout,
+          valueSat: utxoInfo.transactionValueSat,
+          toAddress: this.config.treasuryBchAddress
+        })
+
+        await utxoDb.put(utxoId, {
+          ...utxoInfo,
+          sweepTxid,
+          sweptAt: new Date().toISOString()
+        })
+        this.adapters.logger.info(`Swept consumed UTXO ${utxoId} to treasury in TX ${sweepTxid}`)
+
+        return sweepTxid
+      })
+    } catch (err) {
+      this.adapters.logger.error(`Could not sweep consumed UTXO ${utxoId}:`, err)
+      return null
+    }
+  }
+
+  // Pick the funder a UTXO should be bound to, given the input addresses of
+  // its funding TX. The payer is used if it funded the TX itself. Otherwise
+  // the first funder that authorized the payer as a delegate is used.
+  // Returns null if the payer is not allowed to spend the UTXO.
+  async findFunderForPayer ({ funderAddresses = [], payerAddress }) {
+    if (funderAddresses.includes(payerAddress)) return payerAddress
+
+    for (const funderAddress of funderAddresses) {
+      const isDelegate = await this.isDelegate({ funderAddress, delegateAddress: payerAddress })
+      if (isDelegate) return funderAddress
+    }
+
+    return null
+  }
+
+  // Returns true if the payer is the funder of a UTXO, or a delegate the
+  // funder authorized.
+  async isAuthorizedPayer ({ funderAddress, payerAddress }) {
+    if (funderAddress === payerAddress) return true
+
+    return this.isDelegate({ funderAddress, delegateAddress: payerAddress })
+  }
+
+  // Returns true if the funder has an active delegation to the delegate.
+  async isDelegate ({ funderAddress, delegateAddress }) {
+    const delegateDb = this.adapters?.storage?.delegateDb
+    if (!delegateDb) {
+      throw new Error('Delegate database not initialized')
+    }
+
+    try {
+      const delegation = await delegateDb.get(`${funderAddress}:${delegateAddress}`)
+      return !!delegation.active
+    } catch (err) {
+      if (err.notFound) return false
+      throw err
+    }
+  }
+
+  /**
+   * Adds or revokes a delegate that may spend the UTXOs funded by an address.
+   *
+   * The delegation must be signed by the funder. Example delegation:
+   * {
+   *   funder: 'bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk',
+   *   delegate: 'bitcoincash:qr5m2vq2kkr6ggedxjhw4ddwvmd8sh4e6ylpy0xg5y',
+   *   active: true,
+   *   timestamp: '1761945540'
+   * }
+   *
+   * @param delegation The delegation message, active false revokes it
+   * @param signature Signature of JSON.stringify(delegation) by the funder
+   * @returns Object with success and, when unsuccessful, an errorReason
+   */
+  async registerDelegate ({ delegation, signature }) {
+    try {
+      const delegateDb = this.adapters?.storage?.delegateDb
+      if (!delegateDb) {
+        throw new Error('Delegate database not initialized')
+      }
+
+      const { funder, delegate, active, timestamp } = delegation || {}
+      if (!funder || !delegate || typeof active !== 'boolean' || !timestamp) {
+        return {
+          success: false,
+          errorReason: 'invalid_delegation'
+        }
+      }
+
+      const bchjs = this.adapters.bchWallet.bchjs
+      let isValidSignature = false
+      try {
+        isValidSignature = bchjs.BitcoinCash.verifyMessage(
+          funder,
+          signature,
+          JSON.stringify(delegation)
+        )
+      } catch (err) {
+        /* exit quietly */
+      }
+
+      if (!isValidSignature) {
+        return {
+          success: false,
+          errorReason: 'invalid_delegation_signature'
+        }
+      }
+
+      const now = Math.floor(Date.now() / 1000)
+      if (Math.abs(now - Number(timestamp)) > SIGNED_REQUEST_MAX_AGE_SECONDS) {
+        return {
+          success: false,
+          errorReason: 'delegation_expired'
+        }
+      }
+
+      // Revocations are kept, so an older signed delegation can not be
+      // replayed to restore a revoked delegate.
+      const key = `${funder}:${delegate}`
+      let existing = null
+      try {
+        existing = await delegateDb.get(key)
+      } catch (err) {
+        if (!err.notFound) throw err
+      }
+
+      if (existing && Number(existing.timestamp) >= Number(timestamp)) {
+        return {
+          success: false,
+          errorReason: 'stale_delegation'
+        }
+      }
+
+      const record = {
+        funder,
+        delegate,
+        active,
+        timestamp,
+        signature,
+        updatedAt: new Date().toISOString()
+      }
+      await delegateDb.put(key, record)
+
+      return {
+        success: true,
+        delegation: record
+      }
+    } catch (err) {
+      console.error('Error in registerDelegate:', err)
+      return {
+        success: false,
+        errorReason: 'unexpected_delegation_error'
+      }
+    }
+  }
+
+  /**
+   * Refunds the unused balance of a prepaid UTXO to the address that funded
+   * it, minus the configured refund fee, and closes the balance.
+   *
+   * The refund request must be signed by the funder. Example refund request:
+   * {
+   *   from: 'bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk',
+   *   txid: 'b74dcfc839eb3693be811be64e563171d83e191388fdda900f2d3b952df01ba7',
+   *   vout: 0,
+   *   timestamp: '1761945540'
+   * }
+   *
+   * @param refundRequest The refund request message
+   * @param signature Signature of JSON.stringify(refundRequest) by the funder
+   * @returns Object with success and the refund TXID, or an errorReason
+   */
+  async refundPayment ({ refundRequest, signature }) {
+    try {
+      const { from, txid, vout, timestamp } = refundRequest || {}
+      if (!from || !txid || vout === undefined || !timestamp) {
+        return {
+          success: false,
+          errorReason: 'invalid_refund_request'
+        }
+      }
+
+      const bchjs = this.adapters.bchWallet.bchjs
+      let isValidSignature = false
+      try {
+        isValidSignature = bchjs.BitcoinCash.verifyMessage(
+          from,
+          signature,
+          JSON.stringify(refundRequest)
+        )
+      } catch (err) {
+        /* exit quietly */
+      }
+
+      if (!isValidSignature) {
+        return {
+          success: false,
+          errorReason: 'invalid_refund_signature'
+        }
+      }
+
+      const now = Math.floor(Date.now() / 1000)
+      if (Math.abs(now - Number(timestamp)) > SIGNED_REQUEST_MAX_AGE_SECONDS) {
+        return {
+          success: false,
+          errorReason: 'refund_request_expired'
+        }
+      }
+
+      const utxoId = `${txid}:${vout}`
+      const utxoDb = this.adapters.storage.utxoDb
+
+      // Close the balance inside the UTXO lock, so no debit or second refund
+      // can happen while the refund TX is broadcast.
+      return await this.withUtxoLock(utxoId, async () => {
+        let utxoInfo = null
+        try {
+          utxoInfo = await utxoDb.get(utxoId)
+        } catch (err) {
+          /* exit quietly */
+        }
+
+        if (!utxoInfo) {
+          const isArchived = await this.isUtxoArchived(utxoId)
+          return {
+            success: false,
+            errorReason: isArchived ? 'utxo_expired' : 'unknown_utxo'
+          }
+        }
+
+        // Refunds only go back to the funder, never to a delegate.
+        if (utxoInfo.funderAddress !== from) {
+          return {
+            success: false,
+            errorReason: 'payer_not_utxo_funder'
+          }
+        }
+
+        if (utxoInfo.status === 'refunding' || utxoInfo.status === 'refunded') {
+          return {
+            success: false,
+            errorReason: 'already_refunded'
+          }
+        }
+
+        if (utxoInfo.status === 'forfeited') {
+          return {
+            success: false,
+            errorReason: 'utxo_expired'
+          }
+        }
+
+        if (utxoInfo.frozen) {
+          return {
+            success: false,
+            errorReason: 'utxo_frozen'
+          }
+        }
+
+        if (Object.keys(this.getActiveReservations(utxoInfo)).length) {
+          return {
+            success: false,
+            errorReason: 'pending_reservations'
+          }
+        }
+
+        if (BigInt(utxoInfo.remainingBalanceSat) <= 0n) {
+          return {
+            success: false,
+            errorReason: 'balance_exhausted'
+          }
+        }
+
+        return this.refundUtxoBalance({ utxoInfo })
+      })
+    } catch (err) {
+      console.error('Error in refundPayment:', err)
+      return {
+        success: false,
+        errorReason: 'unexpected_refund_error',
+        errorMessage: err.message
+      }
+    }
+  }
+
+  // Send the remaining balance of a UTXO, minus the refund fee, back to its
+  // funder and close the balance. The caller must hold the UTXO lock and
+  // check that the UTXO can be refunded.
+  async refundUtxoBalance ({ utxoInfo }) {
+    const { utxoId, txid, vout, funderAddress } = utxoInfo
+    const utxoDb = this.adapters.storage.utxoDb
+
+    // The facilitator wallet can only spend UTXOs paid to its own address.
+    // Other tenants hold the funds they were paid.
+    if (utxoInfo.receiverAddress && utxoInfo.receiverAddress !== this.config.serverBchAddress) {
+      return {
+        success: false,
+        errorReason: 'refund_not_supported_for_tenant'
+      }
+    }
+
+    const remainingSat = BigInt(utxoInfo.remainingBalanceSat)
+    const refundFeeSat = BigInt(this.config.refundFeeSat)
+    const refundSat = remainingSat - refundFeeSat
+    if (refundSat < BigInt(DUST_LIMIT_SAT)) {
+      return {
+        success: false,
+        errorReason: 'refund_below_dust_limit'
+      }
+    }
+
+    // The refund TX is signed by the wallet that controls the server address.
+    const walletAdapter = this.adapters.bchWallet
+    if (!walletAdapter.isWalletInitialized()) {
+      await walletAdapter.initializeWallet()
+    }
+
+    // Close the balance before the TX is broadcast.
+    const closingRecord = {
+      ...utxoInfo,
+      status: 'refunding',
+      remainingBalanceSat: '0',
+      lastUpdated: new Date().toISOString()
+    }
+    await utxoDb.put(utxoId, closingRecord)
+
+    let refundTxid
+    try {
+      refundTxid = await walletAdapter.refundUtxo({
+        txid,
+        vout,
+        valueSat: utxoInfo.transactionValueSat,
+        refundAddress: funderAddress,
+        refundSat: refundSat.toString(),
+        changeAddress: this.config.treasuryBchAddress || this.config.serverBchAddress
+      })
+    } catch (err) {
+      // Re-open the balance, so the refund can be requested again.
+      await utxoDb.put(utxoId, utxoInfo)
+      throw err
+    }
+
+    const timestamp = new Date().toISOString()
+    const refundedRecord = {
+      ...closingRecord,
+      status: 'refunded',
+      refundTxid,
+      refundedSat: refundSat.toString(),
+      refundFeeSat: refundFeeSat.toString(),
+      refundedAt: timestamp,
+      lastUpdated: timestamp
+    }
+    await this.ledger.commitEntries({
+      entries: [this.ledger.createEntry({
+        utxoInfo: refundedRecord,
+        type: 'refund',
+        amountSat: remainingSat,
+        details: {
+          refundTxid,
+          refundAddress: funderAddress,
+          refundedSat: refundSat.toString(),
+          refundFeeSat: refundFeeSat.toString()
+        }
+      })],
+      ops: [{ type: 'put', store: utxoDb, key: utxoId, value: refundedRecord }]
+    })
+    await this.pruneClosedUtxo(refundedRecord)
+    this.adapters.logger.info(`Refunded ${refundSat} sats of UTXO ${utxoId} to ${funderAddress} in TX ${refundTxid}`)
+
+    return {
+      success: true,
+      utxoId,
+      refundTxid,
+      refundedSat: refundSat.toString(),
+      refundFeeSat: refundFeeSat.toString()
+    }
+  }
+
+  // Run fn() while holding the lock of every UTXO in the list. The locks are
+  // taken one after the other, in the order given.
+  async withUtxoLocks (utxoIds, fn) {
+    const run = utxoIds.reduceRight(
+      (next, utxoId) => () => this.withUtxoLock(utxoId, next),
+      fn
+    )
+
+    return run()
+  }
+
+  // Get the account of a payer address. Returns null if the address has no
+  // prepaid UTXOs bound to it.
+  async getAccountRecord (address) {
+    const accountDb = this.adapters?.storage?.accountDb
+    if (!accountDb) {
+      throw new Error('Account database not initialized')
+    }
+
+    try {
+      return await accountDb.get(address)
+    } catch (err) {
+      if (err.notFound) return null
+      throw err
+    }
+  }
+
+  // Add a prepaid UTXO to the account of the address that funded it. UTXOs
+  // are kept in the order they were first seen, so the oldest is debited
+  // first.
+  async addUtxoToAccount ({ address, utxoId }) {
+    return this.withUtxoLock(`account-index:${address}`, async () => {
+      const timestamp = new Date().toISOString()
+      const account = await this.getAccountRecord(address) || {
+        address,
+        utxoIds: [],
+        createdAt: timestamp
+      }
+
+      if (account.utxoIds.includes(utxoId)) return account
+
+      const updatedAccount = {
+        ...account,
+        utxoIds: [...account.utxoIds, utxoId],
+        lastUpdated: timestamp
+      }
+      await this.adapters.storage.accountDb.put(address, updatedAccount)
+
+      return updatedAccount
+    })
+  }
+
+  // Remove a UTXO from the account of the address that funded it.
+  async removeUtxoFromAccount ({ address, utxoId }) {
+    return this.withUtxoLock(`account-index:${address}`, async () => {
+      const account = await this.getAccountRecord(address)
+      if (!account?.utxoIds.includes(utxoId)) return account
+
+      const updatedAccount = {
+        ...account,
+        utxoIds: account.utxoIds.filter(x => x !== utxoId),
+        lastUpdated: new Date().toISOString()
+      }
+      await this.adapters.storage.accountDb.put(address, updatedAccount)
+
+      return updatedAccount
+    })
+  }
+
+  // Returns true if a UTXO can never be debited again: it was refunded or
+  // forfeited, or its balance is used up and nothing is reserved on it.
+  // Frozen UTXOs are not closed, as they can be unfrozen.
+  isUtxoClosed (utxoInfo) {
+    if (utxoInfo.status === 'refunded' || utxoInfo.status === 'forfeited') return true
+
+    const hasReservations = Object.keys(this.getActiveReservations(utxoInfo)).length > 0
+    return BigInt(utxoInfo.remainingBalanceSat ?? '0') <= 0n && !hasReservations
+  }
+
+  // Remove a closed UTXO from the account of its funder, so account payments
+  // only load the UTXOs that can still be debited.
+  async pruneClosedUtxo (utxoInfo) {
+    if (!utxoInfo.funderAddress || !this.isUtxoClosed(utxoInfo)) return
+
+    await this.removeUtxoFromAccount({
+      address: utxoInfo.funderAddress,
+      utxoId: utxoInfo.utxoId
+    })
+  }
+
+  // Reserve the cost of a call against the balance of an account at a tenant,
+  // taking it from the oldest UTXOs first. A single call may be split across several
+  // UTXOs. If the authorization also names a txid and vout, that UTXO is
+  // validated and added to the account first, as a top-up. nonceOp is stored
+  // in the same transaction as the reservations.
+  // The caller must hold the locks of every UTXO in utxoIds.
+  async reserveFromAccount ({ paymentPayload, paymentRequirements, tenant, utxoIds, nonceOp }) {
+    try {
+      const utxoDb = this.adapters?.storage?.utxoDb
+      if (!utxoDb) {
+        throw new Error('UTXO database not initialized')
+      }
+
+      const { authorization } = paymentPayload.payload
+      const { account: accountAddress, nonce } = authorization
+      const payerAddress = authorization.from
+      const callCostSat = BigInt(authorization.value)
+
+      const maxTimeoutSeconds = Number(paymentRequirements?.maxTimeoutSeconds) ||
+        DEFAULT_MAX_TIMEOUT_SECONDS
+
+      const isAuthorized = await this.isAuthorizedPayer({
+        funderAddress: accountAddress,
+        payerAddress
+      })
+      if (!isAuthorized) {
+        return {
+          isValid: false,
+          invalidReason: 'payer_not_account_funder'
+        }
+      }
+
+      // Add the top-up UTXO to the account. It must have been funded by the
+      // account address.
+      if (authorization.txid) {
+        const { txid, vout } = authorization
+        const loaded = await this.loadUtxoRecord({ txid, vout, payerAddress, tenant })
+        if (!loaded.isValid) {
+          return loaded
+        }
+
+        let utxoInfo = loaded.utxoInfo
+        if (!utxoInfo.funderAddress) {
+          const funderAddresses = loaded.funderAddresses ||
+            await this.adapters.bchWallet.getFunderAddresses({ txid })
+
+          if (!funderAddresses.includes(accountAddress)) {
+            return {
+              isValid: false,
+              invalidReason: 'payer_not_utxo_funder'
+            }
+          }
+
+          utxoInfo = { ...utxoInfo, funderAddress: accountAddress }
+          await this.ledger.commitEntries({
+            entries: loaded.isNewRecord
+              ? [this.ledger.createEntry({
+                  utxoInfo,
+                  type: 'credit',
+                  amountSat: utxoInfo.transactionValueSat
+                })]
+              : [],
+            ops: [{ type: 'put', store: utxoDb, key: utxoInfo.utxoId, value: utxoInfo }]
+          })
+        } else if (utxoInfo.funderAddress !== accountAddress) {
+          return {
+            isValid: false,
+            invalidReason: 'payer_not_utxo_funder'
+          }
+        }
+
+        await this.addUtxoToAccount({ address: accountAddress, utxoId: utxoInfo.utxoId })
+      }
+
+      // Take the cost from the oldest UTXOs that still have a balance.
+      const now = Date.now()
+      let availableSat = 0n
+      let leftSat = callCostSat
+      const allocations = []
+      const closedUtxos = []
+
+      for (const utxoId of utxoIds) {
+        let utxoInfo = null
+        try {
+          utxoInfo = await utxoDb.get(utxoId)
+        } catch (err) {
+          /* exit quietly */
+        }
+
+        // Accounts created before closed UTXOs were pruned may still list
+        // them. They are removed as they are found.
+        if (!utxoInfo) {
+          if (await this.isUtxoArchived(utxoId)) {
+            await this.removeUtxoFromAccount({ address: accountAddress, utxoId })
+          }
+          continue
+        }
+        if (utxoInfo.funderAddress !== accountAddress) continue
+        if (this.isUtxoClosed(utxoInfo)) {
+          closedUtxos.push(utxoInfo)
+          continue
+        }
+
+        // UTXOs paid to other tenants, frozen or refunded are skipped.
+        const loaded = await this.loadUtxoRecord({
+          txid: utxoInfo.txid,
+          vout: utxoInfo.vout,
+          payerAddress,
+          tenant
+        })
+        if (!loaded.isValid) continue
+
+        const utxoAvailableSat = this.getAvailableSat(loaded.utxoInfo, now)
+        if (utxoAvailableSat <= 0n) continue
+        availableSat += utxoAvailableSat
+
+        if (leftSat > 0n) {
+          const amountSat = utxoAvailableSat < leftSat ? utxoAvailableSat : leftSat
+          allocations.push({ utxoInfo: loaded.utxoInfo, amountSat })
+          leftSat -= amountSat
+        }
+      }
+
+      for (const utxoInfo of closedUtxos) {
+        await this.pruneClosedUtxo(utxoInfo)
+      }
+
+      if (leftSat > 0n) {
+        return {
+          isValid: false,
+          invalidReason: 'insufficient_account_balance',
+          remainingBalanceSat: availableSat.toString()
+        }
+      }
+
+      // Every part of the reservation is stored in one transaction.
+      const timestamp = new Date(now).toISOString()
+      const ops = []
+      const entries = []
+      for (const { utxoInfo, amountSat } of allocations) {
+        const reservations = this.getActiveReservations(utxoInfo, now)
+        reservations[nonce] = {
+          amountSat: amountSat.toString(),
+          payerAddress,
+          account: accountAddress,
+          reservedAt: timestamp,
+          expiresAt: new Date(now + maxTimeoutSeconds * 1000).toISOString()
+        }
+
+        const updatedRecord = {
+          ...utxoInfo,
+          reservations,
+          lastUpdated: timestamp
+        }
+        ops.push({ type: 'put', store: utxoDb, key: utxoInfo.utxoId, value: updatedRecord })
+        entries.push(this.ledger.createEntry({
+          utxoInfo: updatedRecord,
+          type: 'reservation',
+          amountSat,
+          paymentPayload
+        }))
+      }
+      if (nonceOp) ops.push(nonceOp)
+      await this.ledger.commitEntries({ entries, ops })
+
+      return {
+        isValid: true,
+        remainingBalanceSat: (availableSat - callCostSat).toString(),
+        reservedSat: callCostSat.toString(),
+        utxoIds: allocations.map(x => x.utxoInfo.utxoId)
+      }
+    } catch (err) {
+      console.error('Error in reserveFromAccount:', err)
+      return {
+        isValid: false,
+        invalidReason: 'unexpected_account_validation_error',
+        errorMessage: err.message
+      }
+    }
+  }
+
+  // Commit the reservations made by reserveFromAccount() for this
+  // authorization, on every UTXO of the account that holds a part of it.
+  // A metered call only debits amountSat, from the oldest reservations
+  // first. The caller must hold the locks of every UTXO in utxoIds.
+  async settleFromAccount ({ paymentPayload, tenant, utxoIds, amountSat = null }) {
+    try {
+      const utxoDb = this.adapters?.storage?.utxoDb
+      if (!utxoDb) {
+        throw new Error('UTXO database not initialized')
+      }
+
+      const { authorization } = paymentPayload.payload
+      const { account: accountAddress, nonce } = authorization
+      const accountId = `account:${accountAddress}`
+
+      // Only the UTXOs paid to this tenant are part of its balance.
+      const records = []
+      for (const utxoId of utxoIds) {
+        try {
+          const utxoInfo = await utxoDb.get(utxoId)
+          if ((utxoInfo.tenantId || DEFAULT_TENANT_ID) === tenant.tenantId) {
+            records.push(utxoInfo)
+          }
+        } catch (err) {
+          /* exit quietly */
+        }
+      }
+
+      const reserved = records.filter(x => x.reservations?.[nonce])
+      if (!reserved.length) {
+        // Tell apart a second settle call from a payment that was never verified.
+        const nonceRecord = await this.getNonceRecord({ utxoId: accountId, nonce })
+
+        return {
+          success: false,
+          errorReason: nonceRecord?.status === 'settled'
+            ? 'payment_already_settled'
+            : 'reservation_not_found'
+        }
+      }
+
+      // A UTXO frozen after the reservation was made can not be debited.
+      if (reserved.some(x => x.frozen)) {
+        return {
+          success: false,
+          errorReason: 'utxo_frozen'
+        }
+      }
+
+      const now = Date.now()
+      const timestamp = new Date(now).toISOString()
+
+      const isExpired = reserved.some(x => !this.getActiveReservations(x, now)[nonce])
+      if (isExpired) {
+        // Drop the expired reservations so they no longer hold any balance.
+        for (const utxoInfo of reserved) {
+          await utxoDb.put(utxoInfo.utxoId, {
+            ...utxoInfo,
+            reservations: this.getActiveReservations(utxoInfo, now),
+            lastUpdated: timestamp
+          })
+        }
+
+        return {
+          success: false,
+          errorReason: 'reservation_expired'
+        }
+      }
+
+      const reservedSat = reserved
+        .reduce((sum, x) => sum + BigInt(x.reservations[nonce].amountSat), 0n)
+      if (amountSat !== null && amountSat > reservedSat) {
+        return {
+          success: false,
+          errorReason: 'settle_amount_exceeds_reservation'
+        }
+      }
+
+      // The debits of every UTXO, their ledger entries and the settled nonce
+      // are stored in one transaction.
+      let leftSat = amountSat ?? reservedSat
+      let debitedSat = 0n
+      const debits = []
+      const updatedRecords = new Map()
+      const ops = []
+      const entries = []
+      for (const utxoInfo of reserved) {
+        const utxoReservedSat = BigInt(utxoInfo.reservations[nonce].amountSat)
+        const debitSat = leftSat < utxoReservedSat ? leftSat : utxoReservedSat
+        leftSat -= debitSat
+
+        // Nothing of this part of the reservation was used.
+        if (debitSat === 0n) {
+          const release = this.createRelease({ utxoInfo, paymentPayload, now })
+          ops.push({ type: 'put', store: utxoDb, key: utxoInfo.utxoId, value: release.updatedRecord })
+          entries.push(release.entry)
+          continue
+        }
+
+        const updatedRecord = this.applyDebit({
+          utxoInfo,
+          reservations: this.getActiveReservations(utxoInfo, now),
+          authorization,
+          timestamp,
+          debitSat
+        })
+        ops.push({ type: 'put', store: utxoDb, key: utxoInfo.utxoId, value: updatedRecord })
+        entries.push(...this.createDebitEntries({
+          utxoInfo: updatedRecord,
+          paymentPayload,
+          reservedSat: utxoReservedSat,
+          debitSat
+        }))
+        updatedRecords.set(utxoInfo.utxoId, updatedRecord)
+        debitedSat += debitSat
+
+        debits.push({
+          utxoId: utxoInfo.utxoId,
+          txid: utxoInfo.txid,
+          vout: utxoInfo.vout,
+          debitedSat: debitSat.toString(),
+          remainingBalanceSat: updatedRecord.remainingBalanceSat
+        })
+      }
+
+      // Totals across the UTXOs still in the account. Closed UTXOs have been
+      // pruned from it, and are not counted.
+      let remainingBalanceSat = 0n
+      let totalDebitedSat = 0n
+      for (const record of records) {
+        const utxoInfo = updatedRecords.get(record.utxoId) || record
+        totalDebitedSat += BigInt(utxoInfo.totalDebitedSat ?? '0')
+
+        if (utxoInfo.frozen || utxoInfo.status === 'refunding' || utxoInfo.status === 'refunded') continue
+        remainingBalanceSat += BigInt(utxoInfo.remainingBalanceSat ?? '0')
+      }
+
+      const receipt = {
+        account: accountAddress,
+        tenantId: tenant.tenantId,
+        payer: authorization.from,
+        nonce,
+        debitedSat: debitedSat.toString(),
+        reservedSat: reservedSat.toString(),
+        debits,
+        remainingBalanceSat: remainingBalanceSat.toString(),
+        totalDebitedSat: totalDebitedSat.toString(),
+        settledAt: timestamp
+      }
+
+      ops.push(await this.createNonceOp({
+        utxoId: accountId,
+        nonce,
+        payerAddress: authorization.from,
+        status: 'settled',
+        receipt
+      }))
+      await this.ledger.commitEntries({ entries, ops })
+
+      for (const updatedRecord of updatedRecords.values()) {
+        await this.pruneClosedUtxo(updatedRecord)
+      }
+
+      return {
+        success: true,
+        receipt
+      }
+    } catch (err) {
+      console.error('Error in settleFromAccount:', err)
+      return {
+        success: false,
+        errorReason: 'unexpected_account_settle_error',
+        errorMessage: err.message
+      }
+    }
+  }
+
+  // Read every UTXO record that passes the filter function.
+  async listUtxoRecords (filterFn = () => true) {
+    const utxoDb = this.adapters?.storage?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    const entries = await utxoDb.list()
+
+    return entries.map(x => x.value).filter(filterFn)
+  }
+
+  // Add the UTXO records created before accounts existed to the account of
+  // their funder. Records that were never bound to a funder are bound to
+  // their first payer, if the chain shows it funded the UTXO. Runs on every
+  // startup, but looks up each unbound record on the chain only once: a
+  // record whose payer is not its funder is marked with funderChecked.
+  // Closed records are left out of accounts, as pruneClosedUtxo() does.
+  async migrateUtxoRecordsToAccounts () {
+    const records = await this.listUtxoRecords()
+    records.sort((a, b) => (a.firstSeen || '').localeCompare(b.firstSeen || ''))
+
+    let migrated = 0
+    for (const record of records) {
+      try {
+        if (this.isUtxoClosed(record)) continue
+
+        let funderAddress = record.funderAddress
+
+        if (!funderAddress) {
+          if (record.frozen || record.status || !record.payerAddress || record.funderChecked) continue
+
+          const funderAddresses = await this.adapters.bchWallet.getFunderAddresses({ txid: record.txid })
+          const isFunder = funderAddresses.includes(record.payerAddress)
+          if (isFunder) funderAddress = record.payerAddress
+
+          await this.withUtxoLock(record.utxoId, async () => {
+            const utxoInfo = await this.adapters.storage.utxoDb.get(record.utxoId)
+            const update = isFunder ? { funderAddress } : { funderChecked: true }
+            await this.adapters.storage.utxoDb.put(record.utxoId, { ...utxoInfo, ...update })
+          })
+          if (!isFunder) continue
+        }
+
+        const account = await this.getAccountRecord(funderAddress)
+        if (account?.utxoIds.includes(record.utxoId)) continue
+
+        await this.addUtxoToAccount({ address: funderAddress, utxoId: record.utxoId })
+        migrated++
+      } catch (err) {
+        this.adapters.logger.error(`Could not migrate UTXO ${record.utxoId} to an account:`, err)
+      }
+    }
+
+    if (migrated) {
+      this.adapters.logger.info(`Migrated ${migrated} UTXO records to payer accounts.`)
+    }
+
+    return migrated
+  }
+
+  // Returns true if an admin has blocked the address from paying.
+  async isBlocklisted (address) {
+    const blocklistDb = this.adapters?.storage?.blocklistDb
+    if (!blocklistDb) {
+      throw new Error('Blocklist database not initialized')
+    }
+
+    try {
+      await blocklistDb.get(address)
+      return true
+    } catch (err) {
+      if (err.notFound) return false
+      throw err
+    }
+  }
+
+  // Returns a copy of the reservations on a UTXO record, without the ones
+  // that have expired.
+  getActiveReservations (utxoInfo, now = Date.now()) {
+    const reservations = {}
+
+    for (const [nonce, reservation] of Object.entries(utxoInfo.reservations || {})) {
+      if (new Date(reservation.expiresAt).getTime() > now) {
+        reservations[nonce] = reservation
+      }
+    }
+
+    return reservations
+  }
+
+  /**
+   * Checks that the current time falls inside the validity window of an
+   * authorization. validAfter and validBefore are Unix timestamps in seconds.
+   *
+   * @param authorization The signed authorization from the payment payload
+   * @returns Object with isValid and, when invalid, an invalidReason
+   */
+  validateTimeWindow (authorization) {
+    const validAfter = Number(authorization.validAfter)
+    const validBefore = Number(authorization.validBefore)
+
+    if (
+      authorization.validAfter === undefined ||
+      authorization.validBefore === undefined ||
+      !Number.isFinite(validAfter) ||
+      !Number.isFinite(validBefore)
+    ) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_validity_window'
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+
+    if (now < validAfter) {
+      return {
+        isValid: false,
+        invalidReason: 'authorization_not_yet_valid'
+      }
+    }
+
+    if (now >= validBefore) {
+      return {
+        isValid: false,
+        invalidReason: 'authorization_expired'
+      }
+    }
+
+    return { isValid: true }
+  }
+
+  // Get the stored record for a nonce used against the given UTXO. Returns
+  // null if the nonce has not been used.
+  async getNonceRecord ({ utxoId, nonce }) {
+    const nonceDb = this.adapters?.storage?.nonceDb
+    if (!nonceDb) {
+      throw new Error('Nonce database not initialized')
+    }
+
+    try {
+      return await nonceDb.get(`${utxoId}:${nonce}`)
+    } catch (err) {
+      if (err.notFound) return null
+      throw err
+    }
+  }
+
+  // Returns true if the nonce has already been used against the given UTXO.
+  async isNonceUsed ({ utxoId, nonce }) {
+    const nonceRecord = await this.getNonceRecord({ utxoId, nonce })
+    return !!nonceRecord
+  }
+
+  // Build the storage op that records a nonce, so that the same signed
+  // authorization can not be replayed against the UTXO. The status is
+  // 'reserved' after /verify, 'settled' after /settle, when the settlement
+  // receipt is stored with it, and 'released' after /release. The caller
+  // stores it in one transaction with the change it records.
+  async createNonceOp ({ utxoId, nonce, payerAddress, status = 'reserved', receipt }) {
+    const nonceDb = this.adapters?.storage?.nonceDb
+    if (!nonceDb) {
+      throw new Error('Nonce database not initialized')
+    }
+
+    const existing = await this.getNonceRecord({ utxoId, nonce })
+    const timestamp = new Date().toISOString()
+
+    return {
+      type: 'put',
+      store: nonceDb,
+      key: `${utxoId}:${nonce}`,
+      value: {
+        utxoId,
+        nonce,
+        payerAddress,
+        status,
+        receipt: receipt || existing?.receipt,
+        usedAt: existing?.usedAt || timestamp,
+        updatedAt: timestamp
+      }
+    }
+  }
+
+  /**
+   * Checks the signed fields of an authorization against the payment
+   * requirements sent by the resource server. The payer signs the amount to
+   * debit, the recipient, and the resource URL and HTTP method it pays for.
+   *
+   * @param authorization The signed authorization from the payment payload
+   * @param paymentRequirements The expected payment details
+   * @returns Object with isValid and, when invalid, an invalidReason
+   */
+  validateAuthorizationTerms (authorization, paymentRequirements) {
+    let valueSat
+    try {
+      valueSat = BigInt(authorization.value)
+    } catch (err) {
+      valueSat = -1n
+    }
+
+    if (valueSat <= 0n) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_authorized_amount'
+      }
+    }
+
+    const requiredSat = BigInt(
+      paymentRequirements?.minAmountRequired ??
+        paymentRequirements?.maxAmountRequired ??
+        0
+    )
+    if (valueSat < requiredSat) {
+      return {
+        isValid: false,
+        invalidReason: 'insufficient_authorized_amount'
+      }
+    }
+
+    if (authorization.to !== paymentRequirements.payTo) {
+      return {
+        isValid: false,
+        invalidReason: 'recipient_mismatch'
+      }
+    }
+
+    if (authorization.resource !== paymentRequirements.resource) {
+      return {
+        isValid: false,
+        invalidReason: 'resource_mismatch'
+      }
+    }
+
+    const requiredMethod = paymentRequirements.outputSchema?.input?.method
+    if (
+      !authorization.method ||
+      (requiredMethod && authorization.method.toUpperCase() !== requiredMethod.toUpperCase())
+    ) {
+      return {
+        isValid: false,
+        invalidReason: 'method_mismatch'
+      }
+    }
+
+    return { isValid: true }
+  }
+
+  /**
+   * Checks the network, scheme and signature of a payment authorization.
+   * This check has no side effects, so it is shared by verify and settle.
+   *
+   * @param paymentPayload The signed payment authorization
+   * @param paymentRequirements The expected payment details
+   * @returns Object with isValid, payer and, when invalid, an invalidReason
+   */
+  verifyAuthorization (paymentPayload, paymentRequirements) {
+    const bchjs = this.adapters.bchWallet.bchjs
+
+    // Verify network matches
+    if (paymentRequirements.network !== 'bch') {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_network',
+        payer: ''
+      }
+    }
+
+    if (paymentPayload.network !== 'bch') {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_network',
+        payer: ''
+      }
+    }
+
+    // Verify scheme matches
+    if (paymentRequirements.scheme !== 'utxo' || paymentPayload.scheme !== 'utxo') {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_scheme',
+        payer: ''
+      }
+    }
+
+    // Extract authorization and signature
+    const payload = paymentPayload.payload
+    if (!payload || !payload.authorization || !payload.signature) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_payload',
+        payer: ''
+      }
+    }
+
+    const { authorization, signature } = payload
+    const payerAddress = authorization.from
+
+    // Verify signature
+    const messageToVerify = JSON.stringify(authorization)
+    let isValidSignature = false
+
+    try {
+      isValidSignature = bchjs.BitcoinCash.verifyMessage(
+        payerAddress,
+        signature,
+        messageToVerify
+      )
+    } catch (error) {
+      this.adapters.logger.error('Error verifying signature:', error)
+      return {
+        isValid: false,
+        invalidReason: 'invalid_exact_bch_payload_signature',
+        payer: payerAddress
+      }
+    }
+
+    if (!isValidSignature) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_exact_bch_payload_signature',
+        payer: payerAddress
+      }
+    }
+
+    // Every authorization must carry a nonce. It identifies the reservation
+    // and prevents the same signed header from being accepted twice.
+    if (!authorization.nonce) {
+      return {
+        isValid: false,
+        invalidReason: 'missing_nonce',
+        payer: payerAddress
+      }
+    }
+
+    // The payer signed the amount, recipient and resource. The requirements
+    // sent by the resource server must agree with them.
+    const termsValidation = this.validateAuthorizationTerms(authorization, paymentRequirements)
+    if (!termsValidation.isValid) {
+      return {
+        isValid: false,
+        invalidReason: termsValidation.invalidReason,
+        payer: payerAddress
+      }
+    }
+
+    return {
+      isValid: true,
+      payer: payerAddress
+    }
+  }
+
+  /**
+   * Verifies a payment authorization without settling it on-chain.
+   *
+   * Checks the signature and payment details are valid according to the
+   * payment requirements, then reserves the cost of the call against the
+   * UTXO balance. Nothing is debited until the payment is settled.
+   *
+   * @param paymentPayload The signed payment authorization
+   * @param paymentRequirements The expected payment details
+   * @param tenantId ID of the authenticated resource server, if any
+   * @returns Verification result with validity and payer address
+   */
+  async verifyPayment (paymentPayload, paymentRequirements, { tenantId } = {}) {
+    try {
+      const verification = this.verifyAuthorization(paymentPayload, paymentRequirements)
+      if (!verification.isValid) {
+        return verification
+      }
+
+      const { authorization } = paymentPayload.payload
+      const payerAddress = verification.payer
+
+      if (await this.isBlocklisted(payerAddress)) {
+        return {
+          isValid: false,
+          invalidReason: 'payer_blocklisted',
+          payer: payerAddress
+        }
+      }
+
+      // Reject authorizations used outside of their validity window.
+      const timeValidation = this.validateTimeWindow(authorization)
+      if (!timeValidation.isValid) {
+        return {
+          isValid: false,
+          invalidReason: timeValidation.invalidReason,
+          payer: payerAddress
+        }
+      }
+
+      // The tenant being paid decides which address and balances are used.
+      const tenantValidation = await this.tenants.getTenantForPayment({
+        paymentRequirements,
+        authorization,
+        tenantId
+      })
+      if (!tenantValidation.isValid) {
+        return {
+          isValid: false,
+          invalidReason: tenantValidation.invalidReason,
+          payer: payerAddress
+        }
+      }
+      const { tenant } = tenantValidation
+
+      // Authorizations that name an account are debited across its UTXOs.
+      if (authorization.account) {
+        return await this.verifyAccountPayment({ paymentPayload, paymentRequirements, tenant })
+      }
+
+      // The nonce check, the reservation and the nonce record must happen as
+      // one step per UTXO, so parallel requests are serialized.
+      const utxoId = `${authorization.txid}:${authorization.vout}`
+      const utxoValidation = await this.withUtxoLock(utxoId, async () => {
+        const nonceUsed = await this.isNonceUsed({ utxoId, nonce: authorization.nonce })
+        if (nonceUsed) {
+          return {
+            isValid: false,
+            invalidReason: 'nonce_already_used'
+          }
+        }
+
+        // Validate the UTXO can pay for this call and reserve the cost. The
+        // nonce is recorded with the reservation.
+        const nonceOp = await this.createNonceOp({ utxoId, nonce: authorization.nonce, payerAddress })
+        return this.validateUtxo({ paymentPayload, paymentRequirements, tenant, nonceOp })
+      })
+      this.adapters.logger.debug(`Verified payment from UTXO ${utxoId}: ${describeOutcome(utxoValidation)}`)
+
+      if (!utxoValidation.isValid) {
+        return {
+          isValid: false,
+          invalidReason: utxoValidation.invalidReason || 'invalid_utxo',
+          payer: payerAddress
+        }
+      }
+
+      return {
+        isValid: true,
+        payer: payerAddress,
+        utxoId
+      }
+    } catch (error) {
+      this.adapters.logger.error('Error in verifyPayment:', error)
+      return {
+        isValid: false,
+        invalidReason: 'unexpected_verify_error',
+        payer: paymentPayload?.payload?.authorization?.from || ''
+      }
+    }
+  }
+
+  /**
+   * Settles a payment by committing the reservation made during verification.
+   *
+   * The reserved amount is debited from the prepaid UTXO balance. Settling
+   * the same authorization a second time is rejected.
+   *
+   * @param paymentPayload The signed payment authorization
+   * @param paymentRequirements The expected payment details
+   * @param tenantId ID of the authenticated resource server, if any
+   * @param amountSat Amount used by a metered call, at most the reserved
+   *   amount. The whole reservation is debited when it is not given.
+   * @returns Settlement result with the funding TXID and a settlement receipt
+   */
+  async settlePayment (paymentPayload, paymentRequirements, { tenantId, amountSat } = {}) {
+    this.adapters.logger.info('FacilitatorUseCase settlePayment() paymentPayload:', paymentPayload)
+    this.adapters.logger.info('FacilitatorUseCase settlePayment() paymentRequirements:', paymentRequirements)
+
+    try {
+      // Check the signature again, without making a second reservation.
+      const verification = this.verifyAuthorization(paymentPayload, paymentRequirements)
+
+      if (!verification.isValid) {
+        return {
+          success: false,
+          errorReason: verification.invalidReason || 'invalid_payment',
+          transaction: '',
+          network: 'bch',
+          payer: verification.payer || ''
+        }
+      }
+
+      const payerAddress = verification.payer
+      const { authorization } = paymentPayload.payload
+
+      // A metered amount must be a positive number of satoshis.
+      let settleSat = null
+      if (amountSat !== undefined && amountSat !== null) {
+        settleSat = /^\d+$/.test(String(amountSat)) ? BigInt(amountSat) : 0n
+        if (settleSat <= 0n) {
+          return {
+            success: false,
+            errorReason: 'invalid_settle_amount',
+            transaction: '',
+            network: 'bch',
+            payer: payerAddress
+          }
+        }
+      }
+
+      const tenantValidation = await this.tenants.getTenantForPayment({
+        paymentRequirements,
+        authorization,
+        tenantId
+      })
+      if (!tenantValidation.isValid) {
+        return {
+          success: false,
+          errorReason: tenantValidation.invalidReason,
+          transaction: '',
+          network: 'bch',
+          payer: payerAddress
+        }
+      }
+      const { tenant } = tenantValidation
+
+      if (authorization.account) {
+        return await this.settleAccountPayment({ paymentPayload, tenant, amountSat: settleSat })
+      }
+
+      const utxoId = `${authorization.txid}:${authorization.vout}`
+
+      // Commit the reservation. Running inside the UTXO lock guarantees the
+      // debit happens exactly once, even if settle is called in parallel.
+      const settlement = await this.withUtxoLock(utxoId, () => {
+        return this.settleUtxo({ paymentPayload, tenant, amountSat: settleSat })
+      })
+      this.adapters.logger.debug(`Settled payment from UTXO ${utxoId}: ${describeOutcome(settlement)}`)
+
+      if (!settlement.success) {
+        return {
+          success: false,
+          errorReason: settlement.errorReason || 'invalid_payment',
+          transaction: '',
+          network: 'bch',
+          payer: payerAddress
+        }
+      }
+
+      // Optionally move a fully consumed UTXO into the treasury. This runs in
+      // the background so it does not delay the settlement response.
+      if (this.config.sweepConsumedUtxos && settlement.receipt.remainingBalanceSat === '0') {
+        this.sweepConsumedUtxo({ utxoId })
+      }
+
+      // The transaction is the funding TX of the prepaid UTXO that was debited.
+      return {
+        success: true,
+        transaction: authorization.txid,
+        network: 'bch',
+        payer: payerAddress,
+        receipt: settlement.receipt
+      }
+    } catch (error) {
+      this.adapters.logger.error('Error in settlePayment:', error)
+      return {
+        success: false,
+        errorReason: 'unexpected_settle_error',
+        transaction: '',
+        network: 'bch',
+        payer: paymentPayload?.payload?.authorization?.from || ''
+      }
+    }
+  }
+
+  // Verify step for authorizations that name an account. The account lock
+  // is taken first, then the lock of every UTXO in the account, so a call
+  // split across several UTXOs is reserved as one step.
+  async verifyAccountPayment ({ paymentPayload, paymentRequirements, tenant }) {
+    const { authorization } = paymentPayload.payload
+    const payerAddress = authorization.from
+    const accountId = `account:${authorization.account}`
+
+    const accountValidation = await this.withUtxoLock(accountId, async () => {
+      const nonceUsed = await this.isNonceUsed({ utxoId: accountId, nonce: authorization.nonce })
+      if (nonceUsed) {
+        return {
+          isValid: false,
+          invalidReason: 'nonce_already_used'
+        }
+      }
+
+      const account = await this.getAccountRecord(authorization.account)
+      const utxoIds = [...(account?.utxoIds || [])]
+
+      // A top-up UTXO is the newest, so it is debited last.
+      const topUpId = authorization.txid ? `${authorization.txid}:${authorization.vout}` : null
+      if (topUpId && !utxoIds.includes(topUpId)) utxoIds.push(topUpId)
+
+      if (!utxoIds.length) {
+        return {
+          isValid: false,
+          invalidReason: 'unknown_account'
+        }
+      }
+
+      return this.withUtxoLocks(utxoIds, async () => {
+        return this.reserveFromAccount({
+          paymentPayload,
+          paymentRequirements,
+          tenant,
+          utxoIds,
+          nonceOp: await this.createNonceOp({ utxoId: accountId, nonce: authorization.nonce, payerAddress })
+        })
+      })
+    })
+    this.adapters.logger.debug(`Verified payment from ${accountId}: ${describeOutcome(accountValidation)}`)
+
+    if (!accountValidation.isValid) {
+      return {
+        isValid: false,
+        invalidReason: accountValidation.invalidReason || 'invalid_account',
+        payer: payerAddress
+      }
+    }
+
+    return {
+      isValid: true,
+      payer: payerAddress,
+      account: authorization.account,
+      utxoIds: accountValidation.utxoIds
+    }
+  }
+
+  // Settle step for authorizations that name an account.
+  async settleAccountPayment ({ paymentPayload, tenant, amountSat = null }) {
+    const { authorization } = paymentPayload.payload
+    const payerAddress = authorization.from
+    const accountId = `account:${authorization.account}`
+
+    const settlement = await this.withUtxoLock(accountId, async () => {
+      const account = await this.getAccountRecord(authorization.account)
+      const utxoIds = account?.utxoIds || []
+
+      return this.withUtxoLocks(utxoIds, () => {
+        return this.settleFromAccount({ paymentPayload, tenant, utxoIds, amountSat })
+      })
+    })
+    this.adapters.logger.debug(`Settled payment from ${accountId}: ${describeOutcome(settlement)}`)
+
+    if (!settlement.success) {
+      return {
+        success: false,
+        errorReason: settlement.errorReason || 'invalid_payment',
+        transaction: '',
+        network: 'bch',
+        payer: payerAddress
+      }
+    }
+
+    const { debits } = settlement.receipt
+    if (this.config.sweepConsumedUtxos) {
+      debits
+        .filter(x => x.remainingBalanceSat === '0')
+        .forEach(x => this.sweepConsumedUtxo({ utxoId: x.utxoId }))
+    }
+
+    // The transaction is the funding TX of the first UTXO that was debited.
+    return {
+      success: true,
+      transaction: debits[0].txid,
+      network: 'bch',
+      payer: payerAddress,
+      receipt: settlement.receipt
+    }
+  }
+
+  /**
+   * Drops the reservation made by verifyPayment() without debiting it, when
+   * the resource server could not deliver the resource. The balance it held
+   * can be spent again, but the authorization can not be reused.
+   *
+   * @param paymentPayload The payment payload that was verified
+   * @param paymentRequirements The payment requirements it was verified with
+   * @param tenantId ID of the authenticated resource server, if any
+   * @returns Object with success, the payer, and the released amount
+   */
+  async releasePayment (paymentPayload, paymentRequirements, { tenantId } = {}) {
+    try {
+      const verification = this.verifyAuthorization(paymentPayload, paymentRequirements)
+      if (!verification.isValid) {
+        return {
+          success: false,
+          errorReason: verification.invalidReason || 'invalid_payment',
+          payer: verification.payer || ''
+        }
+      }
+
+      const payerAddress = verification.payer
+      const { authorization } = paymentPayload.payload
+
+      const tenantValidation = await this.tenants.getTenantForPayment({
+        paymentRequirements,
+        authorization,
+        tenantId
+      })
+      if (!tenantValidation.isValid) {
+        return {
+          success: false,
+          errorReason: tenantValidation.invalidReason,
+          payer: payerAddress
+        }
+      }
+      const { tenant } = tenantValidation
+
+      let release
+      if (authorization.account) {
+        const accountId = `account:${authorization.account}`
+
+        release = await this.withUtxoLock(accountId, async () => {
+          const account = await this.getAccountRecord(authorization.account)
+          const utxoIds = account?.utxoIds || []
+
+          return this.withUtxoLocks(utxoIds, () => {
+            return this.releaseFromUtxos({ paymentPayload, tenant, utxoIds, nonceId: accountId })
+          })
+        })
+      } else {
+        const utxoId = `${authorization.txid}:${authorization.vout}`
+
+        release = await this.withUtxoLock(utxoId, () => {
+          return this.releaseFromUtxos({ paymentPayload, tenant, utxoIds: [utxoId], nonceId: utxoId })
+        })
+      }
+
+      return {
+        ...release,
+        payer: payerAddress
+      }
+    } catch (error) {
+      this.adapters.logger.error('Error in releasePayment:', error)
+      return {
+        success: false,
+        errorReason: 'unexpected_release_error',
+        payer: paymentPayload?.payload?.authorization?.from || ''
+      }
+    }
+  }
+}
+
+// Outcome of a validation or settlement result, for the debug log: 'ok', or
+// the reason it failed.
+function describeOutcome (result) {
+  if (result.isValid || result.success) return 'ok'
+  return result.invalidReason || result.errorReason
 }
 
 export default FacilitatorUseCase
@@ -6,6 +6,13 @@
 
 // Local libraries
 import FacilitatorUseCase from './facilitator.js'
+import BalanceUseCase from './balance.js'
+import ExpiryUseCase from './expiry.js'
+import TenantUseCase from './tenant.js'
+import AdminUseCase from './admin.js'
+import LedgerUseCase from './ledger.js'
+import ReconcilerUseCase from './reconciler.js'
+import WebhookUseCase from './webhook.js'
 
 class UseCases {
   constructor (localConfig = {}) {
@@ -16,11 +23,62 @@ class UseCases {
       )
     }
 
-    this.facilitator = new FacilitatorUseCase({ adapters: this.adapters })
+    this.tenant = new TenantUseCase({ adapters: this.adapters })
+    this.ledger = new LedgerUseCase({ adapters: this.adapters })
+    this.facilitator = new FacilitatorUseCase({
+      adapters: this.adapters,
+      tenants: this.tenant,
+      ledger: this.ledger
+    })
+    this.balance = new BalanceUseCase({
+      adapters: this.adapters,
+      facilitator: this.facilitator
+    })
+    this.expiry = new ExpiryUseCase({
+      adapters: this.adapters,
+      facilitator: this.facilitator,
+      ledger: this.ledger
+    })
+    this.reconciler = new ReconcilerUseCase({
+      adapters: this.adapters,
+      facilitator: this.facilitator
+    })
+    this.webhook = new WebhookUseCase({
+      adapters: this.adapters,
+      facilitator: this.facilitator,
+      ledger: this.ledger,
+      balance: this.balance
+    })
+    this.admin = new AdminUseCase({
+      adapters: this.adapters,
+      facilitator: this.facilitator,
+      balance: this.balance,
+      ledger: this.ledger
+    })
   }
 
   // Run any startup Use Cases at the start of the app.
   async start () {
+    // Notify tenants of payment lifecycle events, and resume the webhook
+    // deliveries left pending by the last run.
+    await this.webhook.start()
+
+    // Create the default tenant from the configured server address.
+    await this.tenant.start()
+
+    // Index the UTXO records created before payer accounts existed.
+    await this.facilitator.migrateUtxoRecordsToAccounts()
+
+    // Open the ledger of UTXO records created before the ledger existed.
+    await this.ledger.start()
+
+    // Close prepaid balances that have been idle for too long.
+    this.expiry.start()
+
+    // Re-validate active UTXOs against the chain, to catch reorgs and double
+    // spends after they were accepted.
+    this.reconciler.start()
+
     this.adapters.logger.info('Use Cases have been started.')
     return true
   }
@@ -0,0 +1,282 @@
+/*
+  Ledger use case. Keeps an append-only history of every change to the
+  balance of a prepaid UTXO.
+
+  - The UTXO record in utxoDb only holds the current balance. Every credit,
+    reservation, release, debit, refund, forfeit and adjustment is also written to
+    ledgerDb as an entry that is never updated or deleted.
+  - Each entry records the resource paid for, the amount, the payer, the
+    resource server (tenant) and a hash of the payment signature.
+  - The balance of a UTXO can be rebuilt from its entries, and compared to
+    the stored record to catch any mismatch.
+  - Every new entry is emitted on the events emitter as a
+    'ledger_entry_appended' event.
+*/
+
+// Global libraries
+import { createHash } from 'crypto'
+import { EventEmitter } from 'events'
+
+// Local libraries
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
+// How each type of entry changes the remaining balance of a UTXO.
+// credit and opening_balance add amountSat. debit, refund and forfeit take it
+// away. An adjustment carries its own signed balanceDeltaSat. A reservation
+// only holds balance, and a release gives it back, so they do not change it.
+export const LEDGER_ENTRY_TYPES = [
+  'opening_balance',
+  'credit',
+  'reservation',
+  'release',
+  'debit',
+  'refund',
+  'forfeit',
+  'adjustment'
+]
+
+// Name of the event emitted for each new entry.
+export const LEDGER_ENTRY_APPENDED = 'ledger_entry_appended'
+
+class LedgerUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Ledger Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.events = new EventEmitter()
+
+    // Counter added to entry keys, so entries written in the same millisecond
+    // keep their order.
+    this.sequence = 0
+
+    // Bind 'this' object to all class methods
+    this.start = this.start.bind(this)
+    this.appendEntry = this.appendEntry.bind(this)
+    this.createEntry = this.createEntry.bind(this)
+    this.commitEntries = this.commitEntries.bind(this)
+    this.getBalanceDelta = this.getBalanceDelta.bind(this)
+    this.hashSignature = this.hashSignature.bind(this)
+    this.listEntries = this.listEntries.bind(this)
+    this.hasEntries = this.hasEntries.bind(this)
+    this.rebuildBalance = this.rebuildBalance.bind(this)
+  }
+
+  // Open the ledger of every UTXO record created before the ledger existed,
+  // with its current balance.
+  async start () {
+    const { utxoDb } = this.adapters.storage
+
+    const records = await utxoDb.list()
+
+    let opened = 0
+    for (const { value: utxoInfo } of records) {
+      if (await this.hasEntries(utxoInfo.utxoId)) continue
+
+      await this.appendEntry({
+        utxoInfo,
+        type: 'opening_balance',
+        amountSat: utxoInfo.remainingBalanceSat ?? '0',
+        details: { totalDebitedSat: utxoInfo.totalDebitedSat ?? '0' }
+      })
+      opened++
+    }
+
+    if (opened) {
+      this.adapters.logger.info(`Opened the ledger of ${opened} existing UTXO records.`)
+    }
+
+    return opened
+  }
+
+  /**
+   * Appends an entry to the ledger of a UTXO. Use commitEntries() instead
+   * when the change the entry records is stored at the same time.
+   *
+   * @param utxoInfo The UTXO record, after the change was applied
+   * @param type One of LEDGER_ENTRY_TYPES
+   * @param amountSat The amount of the entry
+   * @param balanceDeltaSat Signed change to the balance, for adjustments
+   * @param paymentPayload The payment that caused the entry, if any
+   * @param actor Who made the change, for admin actions
+   * @param details Other fields to keep with the entry
+   * @returns The stored entry
+   */
+  async appendEntry (entryInfo) {
+    const entry = this.createEntry(entryInfo)
+
+    await this.adapters.storage.ledgerDb.put(entry.entryId, entry)
+    this.events.emit(LEDGER_ENTRY_APPENDED, entry)
+
+    return entry
+  }
+
+  // Build a ledger entry, with the same arguments as appendEntry(), without
+  // storing it.
+  createEntry ({ utxoInfo, type, amountSat, balanceDeltaSat, paymentPayload, actor, details = {} }) {
+    if (!LEDGER_ENTRY_TYPES.includes(type)) {
+      throw new Error(`Unknown ledger entry type: ${type}`)
+    }
+
+    const authorization = paymentPayload?.payload?.authorization
+    const timestamp = new Date().toISOString()
+
+    this.sequence = (this.sequence + 1) % 1000000
+    const entryId = `${utxoInfo.utxoId}:${timestamp}:${String(this.sequence).padStart(6, '0')}`
+
+    const entry = {
+      entryId,
+      utxoId: utxoInfo.utxoId,
+      type,
+      amountSat: String(amountSat),
+      balanceDeltaSat: (
+        balanceDeltaSat ?? this.getBalanceDelta(type, amountSat)
+      ).toString(),
+      balanceAfterSat: utxoInfo.remainingBalanceSat ?? '0',
+      tenantId: utxoInfo.tenantId || DEFAULT_TENANT_ID,
+      payer: authorization?.from || null,
+      account: authorization?.account || null,
+      resource: authorization?.resource || null,
+      method: authorization?.method || null,
+      nonce: authorization?.nonce || null,
+      signatureHash: this.hashSignature(paymentPayload?.payload?.signature),
+      actor: actor || null,
+      details,
+      createdAt: timestamp
+    }
+
+    return entry
+  }
+
+  /**
+   * Stores ledger entries built by createEntry() in one storage transaction
+   * with the changes they record, so a crash can not leave a balance out of
+   * step with its ledger. The entries are emitted once they are stored.
+   *
+   * @param entries The ledger entries
+   * @param ops Other storage ops of the change, e.g. the put of the UTXO
+   *   record, as taken by storage.transaction()
+   * @returns The stored entries
+   */
+  async commitEntries ({ entries = [], ops = [] }) {
+    const { storage } = this.adapters
+
+    await storage.transaction([
+      ...ops,
+      ...entries.map(entry => {
+        return { type: 'put', store: storage.ledgerDb, key: entry.entryId, value: entry }
+      })
+    ])
+
+    for (const entry of entries) {
+      this.events.emit(LEDGER_ENTRY_APPENDED, entry)
+    }
+
+    return entries
+  }
+
+  // Signed change to the balance for an entry of the given type.
+  getBalanceDelta (type, amountSat) {
+    const amount = BigInt(amountSat)
+
+    if (type === 'opening_balance' || type === 'credit') return amount
+    if (type === 'debit' || type === 'refund' || type === 'forfeit') return -amount
+
+    return 0n
+  }
+
+  // Hex SHA-256 of a payment signature. The signature itself is not kept.
+  hashSignature (signature) {
+    if (!signature) return null
+
+    return createHash('sha256').update(signature).digest('hex')
+  }
+
+  // Returns every ledger entry of a UTXO, oldest first.
+  async listEntries (utxoId, options = {}) {
+    const ledgerDb = this.adapters?.storage?.ledgerDb
+    if (!ledgerDb) {
+      throw new Error('Ledger database not initialized')
+    }
+
+    // ';' is the character after ':', so this range holds only the keys of
+    // this UTXO.
+    const entries = await ledgerDb.list({ gt: `${utxoId}:`, lt: `${utxoId};`, ...options })
+
+    return entries.map(x => x.value)
+  }
+
+  // Returns true if the UTXO has at least one ledger entry.
+  async hasEntries (utxoId) {
+    const entries = await this.listEntries(utxoId, { limit: 1 })
+
+    return entries.length > 0
+  }
+
+  /**
+   * Rebuilds the balance of a UTXO from its ledger, and compares it to the
+   * stored record. The caller should hold the UTXO lock, so the record and
+   * the ledger are not read half way through a change.
+   *
+   * @param utxoId The UTXO to rebuild
+   * @returns Object with success, the stored and rebuilt balances, and
+   * isConsistent
+   */
+  async rebuildBalance (utxoId) {
+    const { utxoDb, archiveDb } = this.adapters.storage
+
+    let utxoInfo = null
+    for (const db of [utxoDb, archiveDb]) {
+      try {
+        utxoInfo = await db.get(utxoId)
+        break
+      } catch (err) {
+        if (!err.notFound) throw err
+      }
+    }
+
+    if (!utxoInfo) {
+      return {
+        success: false,
+        errorReason: 'unknown_utxo'
+      }
+    }
+
+    const entries = await this.listEntries(utxoId)
+
+    let ledgerBalanceSat = 0n
+    let ledgerDebitedSat = 0n
+    for (const entry of entries) {
+      ledgerBalanceSat += BigInt(entry.balanceDeltaSat)
+
+      if (entry.type === 'debit') ledgerDebitedSat += BigInt(entry.amountSat)
+
+      // Debits made before the ledger was opened.
+      if (entry.type === 'opening_balance') {
+        ledgerDebitedSat += BigInt(entry.details?.totalDebitedSat ?? '0')
+      }
+    }
+
+    const storedBalanceSat = BigInt(utxoInfo.remainingBalanceSat ?? '0')
+    const storedDebitedSat = BigInt(utxoInfo.totalDebitedSat ?? '0')
+
+    return {
+      success: true,
+      utxoId,
+      entryCount: entries.length,
+      storedBalanceSat: storedBalanceSat.toString(),
+      ledgerBalanceSat: ledgerBalanceSat.toString(),
+      storedDebitedSat: storedDebitedSat.toString(),
+      ledgerDebitedSat: ledgerDebitedSat.toString(),
+      isConsistent: entries.length > 0 &&
+        storedBalanceSat === ledgerBalanceSat &&
+        storedDebitedSat === ledgerDebitedSat
+    }
+  }
+}
+
+export default LedgerUseCase
@@ -0,0 +1,280 @@
+/*
+  Reconciler use case. A background job that re-validates every active
+  prepaid UTXO against the chain, so changes made after the UTXO was accepted
+  do not go unnoticed.
+
+  - The confirmations and lastChecked time of each record are updated.
+  - A UTXO whose funding TX vanished, was double spent, or whose output was
+    spent on chain while it still has a balance, is frozen so it can not be
+    debited. The operator can unfreeze it through the admin API.
+  - Every change of state is logged and emitted as a 'utxo_state_changed'
+    event on the events emitter of the Facilitator Use Case.
+  - Closed, frozen and fully consumed records are left alone.
+*/
+
+// Local libraries
+import config from '../config/index.js'
+import { FREEZE_REASONS } from './facilitator.js'
+
+// Validation results that mean the funding TX is on chain, but has fewer
+// confirmations than the acceptance policy asks for.
+const UNCONFIRMED_REASONS = [
+  'insufficient_confirmations',
+  'zero_conf_amount_exceeds_limit'
+]
+
+class ReconcilerUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Reconciler Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Reconciler Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+
+    // State
+    this.reconcileTimer = null
+    this.isRunning = false
+
+    // Bind 'this' object to all class methods
+    this.start = this.start.bind(this)
+    this.stop = this.stop.bind(this)
+    this.isReconcilable = this.isReconcilable.bind(this)
+    this.reconcileAll = this.reconcileAll.bind(this)
+    this.reconcileUtxo = this.reconcileUtxo.bind(this)
+    this.checkUtxo = this.checkUtxo.bind(this)
+    this.reportChange = this.reportChange.bind(this)
+  }
+
+  // Start the periodic reconciliation job. Does nothing if no interval is
+  // configured.
+  start () {
+    if (!this.config.reconcileIntervalSeconds) {
+      this.adapters.logger.info('Reconciliation of prepaid UTXOs is disabled.')
+      return false
+    }
+
+    this.reconcileTimer = setInterval(
+      this.reconcileAll,
+      this.config.reconcileIntervalSeconds * 1000
+    )
+
+    this.adapters.logger.info(
+      `Reconciling prepaid UTXOs against the chain every ${this.config.reconcileIntervalSeconds} seconds.`
+    )
+
+    return true
+  }
+
+  stop () {
+    if (this.reconcileTimer) {
+      clearInterval(this.reconcileTimer)
+      this.reconcileTimer = null
+    }
+  }
+
+  // Returns true if a UTXO record still has a balance that depends on the
+  // chain.
+  isReconcilable (utxoInfo) {
+    if (utxoInfo.frozen || utxoInfo.status) return false
+
+    return BigInt(utxoInfo.remainingBalanceSat ?? '0') > 0n
+  }
+
+  /**
+   * Reconciles every active UTXO record against the chain. Errors on one
+   * record are logged and do not stop the others. Runs from a timer, so it
+   * logs its own errors instead of throwing.
+   *
+   * @returns Object with the number of records checked and changed, or null
+   *   if the run was skipped or failed
+   */
+  async reconcileAll () {
+    // Skip this run if the previous one is still going.
+    if (this.isRunning) return null
+    this.isRunning = true
+
+    const summary = {
+      checked: 0,
+      frozen: 0,
+      confirmed: 0,
+      unconfirmed: 0,
+      failed: 0
+    }
+
+    try {
+      const records = await this.facilitator.listUtxoRecords(this.isReconcilable)
+
+      for (const record of records) {
+        try {
+          const result = await this.reconcileUtxo(record.utxoId)
+          if (!result) continue
+
+          if (!result.isChecked) {
+            summary.failed++
+            continue
+          }
+
+          summary.checked++
+          if (result.change) summary[result.change]++
+        } catch (err) {
+          summary.failed++
+          this.adapters.logger.error(`Could not reconcile UTXO ${record.utxoId}:`, err)
+        }
+      }
+
+      if (records.length) {
+        this.adapters.logger.info(`Reconciliation job: ${JSON.stringify(summary)}`)
+      }
+
+      return summary
+    } catch (err) {
+      this.adapters.logger.error('Error in reconcileAll:', err)
+      return null
+    } finally {
+      this.isRunning = false
+    }
+  }
+
+  /**
+   * Re-validates one UTXO against the chain and stores the result.
+   *
+   * The chain is queried without the UTXO lock, as a slow backend would
+   * otherwise hold up the payments made with the UTXO. The record is read
+   * again under the lock before the result is applied.
+   *
+   * @param utxoId The UTXO to reconcile
+   * @returns Object with isChecked, and the change of state if any. null if
+   * the UTXO is no longer active.
+   */
+  async reconcileUtxo (utxoId) {
+    const utxoDb = this.adapters.storage.utxoDb
+
+    // Read the record. Returns null if it is gone or no longer active.
+    const readRecord = async () => {
+      let utxoInfo = null
+      try {
+        utxoInfo = await utxoDb.get(utxoId)
+      } catch (err) {
+        if (err.notFound) return null
+        throw err
+      }
+
+      return this.isReconcilable(utxoInfo) ? utxoInfo : null
+    }
+
+    const record = await readRecord()
+    if (!record) return null
+
+    const check = await this.checkUtxo(record)
+
+    // The chain could not be reached. Try again on the next run.
+    if (!check.isChecked) {
+      this.adapters.logger.warn(`Could not reconcile UTXO ${utxoId}: ${check.error}`)
+      return check
+    }
+
+    return this.facilitator.withUtxoLock(utxoId, async () => {
+      // The record may have been debited, frozen or closed during the check.
+      const utxoInfo = await readRecord()
+      if (!utxoInfo) return null
+
+      const timestamp = new Date().toISOString()
+      const updatedRecord = {
+        ...utxoInfo,
+        confirmations: check.confirmations ?? utxoInfo.confirmations,
+        isConfirmed: check.isConfirmed ?? utxoInfo.isConfirmed,
+        lastChecked: timestamp
+      }
+
+      let change = null
+      if (check.freezeReason) {
+        change = 'frozen'
+        updatedRecord.frozen = true
+        updatedRecord.frozenReason = check.freezeReason
+        updatedRecord.lastUpdated = timestamp
+      } else if (utxoInfo.isConfirmed === false && check.isConfirmed) {
+        change = 'confirmed'
+      } else if (utxoInfo.isConfirmed && check.isConfirmed === false) {
+        // A reorg moved the funding TX back to the mempool.
+        change = 'unconfirmed'
+      }
+
+      await utxoDb.put(utxoId, updatedRecord)
+
+      if (change) {
+        this.reportChange({ utxoInfo: updatedRecord, change, reason: check.freezeReason })
+      }
+
+      return {
+        isChecked: true,
+        change,
+        record: updatedRecord
+      }
+    })
+  }
+
+  // Look up the funding TX and output of a UTXO on the chain. Returns the
+  // confirmations of the TX, and a freezeReason if the balance can no longer
+  // be trusted.
+  async checkUtxo (utxoInfo) {
+    const { txid, vout } = utxoInfo
+    const walletAdapter = this.adapters.bchWallet
+
+    const utxoValidation = await walletAdapter.validateUtxo({
+      txid,
+      vout,
+      payTo: utxoInfo.receiverAddress
+    })
+    const { invalidReason } = utxoValidation
+
+    if (FREEZE_REASONS.includes(invalidReason)) {
+      return {
+        isChecked: true,
+        freezeReason: invalidReason
+      }
+    }
+
+    const isOnChain = utxoValidation.isValid || UNCONFIRMED_REASONS.includes(invalidReason)
+    if (!isOnChain) {
+      return {
+        isChecked: false,
+        error: invalidReason
+      }
+    }
+
+    // The funding TX is still there, but the server address may have spent
+    // the output, e.g. in a sweep.
+    const isUnspent = await walletAdapter.isUtxoUnspent({ txid, vout })
+
+    return {
+      isChecked: true,
+      confirmations: utxoValidation.confirmations,
+      isConfirmed: utxoValidation.isValid ? utxoValidation.isConfirmed : false,
+      freezeReason: isUnspent ? null : 'utxo_spent'
+    }
+  }
+
+  // Log a change of state and emit it to listeners.
+  reportChange ({ utxoInfo, change, reason }) {
+    const message = `Reconciler: UTXO ${utxoInfo.utxoId} ${change}${reason ? `: ${reason}` : ''}`
+    if (change === 'frozen') {
+      this.adapters.logger.warn(message)
+    } else {
+      this.adapters.logger.info(message)
+    }
+
+    this.facilitator.emitStateChange({ utxoInfo, change, reason })
+  }
+}
+
+export default ReconcilerUseCase
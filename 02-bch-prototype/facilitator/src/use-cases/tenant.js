@@ -0,0 +1,453 @@
+/*
+  Tenant use case. A tenant is a resource server that uses this facilitator.
+
+  - Each tenant has its own payTo address. Payments are only accepted into a
+    UTXO sent to the payTo address of the tenant being paid, and each UTXO
+    balance can only be spent at that tenant.
+  - A tenant can set the smallest and largest amount it may charge per call.
+  - A tenant is issued credentials that its resource server uses to call
+    /verify and /settle, either as an API key or to HMAC-sign the request.
+    The secret of a credential is only returned when it is issued, but it is
+    stored in the clear in tenantDb, as checking a signature needs it. The
+    DB must be protected like the secrets themselves.
+  - The 'default' tenant is created from SERVER_BCH_ADDRESS, so a facilitator
+    with a single resource server works without any setup.
+*/
+
+// Global libraries
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto'
+
+// Local libraries
+import config from '../config/index.js'
+
+export const DEFAULT_TENANT_ID = 'default'
+
+// How far the timestamp of an HMAC-signed request may be from the current time.
+export const HMAC_MAX_AGE_SECONDS = 300
+
+class TenantUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Tenant Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+
+    // Tenants indexed by payTo address and by credential key ID. Loaded from
+    // the DB on first use.
+    this.tenantsByPayTo = null
+    this.tenantsByKeyId = null
+
+    // Bind 'this' object to all class methods
+    this.start = this.start.bind(this)
+    this.loadTenants = this.loadTenants.bind(this)
+    this.listTenants = this.listTenants.bind(this)
+    this.getTenant = this.getTenant.bind(this)
+    this.getTenantByPayTo = this.getTenantByPayTo.bind(this)
+    this.createTenant = this.createTenant.bind(this)
+    this.updateTenant = this.updateTenant.bind(this)
+    this.createCredential = this.createCredential.bind(this)
+    this.addCredential = this.addCredential.bind(this)
+    this.revokeCredential = this.revokeCredential.bind(this)
+    this.authenticateResourceServer = this.authenticateResourceServer.bind(this)
+    this.secretsMatch = this.secretsMatch.bind(this)
+    this.getTenantForPayment = this.getTenantForPayment.bind(this)
+  }
+
+  // Make sure the default tenant exists and matches the configured address.
+  // A new default tenant gets a credential, but its secret is never logged:
+  // logs are shipped and kept. The operator issues a credential to the
+  // server with the tenant CLI, which prints the secret on its own stdout.
+  async start () {
+    const tenant = await this.getTenant(DEFAULT_TENANT_ID)
+
+    if (!tenant) {
+      await this.createTenant({
+        tenantId: DEFAULT_TENANT_ID,
+        name: 'Default resource server',
+        payTo: this.config.serverBchAddress
+      })
+
+      this.adapters.logger.warn(
+        'Created the default tenant. Issue the credential of its resource server with:\n' +
+        '  node util/tenants/manageTenants.js add-key default\n' +
+        'and set FACILITATOR_KEY_ID and FACILITATOR_SECRET in the .env of the server.'
+      )
+    } else if (tenant.payTo !== this.config.serverBchAddress) {
+      await this.updateTenant({
+        tenantId: DEFAULT_TENANT_ID,
+        payTo: this.config.serverBchAddress
+      })
+    }
+
+    return true
+  }
+
+  // Read every tenant from the DB into the payTo and key ID indexes.
+  async loadTenants () {
+    const tenants = await this.listTenants()
+
+    this.tenantsByPayTo = new Map()
+    this.tenantsByKeyId = new Map()
+    for (const tenant of tenants) {
+      this.tenantsByPayTo.set(tenant.payTo, tenant)
+
+      for (const credential of tenant.credentials || []) {
+        this.tenantsByKeyId.set(credential.keyId, tenant)
+      }
+    }
+
+    return this.tenantsByPayTo
+  }
+
+  // Returns every tenant record.
+  async listTenants () {
+    const tenantDb = this.adapters?.storage?.tenantDb
+    if (!tenantDb) {
+      throw new Error('Tenant database not initialized')
+    }
+
+    const entries = await tenantDb.list()
+
+    return entries.map(x => x.value)
+  }
+
+  // Get a tenant by its ID. Returns null if it does not exist.
+  async getTenant (tenantId) {
+    const tenantDb = this.adapters?.storage?.tenantDb
+    if (!tenantDb) {
+      throw new Error('Tenant database not initialized')
+    }
+
+    try {
+      return await tenantDb.get(tenantId)
+    } catch (err) {
+      if (err.notFound) return null
+      throw err
+    }
+  }
+
+  // Get the tenant that receives payments at an address. Returns null if no
+  // tenant uses the address.
+  async getTenantByPayTo (payTo) {
+    if (!this.tenantsByPayTo) await this.loadTenants()
+
+    return this.tenantsByPayTo.get(payTo) || null
+  }
+
+  /**
+   * Registers a new tenant, and issues its first credential. The secret of
+   * the credential is only returned here.
+   *
+   * @param tenantId Unique ID of the tenant
+   * @param name Human readable name of the resource server
+   * @param payTo BCH address the tenant receives payments at
+   * @param minAmountSat Smallest amount the tenant may charge per call
+   * @param maxAmountSat Largest amount the tenant may charge per call
+   * @returns Object with success, the tenant and its credential
+   */
+  async createTenant ({ tenantId, name, payTo, minAmountSat, maxAmountSat }) {
+    if (!tenantId || !payTo) {
+      return {
+        success: false,
+        errorReason: 'invalid_tenant'
+      }
+    }
+
+    if (await this.getTenant(tenantId)) {
+      return {
+        success: false,
+        errorReason: 'tenant_already_exists'
+      }
+    }
+
+    if (await this.getTenantByPayTo(payTo)) {
+      return {
+        success: false,
+        errorReason: 'payto_already_registered'
+      }
+    }
+
+    const credential = this.createCredential()
+    const timestamp = new Date().toISOString()
+    const tenant = {
+      tenantId,
+      name: name || tenantId,
+      payTo,
+      minAmountSat: minAmountSat ? String(minAmountSat) : null,
+      maxAmountSat: maxAmountSat ? String(maxAmountSat) : null,
+      active: true,
+      credentials: [credential],
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+
+    await this.adapters.storage.tenantDb.put(tenantId, tenant)
+    await this.loadTenants()
+
+    return {
+      success: true,
+      tenant,
+      credential
+    }
+  }
+
+  // Change the name, payTo address, pricing limits or active flag of a tenant.
+  async updateTenant ({ tenantId, ...changes }) {
+    const tenant = await this.getTenant(tenantId)
+    if (!tenant) {
+      return {
+        success: false,
+        errorReason: 'unknown_tenant'
+      }
+    }
+
+    const updates = {}
+    for (const key of ['name', 'payTo', 'minAmountSat', 'maxAmountSat', 'active']) {
+      if (changes[key] !== undefined) updates[key] = changes[key]
+    }
+
+    if (updates.payTo && updates.payTo !== tenant.payTo) {
+      const existing = await this.getTenantByPayTo(updates.payTo)
+      if (existing) {
+        return {
+          success: false,
+          errorReason: 'payto_already_registered'
+        }
+      }
+    }
+
+    const updatedTenant = {
+      ...tenant,
+      ...updates,
+      updatedAt: new Date().toISOString()
+    }
+
+    await this.adapters.storage.tenantDb.put(tenantId, updatedTenant)
+    await this.loadTenants()
+
+    return {
+      success: true,
+      tenant: updatedTenant
+    }
+  }
+
+  // Generate a new credential for a resource server.
+  createCredential () {
+    return {
+      keyId: randomBytes(8).toString('hex'),
+      secret: randomBytes(32).toString('hex'),
+      active: true,
+      createdAt: new Date().toISOString()
+    }
+  }
+
+  // Issue a new credential to a tenant. The secret is only returned here.
+  async addCredential ({ tenantId }) {
+    const tenant = await this.getTenant(tenantId)
+    if (!tenant) {
+      return {
+        success: false,
+        errorReason: 'unknown_tenant'
+      }
+    }
+
+    const credential = this.createCredential()
+    await this.adapters.storage.tenantDb.put(tenantId, {
+      ...tenant,
+      credentials: [...(tenant.credentials || []), credential],
+      updatedAt: new Date().toISOString()
+    })
+    await this.loadTenants()
+
+    return {
+      success: true,
+      tenantId,
+      credential
+    }
+  }
+
+  // Revoke a credential of a tenant. The credential is kept, marked inactive.
+  async revokeCredential ({ tenantId, keyId }) {
+    const tenant = await this.getTenant(tenantId)
+    if (!tenant) {
+      return {
+        success: false,
+        errorReason: 'unknown_tenant'
+      }
+    }
+
+    if (!(tenant.credentials || []).some(x => x.keyId === keyId)) {
+      return {
+        success: false,
+        errorReason: 'unknown_credential'
+      }
+    }
+
+    const timestamp = new Date().toISOString()
+    await this.adapters.storage.tenantDb.put(tenantId, {
+      ...tenant,
+      credentials: tenant.credentials.map(x => {
+        return x.keyId === keyId ? { ...x, active: false, revokedAt: timestamp } : x
+      }),
+      updatedAt: timestamp
+    })
+    await this.loadTenants()
+
+    return {
+      success: true,
+      tenantId,
+      keyId
+    }
+  }
+
+  /**
+   * Identifies the resource server calling the facilitator. It either sends
+   * an API key, in the form '<keyId>.<secret>', or signs the request:
+   * signature = hex HMAC-SHA256 of
+   * '<method>\n<path>\n<timestamp>\n<raw request body>', keyed with the
+   * secret of the credential. The method and path are signed so a signed
+   * request can not be replayed to another endpoint.
+   *
+   * @param apiKey API key sent by the resource server
+   * @param keyId Key ID of the credential used to sign the request
+   * @param timestamp Unix timestamp in seconds that was signed
+   * @param signature HMAC signature of the request
+   * @param method The HTTP method of the request
+   * @param path The path of the request, with its query string
+   * @param rawBody The raw request body
+   * @returns Object with success and the tenant, or an errorReason
+   */
+  async authenticateResourceServer ({ apiKey, keyId, timestamp, signature, method = '', path = '', rawBody = '' }) {
+    if (!this.tenantsByKeyId) await this.loadTenants()
+
+    let secret
+    if (apiKey) {
+      [keyId, secret] = apiKey.split('.')
+    } else if (!keyId || !timestamp || !signature) {
+      return {
+        success: false,
+        errorReason: 'missing_credentials'
+      }
+    }
+
+    const tenant = this.tenantsByKeyId.get(keyId)
+    const credential = tenant?.credentials.find(x => x.keyId === keyId)
+    if (!credential || !credential.active) {
+      return {
+        success: false,
+        errorReason: 'invalid_credentials'
+      }
+    }
+
+    if (apiKey) {
+      if (!this.secretsMatch(secret, credential.secret)) {
+        return {
+          success: false,
+          errorReason: 'invalid_credentials'
+        }
+      }
+    } else {
+      const now = Math.floor(Date.now() / 1000)
+      if (!(Math.abs(now - Number(timestamp)) <= HMAC_MAX_AGE_SECONDS)) {
+        return {
+          success: false,
+          errorReason: 'request_signature_expired'
+        }
+      }
+
+      const expectedSignature = createHmac('sha256', credential.secret)
+        .update(`${method.toUpperCase()}\n${path}\n${timestamp}\n${rawBody}`)
+        .digest('hex')
+      if (!this.secretsMatch(signature, expectedSignature)) {
+        return {
+          success: false,
+          errorReason: 'invalid_request_signature'
+        }
+      }
+    }
+
+    if (!tenant.active) {
+      return {
+        success: false,
+        errorReason: 'tenant_inactive'
+      }
+    }
+
+    return {
+      success: true,
+      tenant
+    }
+  }
+
+  // Compare two strings in constant time.
+  secretsMatch (a = '', b = '') {
+    const bufA = Buffer.from(String(a))
+    const bufB = Buffer.from(String(b))
+
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB)
+  }
+
+  /**
+   * Finds the tenant a payment is made to, from the payTo address of the
+   * payment requirements, and checks the amount against its pricing limits.
+   *
+   * When the resource server was authenticated, the payTo address must
+   * belong to it.
+   *
+   * @param paymentRequirements The expected payment details
+   * @param authorization The signed authorization from the payment payload
+   * @param tenantId ID of the authenticated tenant, if any
+   * @returns Object with isValid and the tenant, or an invalidReason
+   */
+  async getTenantForPayment ({ paymentRequirements, authorization, tenantId }) {
+    const tenant = await this.getTenantByPayTo(paymentRequirements.payTo)
+    if (!tenant) {
+      return {
+        isValid: false,
+        invalidReason: 'unknown_tenant'
+      }
+    }
+
+    if (tenantId && tenant.tenantId !== tenantId) {
+      return {
+        isValid: false,
+        invalidReason: 'payto_not_owned_by_tenant'
+      }
+    }
+
+    if (!tenant.active) {
+      return {
+        isValid: false,
+        invalidReason: 'tenant_inactive'
+      }
+    }
+
+    const valueSat = BigInt(authorization.value)
+
+    if (tenant.minAmountSat && valueSat < BigInt(tenant.minAmountSat)) {
+      return {
+        isValid: false,
+        invalidReason: 'amount_below_tenant_minimum'
+      }
+    }
+
+    if (tenant.maxAmountSat && valueSat > BigInt(tenant.maxAmountSat)) {
+      return {
+        isValid: false,
+        invalidReason: 'amount_above_tenant_maximum'
+      }
+    }
+
+    return {
+      isValid: true,
+      tenant
+    }
+  }
+}
+
+export default TenantUseCase
@@ -0,0 +1,600 @@
+/*
+  Webhook use case. Notifies tenants of payment lifecycle events, so their
+  resource servers and billing systems do not have to poll the facilitator.
+
+  - Each tenant registers endpoint URLs, and picks the event types each one
+    receives. Every endpoint has its own signing secret.
+  - Endpoints must be https URLs of public hosts, so a tenant can not make
+    the facilitator call services on its own network. The host is checked
+    when the webhook is registered. Deliveries resolve it through a lookup
+    that refuses blocked addresses, so a request only connects to an address
+    that passed the check, even if the DNS record changes in between.
+    Redirects are not followed. WEBHOOK_ALLOW_INSECURE_URLS lifts these
+    rules for development.
+  - Events are sent as a JSON POST. The body is HMAC-SHA256 signed with the
+    secret of the endpoint:
+      X-Webhook-Id: <webhookId>
+      X-Webhook-Event: <event type>
+      X-Webhook-Delivery: <deliveryId>
+      X-Webhook-Timestamp: <unix seconds>
+      X-Webhook-Signature: hex HMAC-SHA256 of '<timestamp>.<raw body>'
+  - Every delivery and each of its attempts is stored in webhookDeliveryDb.
+    A failed attempt stores the time of the next one, waiting longer before
+    each retry, and a timer sends it then. Waiting deliveries do not hold
+    one of the webhookConcurrency sending slots. Deliveries still pending
+    when the facilitator stops are sent again on the next start.
+  - Deliveries are not ordered. A receiver should use the createdAt time of
+    the event, and the event ID to drop duplicates.
+*/
+
+// Global libraries
+import { createHmac, randomBytes } from 'crypto'
+import dns from 'dns'
+import { BlockList, isIP } from 'net'
+import { Agent, fetch } from 'undici'
+
+// Local libraries
+import config from '../config/index.js'
+import { LEDGER_ENTRY_APPENDED } from './ledger.js'
+import { UTXO_STATE_CHANGED } from './facilitator.js'
+
+// Events a webhook can subscribe to.
+export const WEBHOOK_EVENT_TYPES = [
+  'utxo.funded',
+  'utxo.debited',
+  'utxo.exhausted',
+  'utxo.refunded',
+  'utxo.frozen'
+]
+
+// Largest number of endpoints a tenant can register.
+export const MAX_WEBHOOKS_PER_TENANT = 10
+
+// Addresses a webhook can not be sent to: unspecified, loopback, private,
+// link-local, shared, multicast and reserved ranges. IPv4 addresses written
+// as IPv6, e.g. ::ffff:127.0.0.1, are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new BlockList()
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4')
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6')
+}
+
+// Returns true if webhooks can not be sent to an IP address.
+function isBlockedAddress (address) {
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4')
+}
+
+// DNS lookup of the connections that deliver webhooks. It fails if the host
+// resolves to a blocked address, so the connection is made to the address
+// that was checked, not to one from a second lookup.
+function lookupPublicAddress (hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err)
+
+    // Called with options.all, the addresses come as an array.
+    const addresses = Array.isArray(address) ? address : [{ address, family }]
+    if (!addresses.length || addresses.some(x => isBlockedAddress(x.address))) {
+      return callback(new Error('webhook_host_not_allowed'))
+    }
+
+    callback(null, address, family)
+  })
+}
+
+class WebhookUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Webhook Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Webhook Use Case.'
+      )
+    }
+    this.ledger = localConfig.ledger
+    if (!this.ledger) {
+      throw new Error(
+        'Instance of Ledger Use Case must be passed in when instantiating Webhook Use Case.'
+      )
+    }
+    this.balance = localConfig.balance
+    if (!this.balance) {
+      throw new Error(
+        'Instance of Balance Use Case must be passed in when instantiating Webhook Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.webhookAgent = new Agent({ connect: { lookup: lookupPublicAddress } })
+
+    // Timers of the deliveries waiting for their next attempt, by delivery
+    // ID. Deliveries that are due wait in dueDeliveries for a sending slot.
+    this.retryTimers = new Map()
+    this.dueDeliveries = []
+    this.sendingCount = 0
+
+    // Counter added to delivery keys, so deliveries created in the same
+    // millisecond keep their order.
+    this.sequence = 0
+
+    // Bind 'this' object to all class methods
+    this.start = this.start.bind(this)
+    this.stop = this.stop.bind(this)
+    this.createWebhook = this.createWebhook.bind(this)
+    this.listWebhooks = this.listWebhooks.bind(this)
+    this.getWebhook = this.getWebhook.bind(this)
+    this.deleteWebhook = this.deleteWebhook.bind(this)
+    this.checkWebhookUrl = this.checkWebhookUrl.bind(this)
+    this.listDeliveries = this.listDeliveries.bind(this)
+    this.handleLedgerEntry = this.handleLedgerEntry.bind(this)
+    this.handleStateChange = this.handleStateChange.bind(this)
+    this.notify = this.notify.bind(this)
+    this.scheduleDelivery = this.scheduleDelivery.bind(this)
+    this.sendDueDeliveries = this.sendDueDeliveries.bind(this)
+    this.attemptDelivery = this.attemptDelivery.bind(this)
+    this.finishDelivery = this.finishDelivery.bind(this)
+    this.signPayload = this.signPayload.bind(this)
+  }
+
+  // Listen for lifecycle events, and send the deliveries left pending by the
+  // last run.
+  async start () {
+    this.ledger.events.on(LEDGER_ENTRY_APPENDED, this.handleLedgerEntry)
+    this.facilitator.events.on(UTXO_STATE_CHANGED, this.handleStateChange)
+
+    const pending = await this.adapters.storage.webhookDeliveryDb.list()
+    let resumed = 0
+    for (const { value: delivery } of pending) {
+      if (delivery.status !== 'pending') continue
+
+      this.scheduleDelivery(delivery)
+      resumed++
+    }
+
+    if (resumed) {
+      this.adapters.logger.info(`Resuming ${resumed} pending webhook deliveries.`)
+    }
+
+    return resumed
+  }
+
+  // Stop listening for events, and drop the timers of waiting deliveries.
+  // They stay pending, and are resumed by the next start().
+  stop () {
+    this.ledger.events.off(LEDGER_ENTRY_APPENDED, this.handleLedgerEntry)
+    this.facilitator.events.off(UTXO_STATE_CHANGED, this.handleStateChange)
+
+    for (const timer of this.retryTimers.values()) clearTimeout(timer)
+    this.retryTimers.clear()
+    this.dueDeliveries = []
+  }
+
+  /**
+   * Registers a webhook endpoint for a tenant.
+   *
+   * @param tenantId The tenant that receives the events
+   * @param url https URL of a public host that events are POSTed to
+   * @param events Event types to send. Defaults to every type.
+   * @returns Object with success and the webhook. Its secret is only
+   * returned here.
+   */
+  async createWebhook ({ tenantId, url, events = WEBHOOK_EVENT_TYPES }) {
+    const urlCheck = await this.checkWebhookUrl(url)
+    if (!urlCheck.isValid) {
+      return {
+        success: false,
+        errorReason: urlCheck.invalidReason
+      }
+    }
+
+    if (
+      !Array.isArray(events) ||
+      !events.length ||
+      events.some(x => !WEBHOOK_EVENT_TYPES.includes(x))
+    ) {
+      return {
+        success: false,
+        errorReason: 'invalid_webhook_events'
+      }
+    }
+
+    const webhooks = await this.listWebhooks(tenantId)
+    if (webhooks.length >= MAX_WEBHOOKS_PER_TENANT) {
+      return {
+        success: false,
+        errorReason: 'too_many_webhooks'
+      }
+    }
+
+    const webhook = {
+      webhookId: randomBytes(8).toString('hex'),
+      tenantId,
+      url: urlCheck.url,
+      events: [...new Set(events)],
+      secret: randomBytes(32).toString('hex'),
+      active: true,
+      createdAt: new Date().toISOString()
+    }
+    await this.adapters.storage.webhookDb.put(`${tenantId}:${webhook.webhookId}`, webhook)
+
+    return {
+      success: true,
+      webhook
+    }
+  }
+
+  // Check that events may be sent to a URL: it must be https, and its host
+  // must only resolve to public addresses. Returns isValid, the normalized
+  // url and, when invalid, an invalidReason.
+  async checkWebhookUrl (url) {
+    let parsedUrl = null
+    try {
+      parsedUrl = new URL(url)
+    } catch (err) {
+      parsedUrl = null
+    }
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return { isValid: false, invalidReason: 'invalid_webhook_url' }
+    }
+
+    if (this.config.webhookAllowInsecureUrls) {
+      return { isValid: true, url: parsedUrl.toString() }
+    }
+
+    if (parsedUrl.protocol !== 'https:') {
+      return { isValid: false, invalidReason: 'webhook_url_not_https' }
+    }
+
+    // IPv6 hosts are written in brackets.
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '')
+    let addresses = [hostname]
+    if (!isIP(hostname)) {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(x => x.address)
+      } catch (err) {
+        return { isValid: false, invalidReason: 'webhook_host_not_found' }
+      }
+    }
+
+    if (!addresses.length || addresses.some(isBlockedAddress)) {
+      return { isValid: false, invalidReason: 'webhook_host_not_allowed' }
+    }
+
+    return { isValid: true, url: parsedUrl.toString() }
+  }
+
+  // Returns every webhook of a tenant.
+  async listWebhooks (tenantId) {
+    const webhookDb = this.adapters?.storage?.webhookDb
+    if (!webhookDb) {
+      throw new Error('Webhook database not initialized')
+    }
+
+    // ';' is the character after ':', so this range holds only the keys of
+    // this tenant.
+    const entries = await webhookDb.list({ gt: `${tenantId}:`, lt: `${tenantId};` })
+
+    return entries.map(x => x.value)
+  }
+
+  // Returns a webhook, or null if the tenant has no webhook with that ID.
+  async getWebhook ({ tenantId, webhookId }) {
+    try {
+      return await this.adapters.storage.webhookDb.get(`${tenantId}:${webhookId}`)
+    } catch (err) {
+      if (err.notFound) return null
+      throw err
+    }
+  }
+
+  // Remove a webhook. Its pending deliveries are cancelled.
+  async deleteWebhook ({ tenantId, webhookId }) {
+    const webhook = await this.getWebhook({ tenantId, webhookId })
+    if (!webhook) {
+      return {
+        success: false,
+        errorReason: 'unknown_webhook'
+      }
+    }
+
+    await this.adapters.storage.webhookDb.del(`${tenantId}:${webhookId}`)
+
+    return {
+      success: true,
+      webhookId
+    }
+  }
+
+  // Returns a page of the deliveries of a tenant, newest first, optionally
+  // filtered by status or webhook.
+  async listDeliveries ({ tenantId, status, webhookId, limit, offset }) {
+    const entries = await this.adapters.storage.webhookDeliveryDb.list({
+      gt: `${tenantId}:`,
+      lt: `${tenantId};`,
+      reverse: true
+    })
+
+    const deliveries = entries
+      .map(x => x.value)
+      .filter(x => !status || x.status === status)
+      .filter(x => !webhookId || x.webhookId === webhookId)
+
+    return {
+      success: true,
+      deliveries: this.balance.paginate(deliveries, limit, offset)
+    }
+  }
+
+  // Turn a ledger entry into the events it stands for.
+  handleLedgerEntry (entry) {
+    const types = []
+    if (entry.type === 'credit') types.push('utxo.funded')
+    if (entry.type === 'debit') {
+      types.push('utxo.debited')
+      if (BigInt(entry.balanceAfterSat) <= 0n) types.push('utxo.exhausted')
+    }
+    if (entry.type === 'refund') types.push('utxo.refunded')
+
+    const data = {
+      utxoId: entry.utxoId,
+      entryId: entry.entryId,
+      amountSat: entry.amountSat,
+      remainingBalanceSat: entry.balanceAfterSat,
+      payer: entry.payer,
+      account: entry.account,
+      resource: entry.resource,
+      method: entry.method
+    }
+    if (entry.type === 'refund') data.refundTxid = entry.details?.refundTxid || null
+
+    for (const type of types) {
+      this.notify({ tenantId: entry.tenantId, type, data })
+        .catch(err => this.adapters.logger.error(`Could not queue webhook event ${type}:`, err))
+    }
+  }
+
+  // Turn a change of state of a UTXO into an event.
+  handleStateChange (stateChange) {
+    if (stateChange.change !== 'frozen') return
+
+    const data = {
+      utxoId: stateChange.utxoId,
+      reason: stateChange.reason,
+      remainingBalanceSat: stateChange.remainingBalanceSat
+    }
+
+    this.notify({ tenantId: stateChange.tenantId, type: 'utxo.frozen', data })
+      .catch(err => this.adapters.logger.error('Could not queue webhook event utxo.frozen:', err))
+  }
+
+  /**
+   * Stores a delivery of an event for every webhook of the tenant that
+   * subscribed to it, and queues them for sending.
+   *
+   * @param tenantId The tenant the event belongs to
+   * @param type One of WEBHOOK_EVENT_TYPES
+   * @param data The body of the event
+   * @returns The stored deliveries
+   */
+  async notify ({ tenantId, type, data }) {
+    const webhooks = (await this.listWebhooks(tenantId))
+      .filter(x => x.active && x.events.includes(type))
+    if (!webhooks.length) return []
+
+    const createdAt = new Date().toISOString()
+    const event = {
+      id: `evt_${randomBytes(12).toString('hex')}`,
+      type,
+      tenantId,
+      createdAt,
+      data
+    }
+
+    const deliveries = []
+    for (const webhook of webhooks) {
+      this.sequence = (this.sequence + 1) % 1000000
+      const deliveryId = `${tenantId}:${createdAt}:${String(this.sequence).padStart(6, '0')}`
+
+      const delivery = {
+        deliveryId,
+        webhookId: webhook.webhookId,
+        tenantId,
+        url: webhook.url,
+        eventId: event.id,
+        type,
+        event,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: createdAt,
+        createdAt,
+        updatedAt: createdAt
+      }
+      await this.adapters.storage.webhookDeliveryDb.put(deliveryId, delivery)
+
+      this.scheduleDelivery(delivery)
+      deliveries.push(delivery)
+    }
+
+    return deliveries
+  }
+
+  // Set a timer for the next attempt of a pending delivery, at its
+  // nextAttemptAt time. Deliveries stored before that field existed are due
+  // at once.
+  scheduleDelivery (delivery) {
+    const { deliveryId } = delivery
+    clearTimeout(this.retryTimers.get(deliveryId))
+
+    const delayMs = Math.max(0, (Date.parse(delivery.nextAttemptAt) || 0) - Date.now())
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(deliveryId)
+      this.dueDeliveries.push(deliveryId)
+      this.sendDueDeliveries()
+    }, delayMs)
+
+    // A waiting delivery does not keep the process running.
+    timer.unref()
+    this.retryTimers.set(deliveryId, timer)
+  }
+
+  // Make an attempt of every due delivery that fits in a free sending slot.
+  // A delivery that failed and will be retried is scheduled again. Runs from
+  // timers, so it logs its own errors instead of throwing.
+  sendDueDeliveries () {
+    while (this.sendingCount < this.config.webhookConcurrency && this.dueDeliveries.length) {
+      const deliveryId = this.dueDeliveries.shift()
+      this.sendingCount++
+
+      this.attemptDelivery(deliveryId)
+        .then(delivery => {
+          if (delivery.status === 'pending') this.scheduleDelivery(delivery)
+        })
+        .catch(err => this.adapters.logger.error(`Error in webhook delivery ${deliveryId}:`, err))
+        .finally(() => {
+          this.sendingCount--
+          this.sendDueDeliveries()
+        })
+    }
+  }
+
+  // Make one attempt to POST a delivery to its webhook, and store its
+  // result. A failed attempt sets the time of the next one, or marks the
+  // delivery failed after the last retry. Resolves to the updated delivery.
+  async attemptDelivery (deliveryId) {
+    const webhookDeliveryDb = this.adapters.storage.webhookDeliveryDb
+
+    const delivery = await webhookDeliveryDb.get(deliveryId)
+    if (delivery.status !== 'pending') return delivery
+
+    const webhook = await this.getWebhook({
+      tenantId: delivery.tenantId,
+      webhookId: delivery.webhookId
+    })
+    if (!webhook || !webhook.active) {
+      return this.finishDelivery(deliveryId, 'cancelled', 'webhook_removed')
+    }
+
+    const body = JSON.stringify(delivery.event)
+    const timestamp = String(Math.floor(Date.now() / 1000))
+    const attempt = {
+      attemptedAt: new Date().toISOString(),
+      httpStatus: null,
+      error: null
+    }
+
+    try {
+      // The URL is checked again, as the rules may have changed since the
+      // webhook was registered. The address of its host is checked by the
+      // lookup of the webhook agent, when the connection is made.
+      const urlCheck = await this.checkWebhookUrl(webhook.url)
+      if (!urlCheck.isValid) throw new Error(urlCheck.invalidReason)
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        dispatcher: this.config.webhookAllowInsecureUrls ? undefined : this.webhookAgent,
+        // A redirect could lead to a host that is not allowed.
+        redirect: 'manual',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': webhook.webhookId,
+          'X-Webhook-Event': delivery.type,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.config.webhookTimeoutMs)
+      })
+
+      attempt.httpStatus = response.status
+      if (!response.ok) attempt.error = `HTTP ${response.status}`
+    } catch (err) {
+      // fetch() puts the reason a connection failed in the cause.
+      attempt.error = err.cause?.message || err.message
+    }
+
+    const updatedDelivery = {
+      ...delivery,
+      attempts: [...delivery.attempts, attempt],
+      updatedAt: attempt.attemptedAt
+    }
+
+    if (attempt.error) {
+      const retries = updatedDelivery.attempts.length - 1
+      if (retries >= this.config.webhookMaxRetries) {
+        await webhookDeliveryDb.put(deliveryId, updatedDelivery)
+        return this.finishDelivery(deliveryId, 'failed', attempt.error)
+      }
+
+      // Wait twice as long before each retry.
+      const delayMs = this.config.webhookRetryPeriodMs * 2 ** retries
+      updatedDelivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString()
+      await webhookDeliveryDb.put(deliveryId, updatedDelivery)
+
+      return updatedDelivery
+    }
+
+    updatedDelivery.status = 'delivered'
+    updatedDelivery.deliveredAt = attempt.attemptedAt
+    delete updatedDelivery.nextAttemptAt
+    await webhookDeliveryDb.put(deliveryId, updatedDelivery)
+
+    return updatedDelivery
+  }
+
+  // Close a delivery that will not be sent again.
+  async finishDelivery (deliveryId, status, reason) {
+    const webhookDeliveryDb = this.adapters.storage.webhookDeliveryDb
+
+    const delivery = await webhookDeliveryDb.get(deliveryId)
+    const updatedDelivery = {
+      ...delivery,
+      status,
+      finishedReason: reason,
+      updatedAt: new Date().toISOString()
+    }
+    delete updatedDelivery.nextAttemptAt
+    await webhookDeliveryDb.put(deliveryId, updatedDelivery)
+
+    if (status === 'failed') {
+      this.adapters.logger.warn(`Webhook delivery ${deliveryId} failed: ${reason}`)
+    }
+
+    return updatedDelivery
+  }
+
+  // Hex HMAC-SHA256 of '<timestamp>.<body>', keyed with the webhook secret.
+  signPayload (secret, timestamp, body) {
+    return createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+  }
+}
+
+export default WebhookUseCase
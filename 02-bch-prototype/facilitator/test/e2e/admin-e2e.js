@@ -0,0 +1,362 @@
+/*
+  End-to-end test of the /admin REST API, on the mock chain and in-memory
+  storage, in one Node process.
+
+  Checks the admin API key, the balance adjustments against the active
+  reservations of a UTXO, the audit trail of every admin change, and the
+  report of a balance that does not match its ledger.
+
+  The tests run in order, and each one builds on the state left by the ones
+  before it. Set VERBOSE to see the logs of the facilitator.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+import express from 'express'
+import { randomBytes } from 'crypto'
+
+// Local libraries
+import Controllers from '../../src/controllers/index.js'
+import config from '../../src/config/index.js'
+import { DEFAULT_TENANT_ID } from '../../src/use-cases/tenant.js'
+
+// Demo key from client/.env-local: bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk
+const PAYER_WIF = 'L1eYaneXDDXy8VDig4Arwe8wYHbhtsA5wuQvwsKwhaYeneoZuKG4'
+
+const ADMIN_API_KEY = 'test-admin-key'
+const FUNDING_SAT = 5000
+const CALL_COST_SAT = 1000
+
+describe('#admin-e2e', () => {
+  const logs = { ...console }
+  const adminApiKey = config.adminApiKey
+  let controllers, server, baseUrl, tenantHeaders, bchjs, payTo, payerAddress
+  let txid, utxoId, reservedBody
+
+  // Body of a verify or settle call that pays CALL_COST_SAT from the UTXO.
+  const createBody = () => {
+    const now = Math.floor(Date.now() / 1000)
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: 'bch',
+      minAmountRequired: CALL_COST_SAT,
+      resource: 'http://localhost:4021/weather',
+      description: 'Admin test',
+      mimeType: '',
+      payTo,
+      maxTimeoutSeconds: 60,
+      asset: '0x0000000000000000000000000000000000000001',
+      outputSchema: { input: { type: 'http', method: 'GET', discoverable: true } },
+      extra: {}
+    }
+
+    const authorization = {
+      from: payerAddress,
+      to: payTo,
+      value: CALL_COST_SAT,
+      txid,
+      vout: 0,
+      amount: FUNDING_SAT,
+      resource: paymentRequirements.resource,
+      method: 'GET',
+      nonce: '0x' + randomBytes(32).toString('hex'),
+      validAfter: String(now - 60),
+      validBefore: String(now + 600)
+    }
+    const signature = bchjs.BitcoinCash.signMessageWithPrivKey(
+      PAYER_WIF,
+      JSON.stringify(authorization)
+    )
+
+    return JSON.stringify({
+      x402Version: 1,
+      paymentPayload: {
+        x402Version: 1,
+        scheme: 'utxo',
+        network: 'bch',
+        payload: { signature, authorization }
+      },
+      paymentRequirements
+    })
+  }
+
+  // Call the facilitator as the resource server of the default tenant.
+  const postFacilitator = async (endpoint, body) => {
+    const response = await fetch(`${baseUrl}/facilitator/${endpoint}`, {
+      method: 'POST',
+      headers: tenantHeaders,
+      body
+    })
+
+    return response.json()
+  }
+
+  // Call the admin API. Returns the status and the body of the response.
+  const callAdmin = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}/admin${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${ADMIN_API_KEY}`,
+        'X-Admin-Actor': 'alice',
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+
+    return { status: response.status, body: await response.json() }
+  }
+
+  before(async () => {
+    if (!process.env.VERBOSE) {
+      console.log = () => {}
+      console.warn = () => {}
+      console.error = () => {}
+    }
+
+    controllers = new Controllers({
+      chainBackend: 'mock',
+      storageBackend: 'memory',
+      minConfirmations: 1
+    })
+    await controllers.initAdapters()
+    await controllers.initUseCases()
+    if (!process.env.VERBOSE) controllers.adapters.logger.info = () => {}
+
+    bchjs = controllers.adapters.bchWallet.bchjs
+    payTo = controllers.adapters.bchWallet.config.serverBchAddress
+    payerAddress = bchjs.ECPair.toCashAddress(bchjs.ECPair.fromWIF(PAYER_WIF))
+
+    const app = express()
+    app.use(express.json())
+    controllers.attachRESTControllers(app)
+    server = await new Promise(resolve => {
+      const s = app.listen(0, () => resolve(s))
+    })
+    baseUrl = `http://localhost:${server.address().port}`
+
+    const { credential } = await controllers.useCases.tenant.addCredential({ tenantId: DEFAULT_TENANT_ID })
+    tenantHeaders = {
+      'Content-Type': 'application/json',
+      'X-API-Key': `${credential.keyId}.${credential.secret}`
+    }
+
+    // A UTXO with one call reserved and not yet settled.
+    txid = controllers.adapters.bchWallet.chain.createFundingTx({
+      from: payerAddress,
+      outputs: [{ address: payTo, amountSat: FUNDING_SAT }],
+      confirmations: 1
+    })
+    utxoId = `${txid}:0`
+    reservedBody = createBody()
+    const verification = await postFacilitator('verify', reservedBody)
+    assert.isTrue(verification.isValid, verification.invalidReason)
+  })
+
+  after(async () => {
+    config.adminApiKey = adminApiKey
+    Object.assign(console, logs)
+    if (server) server.close()
+    await controllers?.adapters?.storage?.closeDb()
+  })
+
+  describe('#auth', () => {
+    it('should disable the admin API when no key is configured', async () => {
+      config.adminApiKey = undefined
+
+      const result = await callAdmin('GET', '/utxos')
+
+      assert.equal(result.status, 404)
+      assert.equal(result.body.error, 'admin_api_disabled')
+    })
+
+    it('should reject a wrong key', async () => {
+      config.adminApiKey = ADMIN_API_KEY
+
+      const result = await callAdmin('GET', '/utxos', undefined, { Authorization: 'Bearer wrong-admin-key' })
+
+      assert.equal(result.status, 401)
+      assert.equal(result.body.error, 'invalid_admin_credentials')
+    })
+
+    it('should reject the key sent without the Bearer scheme', async () => {
+      const result = await callAdmin('GET', '/utxos', undefined, { Authorization: ADMIN_API_KEY })
+
+      assert.equal(result.status, 401)
+      assert.equal(result.body.error, 'invalid_admin_credentials')
+    })
+
+    it('should reject a tenant credential', async () => {
+      const result = await callAdmin('GET', '/utxos', undefined, {
+        Authorization: '',
+        'X-API-Key': tenantHeaders['X-API-Key']
+      })
+
+      assert.equal(result.status, 401)
+    })
+
+    it('should list the UTXOs with the admin key', async () => {
+      const result = await callAdmin('GET', '/utxos')
+
+      assert.equal(result.status, 200)
+      assert.isTrue(result.body.success)
+      assert.include(result.body.utxos.items.map(x => x.utxoId), utxoId)
+    })
+  })
+
+  describe('#adjustBalance', () => {
+    it('should not set the balance below the active reservations', async () => {
+      const result = await callAdmin('POST', `/utxos/${utxoId}/adjust`, {
+        remainingBalanceSat: String(CALL_COST_SAT - 1),
+        reason: 'Goodwill correction'
+      })
+      const record = await controllers.adapters.storage.utxoDb.get(utxoId)
+
+      assert.equal(result.status, 200)
+      assert.isFalse(result.body.success)
+      assert.equal(result.body.errorReason, 'adjustment_below_reserved_balance')
+      assert.equal(record.remainingBalanceSat, String(FUNDING_SAT))
+    })
+
+    it('should not set the balance above the value of the UTXO', async () => {
+      const result = await callAdmin('POST', `/utxos/${utxoId}/adjust`, {
+        remainingBalanceSat: String(FUNDING_SAT + 1),
+        reason: 'Goodwill correction'
+      })
+
+      assert.equal(result.body.errorReason, 'adjustment_exceeds_utxo_value')
+    })
+
+    it('should require a reason', async () => {
+      const result = await callAdmin('POST', `/utxos/${utxoId}/adjust`, {
+        remainingBalanceSat: String(CALL_COST_SAT)
+      })
+
+      assert.equal(result.status, 400)
+    })
+
+    it('should report an unknown UTXO', async () => {
+      const result = await callAdmin('POST', `/utxos/${'0'.repeat(64)}:0/adjust`, {
+        remainingBalanceSat: '0',
+        reason: 'Goodwill correction'
+      })
+
+      assert.equal(result.body.errorReason, 'unknown_utxo')
+    })
+
+    it('should set the balance down to the active reservations', async () => {
+      const result = await callAdmin('POST', `/utxos/${utxoId}/adjust`, {
+        remainingBalanceSat: String(CALL_COST_SAT),
+        reason: 'Goodwill correction'
+      })
+      const rebuilt = await controllers.useCases.ledger.rebuildBalance(utxoId)
+
+      assert.isTrue(result.body.success)
+      assert.equal(result.body.record.remainingBalanceSat, String(CALL_COST_SAT))
+      assert.equal(result.body.record.adjustments[0].previousBalanceSat, String(FUNDING_SAT))
+      assert.equal(result.body.record.adjustments[0].actor, 'alice')
+      assert.isTrue(rebuilt.isConsistent)
+    })
+
+    it('should still settle the reserved call after the adjustment', async () => {
+      const settlement = await postFacilitator('settle', reservedBody)
+      const record = await controllers.adapters.storage.utxoDb.get(utxoId)
+      const rebuilt = await controllers.useCases.ledger.rebuildBalance(utxoId)
+
+      assert.isTrue(settlement.success, settlement.errorReason)
+      assert.equal(record.remainingBalanceSat, '0')
+      assert.isTrue(rebuilt.isConsistent)
+    })
+  })
+
+  describe('#audit', () => {
+    it('should record freezes, unfreezes and blocklist changes', async () => {
+      await callAdmin('POST', `/utxos/${utxoId}/freeze`, { reason: 'Under review' })
+      await callAdmin('POST', `/utxos/${utxoId}/unfreeze`, { reason: 'Review done' })
+      await callAdmin('POST', '/blocklist', { address: payerAddress, reason: 'Chargeback' })
+      const blocked = await callAdmin('GET', '/blocklist')
+      await callAdmin('DELETE', `/blocklist/${payerAddress}`)
+      const unblocked = await callAdmin('DELETE', `/blocklist/${payerAddress}`)
+
+      const result = await callAdmin('GET', '/audit')
+      const actions = result.body.audit.items.map(x => x.action)
+
+      assert.deepEqual(blocked.body.blocklist.map(x => x.address), [payerAddress])
+      assert.equal(unblocked.body.errorReason, 'address_not_blocklisted')
+      assert.includeMembers(actions, ['unblock_payer', 'block_payer', 'unfreeze_utxo', 'freeze_utxo'])
+    })
+
+    it('should list the audit trail newest first, with the actor and details', async () => {
+      const result = await callAdmin('GET', '/audit')
+      const audit = result.body.audit.items
+      const adjustment = audit.find(x => x.action === 'adjust_balance')
+      const timestamps = audit.map(x => x.timestamp)
+
+      assert.deepEqual(timestamps, [...timestamps].sort().reverse())
+      assert.equal(audit[audit.length - 1].action, 'adjust_balance')
+      assert.equal(adjustment.target, utxoId)
+      assert.equal(adjustment.actor, 'alice')
+      assert.equal(adjustment.details.reason, 'Goodwill correction')
+      assert.equal(adjustment.details.remainingBalanceSat, String(CALL_COST_SAT))
+      assert.isTrue(audit.every(x => x.actor === 'alice'))
+    })
+
+    it('should not record a rejected adjustment', async () => {
+      const result = await callAdmin('GET', '/audit')
+
+      assert.equal(result.body.audit.items.filter(x => x.action === 'adjust_balance').length, 1)
+    })
+
+    it('should not let the audit trail be read without the admin key', async () => {
+      const result = await callAdmin('GET', '/audit', undefined, { Authorization: 'Bearer wrong-admin-key' })
+
+      assert.equal(result.status, 401)
+      assert.isUndefined(result.body.audit)
+    })
+  })
+
+  describe('#ledger', () => {
+    let ledgerBalanceSat
+
+    it('should rebuild a corrupted balance from the ledger', async () => {
+      const { utxoDb } = controllers.adapters.storage
+      const record = await utxoDb.get(utxoId)
+      ledgerBalanceSat = record.remainingBalanceSat
+      await utxoDb.put(utxoId, { ...record, remainingBalanceSat: '700' })
+
+      const rebuilt = await controllers.useCases.ledger.rebuildBalance(utxoId)
+
+      assert.isFalse(rebuilt.isConsistent)
+      assert.equal(rebuilt.storedBalanceSat, '700')
+      assert.equal(rebuilt.ledgerBalanceSat, ledgerBalanceSat)
+      assert.equal(rebuilt.storedDebitedSat, rebuilt.ledgerDebitedSat)
+    })
+
+    it('should report the mismatch, and flag it on the record', async () => {
+      const checked = await callAdmin('POST', `/utxos/${utxoId}/ledger/check`)
+      const checkedAll = await callAdmin('POST', '/ledger/check')
+      const ledger = await callAdmin('GET', `/utxos/${utxoId}/ledger`)
+      const record = await controllers.adapters.storage.utxoDb.get(utxoId)
+
+      assert.isFalse(checked.body.isConsistent)
+      assert.deepEqual(checkedAll.body.mismatches.map(x => x.utxoId), [utxoId])
+      assert.equal(ledger.body.balance.ledgerBalanceSat, ledgerBalanceSat)
+      assert.equal(ledger.body.entries.total, ledger.body.balance.entryCount)
+      assert.equal(record.ledgerMismatch.storedBalanceSat, '700')
+      assert.equal(record.ledgerMismatch.ledgerBalanceSat, ledgerBalanceSat)
+    })
+
+    it('should clear the flag once the balance matches the ledger again', async () => {
+      const { utxoDb } = controllers.adapters.storage
+      await utxoDb.put(utxoId, { ...await utxoDb.get(utxoId), remainingBalanceSat: ledgerBalanceSat })
+
+      const checked = await callAdmin('POST', `/utxos/${utxoId}/ledger/check`)
+      const checkedAll = await callAdmin('POST', '/ledger/check')
+      const record = await utxoDb.get(utxoId)
+
+      assert.isTrue(checked.body.isConsistent)
+      assert.isEmpty(checkedAll.body.mismatches)
+      assert.isUndefined(record.ledgerMismatch)
+    })
+  })
+})
@@ -0,0 +1,249 @@
+/*
+  End-to-end test of the expiry of idle prepaid balances, on the mock chain
+  and in-memory storage, in one Node process.
+
+  The expiry job runs with a TTL of one second, and is called directly
+  instead of from its timer. The facilitator holds the key of its server
+  address, so it signs each refund TX and broadcasts it to the mock chain.
+
+  The tests run in order, and each one builds on the state left by the ones
+  before it. Set VERBOSE to see the logs of the facilitator.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+import express from 'express'
+import { randomBytes } from 'crypto'
+
+// Local libraries
+import Controllers from '../../src/controllers/index.js'
+import config from '../../src/config/index.js'
+import { DEFAULT_TENANT_ID } from '../../src/use-cases/tenant.js'
+import { createBCHSigner, createRefundRequest } from '../../../client/axios-402-handler.js'
+
+// Test key of the server address: bitcoincash:qptea8z3gvfcflnhw42qc6zx5fluj0c3r5k96mqlkd
+const SERVER_WIF = 'L1VSC73Feey8RFRYdoKmzpaPAeRZ8WrA2zNLevzUmbn1pem7N8aD'
+const SERVER_ADDRESS = 'bitcoincash:qptea8z3gvfcflnhw42qc6zx5fluj0c3r5k96mqlkd'
+
+// Demo key from client/.env-local: bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk
+const PAYER_WIF = 'L1eYaneXDDXy8VDig4Arwe8wYHbhtsA5wuQvwsKwhaYeneoZuKG4'
+
+const FUNDING_SAT = 5000
+const CALL_COST_SAT = 1000
+const IDLE_TTL_SECONDS = 1
+
+describe('#expiry-e2e', () => {
+  const logs = { ...console }
+  const serverBchAddress = config.serverBchAddress
+  let controllers, storage, expiry, chain, server, baseUrl, tenantHeaders, signer
+
+  // The UTXOs of the first expiry run: one with a balance to refund, one
+  // with a balance below the dust limit after the refund fee, one used up,
+  // and one with a call reserved.
+  let refundTxid, dustTxid, usedUpTxid, reservedTxid, summary
+
+  // Body of a verify or settle call that pays CALL_COST_SAT from a UTXO.
+  const createBody = (fundingTxid, amountSat) => {
+    const now = Math.floor(Date.now() / 1000)
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: 'bch',
+      minAmountRequired: CALL_COST_SAT,
+      resource: 'http://localhost:4021/weather',
+      description: 'Expiry test',
+      mimeType: '',
+      payTo: SERVER_ADDRESS,
+      maxTimeoutSeconds: 60,
+      asset: '0x0000000000000000000000000000000000000001',
+      outputSchema: { input: { type: 'http', method: 'GET', discoverable: true } },
+      extra: {}
+    }
+
+    const authorization = {
+      from: signer.address,
+      to: SERVER_ADDRESS,
+      value: CALL_COST_SAT,
+      txid: fundingTxid,
+      vout: 0,
+      amount: amountSat,
+      resource: paymentRequirements.resource,
+      method: 'GET',
+      nonce: '0x' + randomBytes(32).toString('hex'),
+      validAfter: String(now - 60),
+      validBefore: String(now + 600)
+    }
+
+    return JSON.stringify({
+      x402Version: 1,
+      paymentPayload: {
+        x402Version: 1,
+        scheme: 'utxo',
+        network: 'bch',
+        payload: { signature: signer.signMessage(JSON.stringify(authorization)), authorization }
+      },
+      paymentRequirements
+    })
+  }
+
+  const post = async (path, body, headers = { 'Content-Type': 'application/json' }) => {
+    const response = await fetch(`${baseUrl}/facilitator/${path}`, { method: 'POST', headers, body })
+
+    return response.json()
+  }
+
+  // Fund a UTXO from the payer, and reserve one call with it. The call is
+  // settled unless settle is false.
+  const fundAndPay = async (amountSat, { settle = true } = {}) => {
+    const fundingTxid = chain.createFundingTx({
+      from: signer.address,
+      outputs: [{ address: SERVER_ADDRESS, amountSat }],
+      confirmations: 1
+    })
+
+    const body = createBody(fundingTxid, amountSat)
+    const verification = await post('verify', body, tenantHeaders)
+    assert.isTrue(verification.isValid, verification.invalidReason)
+    if (!settle) return fundingTxid
+
+    const settlement = await post('settle', body, tenantHeaders)
+    assert.isTrue(settlement.success, settlement.errorReason)
+
+    return fundingTxid
+  }
+
+  // Wait until the UTXOs paid so far are idle for longer than the TTL.
+  const waitIdle = () => new Promise(resolve => setTimeout(resolve, IDLE_TTL_SECONDS * 1000 + 100))
+
+  const getArchived = (txid) => storage.archiveDb.get(`${txid}:0`)
+
+  const isInUtxoDb = async (txid) => {
+    try {
+      await storage.utxoDb.get(`${txid}:0`)
+      return true
+    } catch (err) {
+      if (err.notFound) return false
+      throw err
+    }
+  }
+
+  before(async () => {
+    if (!process.env.VERBOSE) {
+      console.log = () => {}
+      console.warn = () => {}
+      console.error = () => {}
+    }
+
+    // The default tenant is paid to the address the facilitator holds the
+    // key of.
+    config.serverBchAddress = SERVER_ADDRESS
+
+    controllers = new Controllers({
+      chainBackend: 'mock',
+      storageBackend: 'memory',
+      minConfirmations: 1,
+      bchPrivateKey: SERVER_WIF
+    })
+    await controllers.initAdapters()
+    await controllers.initUseCases()
+    if (!process.env.VERBOSE) controllers.adapters.logger.info = () => {}
+
+    storage = controllers.adapters.storage
+    expiry = controllers.useCases.expiry
+    expiry.config = { ...expiry.config, utxoIdleTtlSeconds: IDLE_TTL_SECONDS, expiredBalancePolicy: 'refund' }
+    chain = controllers.adapters.bchWallet.chain
+    signer = createBCHSigner(PAYER_WIF, FUNDING_SAT)
+
+    const app = express()
+    app.use(express.json())
+    controllers.attachRESTControllers(app)
+    server = await new Promise(resolve => {
+      const s = app.listen(0, () => resolve(s))
+    })
+    baseUrl = `http://localhost:${server.address().port}`
+
+    const { credential } = await controllers.useCases.tenant.addCredential({ tenantId: DEFAULT_TENANT_ID })
+    tenantHeaders = {
+      'Content-Type': 'application/json',
+      'X-API-Key': `${credential.keyId}.${credential.secret}`
+    }
+  })
+
+  after(async () => {
+    config.serverBchAddress = serverBchAddress
+    Object.assign(console, logs)
+    if (server) server.close()
+    await controllers?.adapters?.storage?.closeDb()
+  })
+
+  it('should refund the balance of an idle UTXO to its funder, and archive it', async () => {
+    refundTxid = await fundAndPay(FUNDING_SAT)
+    dustTxid = await fundAndPay(CALL_COST_SAT + config.refundFeeSat)
+    usedUpTxid = await fundAndPay(CALL_COST_SAT)
+    reservedTxid = await fundAndPay(FUNDING_SAT, { settle: false })
+    await waitIdle()
+
+    summary = await expiry.expireIdleRecords()
+    const archived = await getArchived(refundTxid)
+    const rebuilt = await controllers.useCases.ledger.rebuildBalance(`${refundTxid}:0`)
+    const account = await controllers.useCases.facilitator.getAccountRecord(signer.address)
+
+    assert.deepEqual(summary, { archived: 3, refunded: 1, forfeited: 1, failed: 0 })
+    assert.equal(archived.status, 'refunded')
+    assert.equal(archived.expiredAction, 'refunded')
+    assert.equal(archived.refundedSat, String(FUNDING_SAT - CALL_COST_SAT - config.refundFeeSat))
+    assert.deepEqual(chain.broadcasts.map(x => x.txid), [archived.refundTxid])
+    assert.isFalse(await isInUtxoDb(refundTxid))
+    assert.notInclude(account.utxoIds, `${refundTxid}:0`)
+    assert.isTrue(rebuilt.isConsistent)
+  })
+
+  it('should forfeit a balance below the dust limit after the refund fee', async () => {
+    const archived = await getArchived(dustTxid)
+
+    assert.equal(archived.status, 'forfeited')
+    assert.equal(archived.forfeitedSat, String(config.refundFeeSat))
+    assert.equal(archived.remainingBalanceSat, '0')
+  })
+
+  it('should archive a used up UTXO without a refund', async () => {
+    const archived = await getArchived(usedUpTxid)
+
+    assert.isUndefined(archived.status)
+    assert.isUndefined(archived.expiredAction)
+    assert.equal(archived.remainingBalanceSat, '0')
+  })
+
+  it('should skip a UTXO with an active reservation', async () => {
+    const record = await storage.utxoDb.get(`${reservedTxid}:0`)
+
+    assert.equal(record.remainingBalanceSat, String(FUNDING_SAT))
+    assert.isNotEmpty(Object.keys(record.reservations))
+    assert.isUndefined(record.status)
+  })
+
+  it('should reject payment and refund of an archived UTXO', async () => {
+    const verification = await post('verify', createBody(refundTxid, FUNDING_SAT), tenantHeaders)
+    const refund = await post('refund', JSON.stringify(createRefundRequest(signer, dustTxid, 0)))
+
+    assert.isFalse(verification.isValid)
+    assert.equal(verification.invalidReason, 'utxo_expired')
+    assert.isFalse(refund.success)
+    assert.equal(refund.errorReason, 'utxo_expired')
+  })
+
+  it('should forfeit the balance of an idle UTXO under the forfeit policy', async () => {
+    expiry.config = { ...expiry.config, expiredBalancePolicy: 'forfeit' }
+    const forfeitTxid = await fundAndPay(FUNDING_SAT)
+    await waitIdle()
+
+    const forfeitSummary = await expiry.expireIdleRecords()
+    const archived = await getArchived(forfeitTxid)
+    const entries = await controllers.useCases.ledger.listEntries(`${forfeitTxid}:0`)
+
+    assert.deepEqual(forfeitSummary, { archived: 1, refunded: 0, forfeited: 1, failed: 0 })
+    assert.equal(archived.status, 'forfeited')
+    assert.equal(archived.forfeitedSat, String(FUNDING_SAT - CALL_COST_SAT))
+    assert.equal(entries[entries.length - 1].type, 'forfeit')
+    assert.lengthOf(chain.broadcasts, 1)
+  })
+})
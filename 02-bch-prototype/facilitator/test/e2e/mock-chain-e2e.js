@@ -0,0 +1,859 @@
+/*
+  End-to-end test of the x402 payment flow on a mock chain, in one Node
+  process and without network access.
+
+  Starts the facilitator REST API and a resource server that uses the
+  paymentMiddleware of ../server, both on random ports. The facilitator uses
+  the mock chain backend and in-memory storage. The client of ../client pays
+  on the same mock chain, so each call goes through the whole flow:
+  402 -> pay -> retry with X-PAYMENT -> verify -> handler -> settle -> debit.
+
+  Then it drives the chain to check how the facilitator handles unconfirmed,
+  double spent and reorged funding TXs, both when they are first paid with
+  and when the reconciler finds them later. A webhook receiver, also in
+  process, checks the signed lifecycle events sent to the tenant.
+
+  The tests run in order, and each one builds on the state left by the ones
+  before it. Set VERBOSE to see the logs of the facilitator and the client.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+import express from 'express'
+import axios from 'axios'
+import http from 'http'
+import { createHmac } from 'crypto'
+
+// Local libraries
+import Controllers from '../../src/controllers/index.js'
+import { DEFAULT_TENANT_ID } from '../../src/use-cases/tenant.js'
+import { UTXO_STATE_CHANGED } from '../../src/use-cases/facilitator.js'
+import { paymentMiddleware } from '../../../server/src/middleware/payment.js'
+import {
+  createAccountRequest,
+  createBCHSigner,
+  createPaymentHeader,
+  decodePaymentResponse,
+  withPaymentInterceptor
+} from '../../../client/axios-402-handler.js'
+
+// Demo key from client/.env-local: bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk
+const PAYER_WIF = 'L1eYaneXDDXy8VDig4Arwe8wYHbhtsA5wuQvwsKwhaYeneoZuKG4'
+
+// Test key of a delegate of the payer: bitcoincash:qr4uk722wg2ltd0sf9wzsepqs6ux3pf28v25w4mea6
+const DELEGATE_WIF = 'KyX3VKsx2Q8EmeKWMhxymWS4qP7E7EEusu5TiTPwQFwmZfLyp5AY'
+
+// payTo address of a second tenant.
+const OTHER_TENANT_PAY_TO = 'bitcoincash:qptea8z3gvfcflnhw42qc6zx5fluj0c3r5k96mqlkd'
+
+// The price set by paymentMiddleware, and the size of each prepaid UTXO.
+const CALL_COST_SAT = 1000
+const PAYMENT_AMOUNT_SAT = 5000
+
+// Price of one unit of the metered routes.
+const METERED_UNIT_SAT = 10
+
+// Payments above this need a confirmation.
+const ZERO_CONF_MAX_SAT = 10000
+
+// Resolve once fn() returns a truthy value, or after timeoutMs.
+async function waitFor (fn, timeoutMs = 15000) {
+  const startMs = Date.now()
+  while (Date.now() - startMs < timeoutMs) {
+    const value = await fn()
+    if (value) return value
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+
+  return null
+}
+
+// Start an Express app on a random port.
+function listen (app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server))
+  })
+}
+
+describe('#mock-chain-e2e', () => {
+  const servers = []
+  const logs = { ...console }
+  let controllers, storage, facilitator, ledger, reconciler, webhook, chain, payTo
+  let baseURL, facilitatorURL, credential, tenantHeaders, signer, api
+  let received, hookResult, flakyResult
+
+  // The UTXO the client pays with first, and a UTXO too large for zero-conf.
+  let fundingTx, utxoId, largeTxid
+
+  // Build a header for the given UTXO, outside of the interceptor. Fields
+  // in overrides replace those of the authorization before it is signed.
+  const createUtxoPaymentHeader = async (txid, vout = 0, path = '/weather', overrides) => {
+    const { data } = await axios.get(`${baseURL}${path}`, { validateStatus: null })
+    const paymentHeader = await createPaymentHeader(signer, data.accepts[0], 1, txid, vout)
+    if (!overrides) return paymentHeader
+
+    const payment = JSON.parse(paymentHeader)
+    const authorization = { ...payment.payload.authorization, ...overrides }
+    payment.payload = {
+      authorization,
+      signature: signer.signMessage(JSON.stringify(authorization))
+    }
+
+    return JSON.stringify(payment)
+  }
+
+  // Make a call with the given X-PAYMENT header. Returns the status, the
+  // error and the decoded X-PAYMENT-RESPONSE header of the response.
+  const payWithHeader = async (paymentHeader, path = '/weather') => {
+    const response = await axios.get(`${baseURL}${path}`, {
+      headers: { 'X-PAYMENT': paymentHeader },
+      validateStatus: null
+    })
+
+    return {
+      status: response.status,
+      error: response.data.error,
+      paymentResponse: decodePaymentResponse(response.headers['x-payment-response'])
+    }
+  }
+
+  // Make a call with a header built for the given UTXO.
+  const payWithUtxo = async (txid, vout = 0, path = '/weather') => {
+    const paymentHeader = await createUtxoPaymentHeader(txid, vout, path)
+
+    return payWithHeader(paymentHeader, path)
+  }
+
+  before(async () => {
+    // The facilitator and the client log every step.
+    if (!process.env.VERBOSE) {
+      console.log = () => {}
+      console.warn = () => {}
+      console.error = () => {}
+    }
+
+    controllers = new Controllers({
+      chainBackend: 'mock',
+      storageBackend: 'memory',
+      minConfirmations: 1,
+      zeroConfMaxSat: ZERO_CONF_MAX_SAT,
+      checkDsProof: true
+    })
+    await controllers.initAdapters()
+    await controllers.initUseCases()
+    if (!process.env.VERBOSE) controllers.adapters.logger.info = () => {}
+
+    storage = controllers.adapters.storage
+    ;({ facilitator, ledger, reconciler, webhook } = controllers.useCases)
+    chain = controllers.adapters.bchWallet.chain
+    payTo = controllers.adapters.bchWallet.config.serverBchAddress
+
+    // Facilitator
+    const facilitatorApp = express()
+    facilitatorApp.use(express.json({
+      verify: (req, res, buf) => { req.rawBody = buf }
+    }))
+    controllers.attachRESTControllers(facilitatorApp)
+    const facilitatorServer = await listen(facilitatorApp)
+    servers.push(facilitatorServer)
+    facilitatorURL = `http://localhost:${facilitatorServer.address().port}`
+
+    // Resource server, authenticated as the default tenant.
+    ;({ credential } = await controllers.useCases.tenant.addCredential({ tenantId: DEFAULT_TENANT_ID }))
+    const resourceApp = express()
+    resourceApp.use(paymentMiddleware(
+      payTo,
+      {
+        'GET /weather': { price: `${CALL_COST_SAT}`, network: 'bch' },
+        'GET /broken': { price: `${CALL_COST_SAT}`, network: 'bch' },
+        'GET /usage': {
+          price: `${METERED_UNIT_SAT}`,
+          network: 'bch',
+          metered: { unit: 'units', maxUnits: 50 }
+        },
+        'GET /stream': {
+          price: `${METERED_UNIT_SAT}`,
+          network: 'bch',
+          metered: { unit: 'bytes', unitSize: 100, maxUnits: 100 }
+        }
+      },
+      {
+        url: `${facilitatorURL}/facilitator`,
+        keyId: credential.keyId,
+        secret: credential.secret
+      }
+    ))
+    resourceApp.get('/weather', (req, res) => {
+      res.json({ report: { weather: 'sunny', temperature: 70 } })
+    })
+    resourceApp.get('/broken', () => {
+      throw new Error('The handler failed')
+    })
+    resourceApp.get('/usage', (req, res) => {
+      res.locals.meter.add(Number(req.query.units))
+      res.json({ units: Number(req.query.units) })
+    })
+    resourceApp.get('/stream', async (req, res) => {
+      // Three chunks of 250 bytes.
+      for (let i = 0; i < 3; i++) {
+        res.write('x'.repeat(250))
+        await new Promise(resolve => setTimeout(resolve, 20))
+      }
+      res.end()
+    })
+    const resourceServer = await listen(resourceApp)
+    servers.push(resourceServer)
+    baseURL = `http://localhost:${resourceServer.address().port}`
+
+    // Webhook receivers. The flaky one fails its first delivery.
+    received = []
+    let flakyCalls = 0
+    const receiverApp = express()
+    receiverApp.use(express.json({
+      verify: (req, res, buf) => { req.rawBody = buf }
+    }))
+    receiverApp.post('/hook', (req, res) => {
+      received.push({ headers: req.headers, rawBody: req.rawBody.toString(), event: req.body })
+      res.sendStatus(204)
+    })
+    receiverApp.post('/flaky', (req, res) => {
+      flakyCalls++
+      res.sendStatus(flakyCalls === 1 ? 500 : 204)
+    })
+    const receiverServer = await listen(receiverApp)
+    servers.push(receiverServer)
+    const receiverURL = `http://localhost:${receiverServer.address().port}`
+
+    // Register the receivers with the credential of the tenant, and retry
+    // failed deliveries quickly. The receivers run on localhost, which only
+    // a development setup may send webhooks to.
+    webhook.config = { ...webhook.config, webhookAllowInsecureUrls: true, webhookRetryPeriodMs: 100 }
+    tenantHeaders = { 'X-API-Key': `${credential.keyId}.${credential.secret}` }
+    ;({ data: hookResult } = await axios.post(
+      `${facilitatorURL}/webhooks`,
+      { url: `${receiverURL}/hook` },
+      { headers: tenantHeaders }
+    ))
+    ;({ data: flakyResult } = await axios.post(
+      `${facilitatorURL}/webhooks`,
+      { url: `${receiverURL}/flaky`, events: ['utxo.funded'] },
+      { headers: tenantHeaders }
+    ))
+
+    // Client, paying from its address on the mock chain.
+    signer = createBCHSigner(PAYER_WIF, PAYMENT_AMOUNT_SAT)
+    api = withPaymentInterceptor(axios.create({ baseURL }), signer, {
+      wallet: chain.createWallet(signer.address)
+    })
+  })
+
+  after(async () => {
+    Object.assign(console, logs)
+
+    for (const server of servers) server.close()
+    if (storage?.utxoDb) await storage.closeDb()
+  })
+
+  describe('#payment flow', () => {
+    it('should return 402 with payment requirements to an unpaid call', async () => {
+      const unpaid = await axios.get(`${baseURL}/weather`, { validateStatus: null })
+
+      assert.equal(unpaid.status, 402)
+      assert.equal(unpaid.data.accepts?.[0]?.payTo, payTo)
+    })
+
+    it('should pay, retry and return the resource', async () => {
+      const paid = await api.get('/weather')
+      ;[fundingTx] = await chain.getAddressHistory(signer.address)
+      utxoId = `${fundingTx.txid}:0`
+
+      assert.equal(paid.status, 200)
+      assert.equal(paid.data.report?.weather, 'sunny')
+    })
+
+    it('should debit the first call from the new UTXO', async () => {
+      const record = await storage.utxoDb.get(utxoId)
+
+      assert.equal(record.remainingBalanceSat, String(PAYMENT_AMOUNT_SAT - CALL_COST_SAT))
+    })
+
+    it('should reuse the UTXO for the second call', async () => {
+      await api.get('/weather')
+      const record = await storage.utxoDb.get(utxoId)
+      const history = await chain.getAddressHistory(signer.address)
+
+      assert.equal(history.length, 1)
+      assert.equal(record.remainingBalanceSat, String(PAYMENT_AMOUNT_SAT - 2 * CALL_COST_SAT))
+    })
+
+    it('should keep the ledger in step with the UTXO balance', async () => {
+      const rebuilt = await ledger.rebuildBalance(utxoId)
+
+      assert.isTrue(rebuilt.isConsistent)
+    })
+  })
+
+  describe('#authorizations', () => {
+    let authTxid, authUtxoId
+
+    before(() => {
+      authTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: PAYMENT_AMOUNT_SAT }]
+      })
+      authUtxoId = `${authTxid}:0`
+    })
+
+    it('should reject a replayed payment header, and debit it once', async () => {
+      const paymentHeader = await createUtxoPaymentHeader(authTxid)
+
+      const first = await payWithHeader(paymentHeader)
+      const replayed = await payWithHeader(paymentHeader)
+      const record = await storage.utxoDb.get(authUtxoId)
+
+      assert.equal(first.status, 200, first.error)
+      assert.equal(replayed.status, 402)
+      assert.equal(replayed.error, 'nonce_already_used')
+      assert.equal(record.remainingBalanceSat, String(PAYMENT_AMOUNT_SAT - CALL_COST_SAT))
+    })
+
+    it('should reject an authorization past its validBefore', async () => {
+      const now = Math.floor(Date.now() / 1000)
+      const paymentHeader = await createUtxoPaymentHeader(authTxid, 0, '/weather', {
+        validAfter: String(now - 600),
+        validBefore: String(now - 1)
+      })
+
+      const attempt = await payWithHeader(paymentHeader)
+
+      assert.equal(attempt.status, 402)
+      assert.equal(attempt.error, 'authorization_expired')
+    })
+
+    it('should reject an authorization before its validAfter', async () => {
+      const now = Math.floor(Date.now() / 1000)
+      const paymentHeader = await createUtxoPaymentHeader(authTxid, 0, '/weather', {
+        validAfter: String(now + 600),
+        validBefore: String(now + 1200)
+      })
+
+      const attempt = await payWithHeader(paymentHeader)
+      const record = await storage.utxoDb.get(authUtxoId)
+
+      assert.equal(attempt.status, 402)
+      assert.equal(attempt.error, 'authorization_not_yet_valid')
+      assert.equal(record.remainingBalanceSat, String(PAYMENT_AMOUNT_SAT - CALL_COST_SAT))
+      assert.isEmpty(Object.keys(record.reservations))
+    })
+  })
+
+  describe('#resource server auth', () => {
+    // Sign a request the way the payment middleware does.
+    const signRequest = (method, path, body) => {
+      const timestamp = String(Math.floor(Date.now() / 1000))
+      const signature = createHmac('sha256', credential.secret)
+        .update(`${method}\n${path}\n${timestamp}\n${body}`)
+        .digest('hex')
+
+      return {
+        'Content-Type': 'application/json',
+        'X-Facilitator-Key-Id': credential.keyId,
+        'X-Facilitator-Timestamp': timestamp,
+        'X-Facilitator-Signature': signature
+      }
+    }
+
+    it('should accept a signed request on the endpoint it was signed for', async () => {
+      const response = await axios.get(`${facilitatorURL}/webhooks`, {
+        headers: signRequest('GET', '/webhooks', ''),
+        validateStatus: null
+      })
+
+      assert.equal(response.status, 200)
+    })
+
+    it('should reject a signed request replayed to another endpoint', async () => {
+      const body = JSON.stringify({ paymentPayload: {}, paymentRequirements: {} })
+      const response = await axios.post(`${facilitatorURL}/facilitator/release`, body, {
+        headers: signRequest('POST', '/facilitator/verify', body),
+        validateStatus: null
+      })
+
+      assert.equal(response.status, 401)
+      assert.equal(response.data.error, 'invalid_request_signature')
+    })
+
+    describe('#tenant isolation', () => {
+      let otherTenant, otherHeaders
+
+      // Verify a payment from the UTXO of the payment flow, signed for payTo,
+      // with the credential in headers.
+      const verifyAt = async (payTo, headers) => {
+        const { data } = await axios.get(`${baseURL}/weather`, { validateStatus: null })
+        const paymentRequirements = { ...data.accepts[0], payTo }
+        const paymentHeader = await createPaymentHeader(signer, paymentRequirements, 1, fundingTx.txid, 0)
+
+        const response = await axios.post(`${facilitatorURL}/facilitator/verify`, {
+          x402Version: 1,
+          paymentPayload: JSON.parse(paymentHeader),
+          paymentRequirements
+        }, { headers, validateStatus: null })
+
+        return response.data
+      }
+
+      before(async () => {
+        const created = await controllers.useCases.tenant.createTenant({
+          tenantId: 'other-tenant',
+          payTo: OTHER_TENANT_PAY_TO
+        })
+        otherTenant = created.tenant
+        otherHeaders = { 'X-API-Key': `${created.credential.keyId}.${created.credential.secret}` }
+      })
+
+      it('should not spend the balance of one tenant at another', async () => {
+        const recordBefore = await storage.utxoDb.get(utxoId)
+
+        const verification = await verifyAt(otherTenant.payTo, otherHeaders)
+        const recordAfter = await storage.utxoDb.get(utxoId)
+
+        assert.isFalse(verification.isValid)
+        assert.equal(verification.invalidReason, 'tenant_mismatch')
+        assert.deepEqual(recordAfter.reservations, recordBefore.reservations)
+      })
+
+      it('should not accept the key of one tenant for the payTo of another', async () => {
+        const verification = await verifyAt(otherTenant.payTo, tenantHeaders)
+
+        assert.isFalse(verification.isValid)
+        assert.equal(verification.invalidReason, 'payto_not_owned_by_tenant')
+      })
+
+      it('should not accept the key of another tenant for the payTo of the default tenant', async () => {
+        const verification = await verifyAt(payTo, otherHeaders)
+
+        assert.isFalse(verification.isValid)
+        assert.equal(verification.invalidReason, 'payto_not_owned_by_tenant')
+      })
+    })
+  })
+
+  describe('#chain policy', () => {
+    it('should only accept a large payment once it is confirmed', async () => {
+      largeTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: ZERO_CONF_MAX_SAT + 1000 }]
+      })
+
+      let attempt = await payWithUtxo(largeTxid)
+      assert.equal(attempt.status, 402)
+      assert.equal(attempt.error, 'zero_conf_amount_exceeds_limit')
+
+      chain.setConfirmations(largeTxid, 1)
+      attempt = await payWithUtxo(largeTxid)
+      assert.equal(attempt.status, 200, attempt.error)
+    })
+
+    it('should reject a zero-conf payment with a Double Spend Proof', async () => {
+      const doubleSpentTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: PAYMENT_AMOUNT_SAT }]
+      })
+      chain.doubleSpend(doubleSpentTxid)
+
+      const attempt = await payWithUtxo(doubleSpentTxid)
+      assert.equal(attempt.status, 402)
+      assert.equal(attempt.error, 'double_spend_proof_detected')
+    })
+
+    it('should reject a payment replaced by a mined double spend', async () => {
+      const replacedTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: PAYMENT_AMOUNT_SAT }]
+      })
+      chain.doubleSpend(replacedTxid, { confirm: true })
+
+      const attempt = await payWithUtxo(replacedTxid)
+      assert.equal(attempt.status, 402)
+      assert.equal(attempt.error, 'utxo_not_found')
+    })
+
+    it('should reject a payment dropped by a reorg', async () => {
+      const reorgedTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: ZERO_CONF_MAX_SAT + 1000 }],
+        confirmations: 1
+      })
+      chain.reorg(1, { drop: [reorgedTxid] })
+
+      const attempt = await payWithUtxo(reorgedTxid)
+      assert.equal(attempt.status, 402)
+      assert.equal(attempt.error, 'utxo_not_found')
+    })
+  })
+
+  describe('#reconciler', () => {
+    const changes = []
+    const changesOf = (id) => changes.filter(x => x.utxoId === id).map(x => x.change)
+
+    before(() => {
+      facilitator.events.on(UTXO_STATE_CHANGED, event => changes.push(event))
+    })
+
+    it('should report the funding TX confirming and being reorged', async () => {
+      chain.mine()
+      await reconciler.reconcileAll()
+      chain.reorg(1)
+      await reconciler.reconcileAll()
+
+      assert.equal(changesOf(utxoId).join(), 'confirmed,unconfirmed')
+    })
+
+    it('should freeze a UTXO whose funding TX vanished', async () => {
+      chain.doubleSpend(fundingTx.txid, { confirm: true })
+      await reconciler.reconcileAll()
+      const record = await storage.utxoDb.get(utxoId)
+
+      assert.isTrue(record.frozen)
+      assert.equal(record.frozenReason, 'utxo_not_found')
+    })
+
+    it('should not let a frozen UTXO pay', async () => {
+      const frozenCall = await api.get('/weather').catch(err => err.response)
+
+      assert.equal(frozenCall.status, 402)
+      assert.equal(frozenCall.data.error, 'utxo_frozen')
+    })
+
+    it('should freeze a UTXO spent on chain', async () => {
+      const largeUtxoId = `${largeTxid}:0`
+
+      chain.spendOutput(largeTxid, 0)
+      await reconciler.reconcileAll()
+      const record = await storage.utxoDb.get(largeUtxoId)
+
+      assert.isTrue(record.frozen)
+      assert.equal(record.frozenReason, 'utxo_spent')
+      assert.include(changesOf(largeUtxoId), 'frozen')
+    })
+  })
+
+  describe('#webhooks', () => {
+    const receivedOf = (id) => received
+      .filter(x => x.event.data.utxoId === id)
+      .map(x => x.event.type)
+    let exhaustedUtxoId
+
+    before(async () => {
+      // A UTXO of exactly the price of a call is exhausted by it.
+      const exhaustedTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: CALL_COST_SAT }]
+      })
+      exhaustedUtxoId = `${exhaustedTxid}:0`
+      await payWithUtxo(exhaustedTxid)
+      await waitFor(() => receivedOf(exhaustedUtxoId).includes('utxo.exhausted'))
+    })
+
+    it('should send the events of the first UTXO', () => {
+      const events = receivedOf(utxoId)
+
+      for (const type of ['utxo.funded', 'utxo.debited', 'utxo.frozen']) {
+        assert.include(events, type)
+      }
+      assert.equal(events.filter(x => x === 'utxo.debited').length, 2)
+    })
+
+    it('should send an event when a UTXO is exhausted', () => {
+      assert.include(receivedOf(exhaustedUtxoId), 'utxo.exhausted')
+    })
+
+    it('should sign every event with the webhook secret', () => {
+      const { secret } = hookResult.webhook
+
+      for (const { headers, rawBody } of received) {
+        const signature = createHmac('sha256', secret)
+          .update(`${headers['x-webhook-timestamp']}.${rawBody}`)
+          .digest('hex')
+
+        assert.equal(headers['x-webhook-signature'], signature)
+      }
+    })
+
+    it('should not register a webhook on a private network or without https', async () => {
+      const register = async (url) => {
+        const { data } = await axios.post(`${facilitatorURL}/webhooks`, { url }, { headers: tenantHeaders })
+        return data.errorReason
+      }
+
+      webhook.config = { ...webhook.config, webhookAllowInsecureUrls: false }
+      try {
+        assert.equal(await register('https://localhost/hook'), 'webhook_host_not_allowed')
+        assert.equal(await register('https://169.254.169.254/latest'), 'webhook_host_not_allowed')
+        assert.equal(await register('https://[::1]/hook'), 'webhook_host_not_allowed')
+        assert.equal(await register('http://example.com/hook'), 'webhook_url_not_https')
+      } finally {
+        webhook.config = { ...webhook.config, webhookAllowInsecureUrls: true }
+      }
+    })
+
+    it('should not connect to a private address a host resolves to after its check', async () => {
+      // A host that passed the check, then was pointed at the loopback
+      // address of the receivers.
+      const { url } = hookResult.webhook
+      const deliveryId = `${DEFAULT_TENANT_ID}:rebind`
+      await storage.webhookDeliveryDb.put(deliveryId, {
+        deliveryId,
+        webhookId: hookResult.webhook.webhookId,
+        tenantId: DEFAULT_TENANT_ID,
+        url,
+        type: 'utxo.funded',
+        event: { id: 'evt_rebind', type: 'utxo.funded', data: { utxoId: 'rebind' } },
+        status: 'pending',
+        attempts: []
+      })
+
+      const { checkWebhookUrl } = webhook
+      webhook.config = { ...webhook.config, webhookAllowInsecureUrls: false }
+      webhook.checkWebhookUrl = async () => ({ isValid: true, url })
+      try {
+        const delivery = await webhook.attemptDelivery(deliveryId)
+
+        assert.equal(delivery.attempts[0].error, 'webhook_host_not_allowed')
+        assert.isEmpty(received.filter(x => x.event.id === 'evt_rebind'))
+      } finally {
+        webhook.checkWebhookUrl = checkWebhookUrl
+        webhook.config = { ...webhook.config, webhookAllowInsecureUrls: true }
+        await storage.webhookDeliveryDb.del(deliveryId)
+      }
+    })
+
+    it('should retry and store a failed delivery', async () => {
+      const deliveries = await waitFor(async () => {
+        const { data } = await axios.get(`${facilitatorURL}/webhooks/deliveries`, {
+          headers: tenantHeaders,
+          params: { webhookId: flakyResult.webhook.webhookId, limit: 100 }
+        })
+        const items = data.deliveries.items
+        return items.every(x => x.status !== 'pending') && items
+      })
+
+      assert.isNotEmpty(deliveries)
+      assert.isTrue(deliveries.every(x => x.status === 'delivered'))
+      assert.isTrue(
+        deliveries.some(x => x.attempts.length === 2 && x.attempts[0].httpStatus === 500)
+      )
+    })
+  })
+
+  describe('#settlement', () => {
+    let settledTxid, settledUtxoId
+
+    before(() => {
+      settledTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: PAYMENT_AMOUNT_SAT }]
+      })
+      settledUtxoId = `${settledTxid}:0`
+    })
+
+    it('should return the settlement receipt with a paid response', async () => {
+      const attempt = await payWithUtxo(settledTxid)
+
+      assert.isTrue(attempt.paymentResponse?.success)
+      assert.equal(
+        attempt.paymentResponse.receipt.remainingBalanceSat,
+        String(PAYMENT_AMOUNT_SAT - CALL_COST_SAT)
+      )
+    })
+
+    it('should release the reservation of a failed handler without charging it', async () => {
+      const attempt = await payWithUtxo(settledTxid, 0, '/broken')
+      const record = await storage.utxoDb.get(settledUtxoId)
+      const entryTypes = (await ledger.listEntries(settledUtxoId)).map(x => x.type)
+
+      assert.equal(attempt.status, 500)
+      assert.isNull(attempt.paymentResponse)
+      assert.equal(record.remainingBalanceSat, String(PAYMENT_AMOUNT_SAT - CALL_COST_SAT))
+      assert.isEmpty(Object.keys(record.reservations))
+      assert.equal(entryTypes.at(-1), 'release')
+    })
+  })
+
+  describe('#metered calls', () => {
+    let meteredTxid, meteredUtxoId
+
+    before(() => {
+      meteredTxid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: PAYMENT_AMOUNT_SAT }]
+      })
+      meteredUtxoId = `${meteredTxid}:0`
+    })
+
+    it('should settle the units reported by the handler', async () => {
+      const attempt = await payWithUtxo(meteredTxid, 0, '/usage?units=7')
+      const usage = attempt.paymentResponse?.metered
+      const record = await storage.utxoDb.get(meteredUtxoId)
+
+      assert.equal(attempt.status, 200)
+      assert.equal(usage?.units, 7)
+      assert.equal(usage.unitPriceSat, METERED_UNIT_SAT)
+      assert.equal(attempt.paymentResponse.receipt.debitedSat, String(7 * METERED_UNIT_SAT))
+      assert.equal(record.remainingBalanceSat, String(PAYMENT_AMOUNT_SAT - 7 * METERED_UNIT_SAT))
+      assert.isEmpty(Object.keys(record.reservations))
+    })
+
+    it('should settle the bytes a streamed call sent, with the receipt in a trailer', async () => {
+      const { data: required } = await axios.get(`${baseURL}/stream`, { validateStatus: null })
+      const streamHeader = await createPaymentHeader(signer, required.accepts[0], 1, meteredTxid, 0)
+
+      const streamed = await new Promise((resolve, reject) => {
+        http.get(`${baseURL}/stream`, { headers: { 'X-PAYMENT': streamHeader } }, (res) => {
+          let size = 0
+          res.on('data', chunk => { size += chunk.length })
+          res.on('end', () => resolve({ size, trailers: res.trailers }))
+        }).on('error', reject)
+      })
+      const usage = decodePaymentResponse(streamed.trailers['x-payment-response'])?.metered
+      const record = await storage.utxoDb.get(meteredUtxoId)
+
+      assert.equal(streamed.size, 750)
+      assert.equal(usage?.units, 8)
+      assert.equal(required.accepts[0].minAmountRequired, 100 * METERED_UNIT_SAT)
+      assert.equal(record.remainingBalanceSat, String(PAYMENT_AMOUNT_SAT - 15 * METERED_UNIT_SAT))
+    })
+
+    it('should keep the ledger in step with the metered UTXO balance', async () => {
+      const rebuilt = await ledger.rebuildBalance(meteredUtxoId)
+
+      assert.isTrue(rebuilt.isConsistent)
+    })
+  })
+
+  describe('#accounts', () => {
+    const getAccount = async (accountSigner) => {
+      const { data } = await axios.get(
+        `${facilitatorURL}/facilitator/account/${accountSigner.address}`,
+        { headers: createAccountRequest(accountSigner) }
+      )
+
+      return data.account
+    }
+
+    it('should remove a used up UTXO from the account of its funder', async () => {
+      const txid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: CALL_COST_SAT }]
+      })
+      const attempt = await payWithUtxo(txid)
+      const account = await facilitator.getAccountRecord(signer.address)
+
+      assert.equal(attempt.status, 200, attempt.error)
+      assert.notInclude(account.utxoIds, `${txid}:0`)
+      assert.isNotEmpty(account.utxoIds)
+    })
+
+    it('should debit an account payment from the UTXOs left in the account', async () => {
+      const { data } = await axios.get(`${baseURL}/weather`, { validateStatus: null })
+      const paymentHeader = await createPaymentHeader(
+        signer, data.accepts[0], 1, undefined, undefined, signer.address
+      )
+      const response = await axios.get(`${baseURL}/weather`, {
+        headers: { 'X-PAYMENT': paymentHeader },
+        validateStatus: null
+      })
+      const receipt = decodePaymentResponse(response.headers['x-payment-response'])?.receipt
+      const account = await facilitator.getAccountRecord(signer.address)
+
+      assert.equal(response.status, 200, response.data.error)
+      assert.equal(receipt.debitedSat, String(CALL_COST_SAT))
+      assert.include(account.utxoIds, receipt.debits[0].utxoId)
+    })
+
+    it('should not list the UTXOs of a funder to a delegate that paid with them', async () => {
+      const delegateSigner = createBCHSigner(DELEGATE_WIF, PAYMENT_AMOUNT_SAT)
+      const delegation = {
+        funder: signer.address,
+        delegate: delegateSigner.address,
+        active: true,
+        timestamp: String(Math.floor(Date.now() / 1000))
+      }
+      await facilitator.registerDelegate({
+        delegation,
+        signature: signer.signMessage(JSON.stringify(delegation))
+      })
+
+      const txid = chain.createFundingTx({
+        from: signer.address,
+        outputs: [{ address: payTo, amountSat: PAYMENT_AMOUNT_SAT }]
+      })
+      const { data } = await axios.get(`${baseURL}/weather`, { validateStatus: null })
+      const paymentHeader = await createPaymentHeader(delegateSigner, data.accepts[0], 1, txid, 0)
+      const response = await axios.get(`${baseURL}/weather`, {
+        headers: { 'X-PAYMENT': paymentHeader },
+        validateStatus: null
+      })
+
+      const delegateAccount = await getAccount(delegateSigner)
+      const funderAccount = await getAccount(signer)
+
+      assert.equal(response.status, 200, response.data.error)
+      assert.isEmpty(delegateAccount.utxos)
+      assert.include(funderAccount.utxos.map(x => x.utxoId), `${txid}:0`)
+    })
+
+    it('should look up the funder of a record created before accounts only once', async () => {
+      const delegateSigner = createBCHSigner(DELEGATE_WIF, PAYMENT_AMOUNT_SAT)
+
+      // Records as stored before UTXOs were bound to their funder: one paid
+      // by its funder, one paid by another address.
+      const createLegacyRecord = (payerAddress) => {
+        const txid = chain.createFundingTx({
+          from: signer.address,
+          outputs: [{ address: payTo, amountSat: PAYMENT_AMOUNT_SAT }]
+        })
+
+        return {
+          utxoId: `${txid}:0`,
+          txid,
+          vout: 0,
+          payerAddress,
+          totalAmountSat: String(PAYMENT_AMOUNT_SAT),
+          remainingBalanceSat: String(PAYMENT_AMOUNT_SAT - CALL_COST_SAT),
+          totalDebitedSat: String(CALL_COST_SAT),
+          reservations: {},
+          firstSeen: new Date().toISOString()
+        }
+      }
+      const funderRecord = createLegacyRecord(signer.address)
+      const otherRecord = createLegacyRecord(delegateSigner.address)
+      await storage.utxoDb.put(funderRecord.utxoId, funderRecord)
+      await storage.utxoDb.put(otherRecord.utxoId, otherRecord)
+
+      const bchWallet = controllers.adapters.bchWallet
+      const { getFunderAddresses } = bchWallet
+      const lookedUp = []
+      bchWallet.getFunderAddresses = async (inObj) => {
+        lookedUp.push(inObj.txid)
+        return getFunderAddresses(inObj)
+      }
+      const migrated = await facilitator.migrateUtxoRecordsToAccounts()
+      const migratedAgain = await facilitator.migrateUtxoRecordsToAccounts()
+      bchWallet.getFunderAddresses = getFunderAddresses
+
+      const account = await facilitator.getAccountRecord(signer.address)
+      const boundRecord = await storage.utxoDb.get(funderRecord.utxoId)
+      const checkedRecord = await storage.utxoDb.get(otherRecord.utxoId)
+
+      assert.equal(migrated, 1)
+      assert.equal(migratedAgain, 0)
+      assert.sameMembers(lookedUp, [funderRecord.txid, otherRecord.txid])
+      assert.equal(boundRecord.funderAddress, signer.address)
+      assert.include(account.utxoIds, funderRecord.utxoId)
+      assert.isUndefined(checkedRecord.funderAddress)
+      assert.isTrue(checkedRecord.funderChecked)
+    })
+  })
+})
@@ -0,0 +1,219 @@
+/*
+  End-to-end test of the POST /facilitator/refund endpoint, on the mock
+  chain and in-memory storage, in one Node process.
+
+  The facilitator holds the key of its server address, so it signs each
+  refund TX and broadcasts it to the mock chain.
+
+  The tests run in order, and each one builds on the state left by the ones
+  before it. Set VERBOSE to see the logs of the facilitator.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+import express from 'express'
+import { randomBytes } from 'crypto'
+
+// Local libraries
+import Controllers from '../../src/controllers/index.js'
+import config from '../../src/config/index.js'
+import { DEFAULT_TENANT_ID } from '../../src/use-cases/tenant.js'
+import { createBCHSigner, createRefundRequest } from '../../../client/axios-402-handler.js'
+
+// Test key of the server address: bitcoincash:qptea8z3gvfcflnhw42qc6zx5fluj0c3r5k96mqlkd
+const SERVER_WIF = 'L1VSC73Feey8RFRYdoKmzpaPAeRZ8WrA2zNLevzUmbn1pem7N8aD'
+const SERVER_ADDRESS = 'bitcoincash:qptea8z3gvfcflnhw42qc6zx5fluj0c3r5k96mqlkd'
+
+// Demo key from client/.env-local: bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk
+const PAYER_WIF = 'L1eYaneXDDXy8VDig4Arwe8wYHbhtsA5wuQvwsKwhaYeneoZuKG4'
+
+// Test key of another address: bitcoincash:qr4uk722wg2ltd0sf9wzsepqs6ux3pf28v25w4mea6
+const OTHER_WIF = 'KyX3VKsx2Q8EmeKWMhxymWS4qP7E7EEusu5TiTPwQFwmZfLyp5AY'
+
+const FUNDING_SAT = 5000
+const CALL_COST_SAT = 1000
+
+describe('#refund-e2e', () => {
+  const logs = { ...console }
+  const serverBchAddress = config.serverBchAddress
+  let controllers, chain, server, baseUrl, tenantHeaders, signer
+  let txid, utxoId
+
+  // Body of a verify or settle call that pays CALL_COST_SAT from a UTXO.
+  const createBody = (fundingTxid, amountSat) => {
+    const now = Math.floor(Date.now() / 1000)
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: 'bch',
+      minAmountRequired: CALL_COST_SAT,
+      resource: 'http://localhost:4021/weather',
+      description: 'Refund test',
+      mimeType: '',
+      payTo: SERVER_ADDRESS,
+      maxTimeoutSeconds: 60,
+      asset: '0x0000000000000000000000000000000000000001',
+      outputSchema: { input: { type: 'http', method: 'GET', discoverable: true } },
+      extra: {}
+    }
+
+    const authorization = {
+      from: signer.address,
+      to: SERVER_ADDRESS,
+      value: CALL_COST_SAT,
+      txid: fundingTxid,
+      vout: 0,
+      amount: amountSat,
+      resource: paymentRequirements.resource,
+      method: 'GET',
+      nonce: '0x' + randomBytes(32).toString('hex'),
+      validAfter: String(now - 60),
+      validBefore: String(now + 600)
+    }
+
+    return JSON.stringify({
+      x402Version: 1,
+      paymentPayload: {
+        x402Version: 1,
+        scheme: 'utxo',
+        network: 'bch',
+        payload: { signature: signer.signMessage(JSON.stringify(authorization)), authorization }
+      },
+      paymentRequirements
+    })
+  }
+
+  const post = async (path, body, headers = { 'Content-Type': 'application/json' }) => {
+    const response = await fetch(`${baseUrl}/facilitator/${path}`, { method: 'POST', headers, body })
+
+    return response.json()
+  }
+
+  // Fund a UTXO from the payer, and pay for one call with it.
+  const fundAndPay = async (amountSat) => {
+    const fundingTxid = chain.createFundingTx({
+      from: signer.address,
+      outputs: [{ address: SERVER_ADDRESS, amountSat }],
+      confirmations: 1
+    })
+
+    const body = createBody(fundingTxid, amountSat)
+    const verification = await post('verify', body, tenantHeaders)
+    assert.isTrue(verification.isValid, verification.invalidReason)
+    const settlement = await post('settle', body, tenantHeaders)
+    assert.isTrue(settlement.success, settlement.errorReason)
+
+    return fundingTxid
+  }
+
+  const refund = (refundSigner, refundTxid) => {
+    return post('refund', JSON.stringify(createRefundRequest(refundSigner, refundTxid, 0)))
+  }
+
+  before(async () => {
+    if (!process.env.VERBOSE) {
+      console.log = () => {}
+      console.warn = () => {}
+      console.error = () => {}
+    }
+
+    // The default tenant is paid to the address the facilitator holds the
+    // key of.
+    config.serverBchAddress = SERVER_ADDRESS
+
+    controllers = new Controllers({
+      chainBackend: 'mock',
+      storageBackend: 'memory',
+      minConfirmations: 1,
+      bchPrivateKey: SERVER_WIF
+    })
+    await controllers.initAdapters()
+    await controllers.initUseCases()
+    if (!process.env.VERBOSE) controllers.adapters.logger.info = () => {}
+
+    chain = controllers.adapters.bchWallet.chain
+    signer = createBCHSigner(PAYER_WIF, FUNDING_SAT)
+
+    const app = express()
+    app.use(express.json())
+    controllers.attachRESTControllers(app)
+    server = await new Promise(resolve => {
+      const s = app.listen(0, () => resolve(s))
+    })
+    baseUrl = `http://localhost:${server.address().port}`
+
+    const { credential } = await controllers.useCases.tenant.addCredential({ tenantId: DEFAULT_TENANT_ID })
+    tenantHeaders = {
+      'Content-Type': 'application/json',
+      'X-API-Key': `${credential.keyId}.${credential.secret}`
+    }
+
+    txid = await fundAndPay(FUNDING_SAT)
+    utxoId = `${txid}:0`
+  })
+
+  after(async () => {
+    config.serverBchAddress = serverBchAddress
+    Object.assign(console, logs)
+    if (server) server.close()
+    await controllers?.adapters?.storage?.closeDb()
+  })
+
+  it('should reject a refund request not signed by the funder', async () => {
+    const refundRequest = createRefundRequest(signer, txid, 0)
+    refundRequest.signature = createBCHSigner(OTHER_WIF).signMessage(JSON.stringify(refundRequest.refundRequest))
+
+    const result = await post('refund', JSON.stringify(refundRequest))
+    const record = await controllers.adapters.storage.utxoDb.get(utxoId)
+
+    assert.isFalse(result.success)
+    assert.equal(result.errorReason, 'invalid_refund_signature')
+    assert.isUndefined(record.status)
+    assert.isEmpty(chain.broadcasts)
+  })
+
+  it('should reject a refund request from an address that did not fund the UTXO', async () => {
+    const result = await refund(createBCHSigner(OTHER_WIF), txid)
+
+    assert.equal(result.errorReason, 'payer_not_utxo_funder')
+  })
+
+  it('should refund the remaining balance, less the fee, to the funder', async () => {
+    const result = await refund(signer, txid)
+    const record = await controllers.adapters.storage.utxoDb.get(utxoId)
+    const rebuilt = await controllers.useCases.ledger.rebuildBalance(utxoId)
+    const refundSat = FUNDING_SAT - CALL_COST_SAT - config.refundFeeSat
+
+    assert.isTrue(result.success, result.errorReason)
+    assert.equal(result.refundedSat, String(refundSat))
+    assert.deepEqual(chain.broadcasts.map(x => x.txid), [result.refundTxid])
+    assert.equal(record.status, 'refunded')
+    assert.equal(record.remainingBalanceSat, '0')
+    assert.equal(record.refundTxid, result.refundTxid)
+    assert.isTrue(rebuilt.isConsistent)
+  })
+
+  it('should not refund the same UTXO twice', async () => {
+    const result = await refund(signer, txid)
+
+    assert.isFalse(result.success)
+    assert.equal(result.errorReason, 'already_refunded')
+    assert.lengthOf(chain.broadcasts, 1)
+  })
+
+  it('should not pay with a refunded UTXO', async () => {
+    const verification = await post('verify', createBody(txid, FUNDING_SAT), tenantHeaders)
+
+    assert.isFalse(verification.isValid)
+    assert.equal(verification.invalidReason, 'utxo_refunded')
+  })
+
+  it('should not refund a UTXO whose balance is used up', async () => {
+    const usedUpTxid = await fundAndPay(CALL_COST_SAT)
+
+    const result = await refund(signer, usedUpTxid)
+
+    assert.isFalse(result.success)
+    assert.equal(result.errorReason, 'balance_exhausted')
+    assert.lengthOf(chain.broadcasts, 1)
+  })
+})
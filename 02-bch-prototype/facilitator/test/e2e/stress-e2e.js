@@ -0,0 +1,160 @@
+/*
+  Stress test of concurrent debits against a single prepaid UTXO, on the mock
+  chain and in-memory storage, in one Node process.
+
+  Starts the facilitator REST API on a random port, fires hundreds of
+  simultaneous POST /facilitator/verify calls at one UTXO, and settles each
+  accepted call the way a resource server would. The UTXO lock must let
+  exactly as many calls through as the balance pays for, and the final
+  balance must match its ledger.
+
+  Set VERBOSE to see the logs of the facilitator.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+import express from 'express'
+import { randomBytes } from 'crypto'
+
+// Local libraries
+import Controllers from '../../src/controllers/index.js'
+import { DEFAULT_TENANT_ID } from '../../src/use-cases/tenant.js'
+
+// Demo key from client/.env-local: bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk
+const PAYER_WIF = 'L1eYaneXDDXy8VDig4Arwe8wYHbhtsA5wuQvwsKwhaYeneoZuKG4'
+
+const NUM_CALLS = 300
+const FUNDING_SAT = 100000
+const CALL_COST_SAT = 1000
+
+describe('#stress-e2e', () => {
+  const logs = { ...console }
+  let controllers, server, baseUrl, headers, bchjs, payTo, payerAddress
+
+  // Body of a verify or settle call for one signed authorization, each with
+  // its own nonce.
+  const createBody = ({ txid, vout }) => {
+    const now = Math.floor(Date.now() / 1000)
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: 'bch',
+      minAmountRequired: CALL_COST_SAT,
+      resource: 'http://localhost:4021/weather',
+      description: 'Stress test',
+      mimeType: '',
+      payTo,
+      maxTimeoutSeconds: 60,
+      asset: '0x0000000000000000000000000000000000000001',
+      outputSchema: { input: { type: 'http', method: 'GET', discoverable: true } },
+      extra: {}
+    }
+
+    const authorization = {
+      from: payerAddress,
+      to: payTo,
+      value: CALL_COST_SAT,
+      txid,
+      vout,
+      amount: FUNDING_SAT,
+      resource: paymentRequirements.resource,
+      method: 'GET',
+      nonce: '0x' + randomBytes(32).toString('hex'),
+      validAfter: String(now - 60),
+      validBefore: String(now + 600)
+    }
+    const signature = bchjs.BitcoinCash.signMessageWithPrivKey(
+      PAYER_WIF,
+      JSON.stringify(authorization)
+    )
+
+    return JSON.stringify({
+      x402Version: 1,
+      paymentPayload: {
+        x402Version: 1,
+        scheme: 'utxo',
+        network: 'bch',
+        payload: { signature, authorization }
+      },
+      paymentRequirements
+    })
+  }
+
+  const post = async (endpoint, body) => {
+    const response = await fetch(`${baseUrl}/${endpoint}`, { method: 'POST', headers, body })
+    return response.json()
+  }
+
+  before(async () => {
+    if (!process.env.VERBOSE) {
+      console.log = () => {}
+      console.warn = () => {}
+      console.error = () => {}
+    }
+
+    controllers = new Controllers({
+      chainBackend: 'mock',
+      storageBackend: 'memory',
+      minConfirmations: 1
+    })
+    await controllers.initAdapters()
+    await controllers.initUseCases()
+    if (!process.env.VERBOSE) controllers.adapters.logger.info = () => {}
+
+    bchjs = controllers.adapters.bchWallet.bchjs
+    payTo = controllers.adapters.bchWallet.config.serverBchAddress
+    payerAddress = bchjs.ECPair.toCashAddress(bchjs.ECPair.fromWIF(PAYER_WIF))
+
+    const app = express()
+    app.use(express.json())
+    controllers.attachRESTControllers(app)
+    server = await new Promise(resolve => {
+      const s = app.listen(0, () => resolve(s))
+    })
+    baseUrl = `http://localhost:${server.address().port}/facilitator`
+
+    const { credential } = await controllers.useCases.tenant.addCredential({ tenantId: DEFAULT_TENANT_ID })
+    headers = {
+      'Content-Type': 'application/json',
+      'X-API-Key': `${credential.keyId}.${credential.secret}`
+    }
+  })
+
+  after(async () => {
+    Object.assign(console, logs)
+    if (server) server.close()
+    await controllers?.adapters?.storage?.closeDb()
+  })
+
+  it('should debit concurrent calls exactly once each, up to the balance', async () => {
+    const chain = controllers.adapters.bchWallet.chain
+    const txid = chain.createFundingTx({
+      from: payerAddress,
+      outputs: [{ address: payTo, amountSat: FUNDING_SAT }],
+      confirmations: 1
+    })
+    const utxoId = `${txid}:0`
+
+    const bodies = Array.from({ length: NUM_CALLS }, () => createBody({ txid, vout: 0 }))
+    const results = await Promise.all(bodies.map(async (body) => {
+      const verification = await post('verify', body)
+      if (!verification.isValid) return verification
+
+      const settlement = await post('settle', body)
+      return { isValid: settlement.success, invalidReason: settlement.errorReason }
+    }))
+
+    const accepted = results.filter(x => x.isValid).length
+    const rejectedReasons = [...new Set(results.filter(x => !x.isValid).map(x => x.invalidReason))]
+    const expectedAccepted = Math.floor(FUNDING_SAT / CALL_COST_SAT)
+
+    const record = await controllers.adapters.storage.utxoDb.get(utxoId)
+    const rebuilt = await controllers.useCases.ledger.rebuildBalance(utxoId)
+
+    assert.equal(accepted, expectedAccepted)
+    assert.deepEqual(rejectedReasons, ['insufficient_utxo_balance'])
+    assert.equal(record.remainingBalanceSat, String(FUNDING_SAT - expectedAccepted * CALL_COST_SAT))
+    assert.equal(record.totalDebitedSat, String(expectedAccepted * CALL_COST_SAT))
+    assert.isTrue(rebuilt.isConsistent)
+    assert.equal(rebuilt.ledgerBalanceSat, record.remainingBalanceSat)
+  })
+})
@@ -0,0 +1,202 @@
+/*
+  Unit tests of the bch-api and electrum chain backends, with their clients
+  stubbed. Both must map a TX the node does not know to null, so callers
+  reject the payment instead of failing with a server error, and must pass
+  on every other error.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+
+// Local libraries
+import BchApiChainBackend from '../../src/adapters/chain/bch-api.js'
+import ElectrumChainBackend from '../../src/adapters/chain/electrum.js'
+
+const TXID = 'a'.repeat(64)
+const PARENT_TXID = 'b'.repeat(64)
+const PAYER_ADDRESS = 'bitcoincash:qz9s2mccqamzppfq708cyfde5ejgmsr9hy7r3unmkk'
+const PAY_TO_ADDRESS = 'bitcoincash:qqlktyx5djtd25nkqxmtm229ks4n0eaknsqtq36tgz'
+const NODE_NOT_FOUND_MESSAGE = 'No such mempool or blockchain transaction. Use gettransaction for wallet transactions.'
+
+// Returns the error a promise rejects with, or undefined if it resolves.
+const rejectionOf = async (promise) => {
+  try {
+    await promise
+  } catch (err) {
+    return err
+  }
+}
+
+// A TX as decoded by the full node, paying PAY_TO_ADDRESS.
+const createNodeTx = (overrides = {}) => ({
+  txid: TXID,
+  confirmations: 2,
+  vin: [{ txid: PARENT_TXID, vout: 1 }],
+  vout: [{
+    n: 0,
+    value: 0.0005,
+    scriptPubKey: { addresses: [PAY_TO_ADDRESS] }
+  }],
+  ...overrides
+})
+
+describe('#chain-unit bch-api', () => {
+  let backend, logs
+
+  beforeEach(() => {
+    // minimal-slp-wallet logs the interface it uses when it is created.
+    logs = { ...console }
+    console.log = () => {}
+
+    backend = new BchApiChainBackend()
+    backend.msWallet.walletInfoPromise = Promise.resolve()
+  })
+
+  afterEach(() => {
+    Object.assign(console, logs)
+  })
+
+  describe('#getTransaction', () => {
+    it('should return the TX in the shape of the chain interface', async () => {
+      backend.msWallet.getTxData = async () => [
+        createNodeTx({ vin: [{ txid: PARENT_TXID, vout: 1, address: PAYER_ADDRESS }] })
+      ]
+
+      const tx = await backend.getTransaction(TXID)
+
+      assert.deepEqual(tx, {
+        txid: TXID,
+        confirmations: 2,
+        inputs: [{ txid: PARENT_TXID, vout: 1, address: PAYER_ADDRESS }],
+        outputs: [{ vout: 0, address: PAY_TO_ADDRESS, valueSat: 50000 }]
+      })
+    })
+
+    it('should return null for a TX the node does not know', async () => {
+      backend.msWallet.getTxData = async () => { throw new Error(NODE_NOT_FOUND_MESSAGE) }
+
+      const tx = await backend.getTransaction(TXID)
+
+      assert.isNull(tx)
+    })
+
+    it('should return null when bch-api passes on the body of the error', async () => {
+      backend.msWallet.getTxData = async () => { throw { error: NODE_NOT_FOUND_MESSAGE } } // eslint-disable-line no-throw-literal
+
+      const tx = await backend.getTransaction(TXID)
+
+      assert.isNull(tx)
+    })
+
+    it('should return null for an empty result', async () => {
+      backend.msWallet.getTxData = async () => []
+
+      const tx = await backend.getTransaction(TXID)
+
+      assert.isNull(tx)
+    })
+
+    it('should pass on other errors', async () => {
+      backend.msWallet.getTxData = async () => { throw new Error('Request failed with status code 503') }
+
+      const err = await rejectionOf(backend.getTransaction(TXID))
+
+      assert.equal(err.message, 'Request failed with status code 503')
+    })
+  })
+
+  describe('#getConfirmations', () => {
+    it('should return 0 for a TX the node does not know', async () => {
+      backend.msWallet.getTxData = async () => { throw new Error(NODE_NOT_FOUND_MESSAGE) }
+
+      const confirmations = await backend.getConfirmations(TXID)
+
+      assert.equal(confirmations, 0)
+    })
+  })
+})
+
+describe('#chain-unit electrum', () => {
+  let backend, requests
+
+  // Stub the Electrum client with a handler per method.
+  const stubClient = (handlers) => {
+    requests = []
+    backend.client.request = async (method, params) => {
+      requests.push({ method, params })
+      return handlers[method](...params)
+    }
+  }
+
+  beforeEach(() => {
+    backend = new ElectrumChainBackend({ electrumUrl: 'tcp://localhost:50001' })
+  })
+
+  describe('#getTransaction', () => {
+    it('should read the addresses of the inputs from the TXs they spend', async () => {
+      stubClient({
+        'blockchain.transaction.get': async (txid) => {
+          if (txid === TXID) return createNodeTx()
+
+          return createNodeTx({
+            txid: PARENT_TXID,
+            vout: [
+              { n: 0, value: 1, scriptPubKey: { addresses: [PAY_TO_ADDRESS] } },
+              { n: 1, value: 1, scriptPubKey: { addresses: [PAYER_ADDRESS] } }
+            ]
+          })
+        }
+      })
+
+      const tx = await backend.getTransaction(TXID)
+
+      assert.deepEqual(tx, {
+        txid: TXID,
+        confirmations: 2,
+        inputs: [{ txid: PARENT_TXID, vout: 1, address: PAYER_ADDRESS }],
+        outputs: [{ vout: 0, address: PAY_TO_ADDRESS, valueSat: 50000 }]
+      })
+      assert.deepEqual(requests.map(x => x.params[0]), [TXID, PARENT_TXID])
+    })
+
+    it('should return null for a TX the node does not know', async () => {
+      stubClient({
+        'blockchain.transaction.get': async () => { throw new Error(NODE_NOT_FOUND_MESSAGE) }
+      })
+
+      const tx = await backend.getTransaction(TXID)
+
+      assert.isNull(tx)
+    })
+
+    it('should pass on other errors', async () => {
+      stubClient({
+        'blockchain.transaction.get': async () => { throw new Error('Electrum request timed out') }
+      })
+
+      const err = await rejectionOf(backend.getTransaction(TXID))
+
+      assert.equal(err.message, 'Electrum request timed out')
+    })
+  })
+
+  describe('#isOutputUnspent', () => {
+    it('should return true for an unspent output', async () => {
+      stubClient({ 'blockchain.utxo.get_info': async () => ({ value: 50000 }) })
+
+      assert.isTrue(await backend.isOutputUnspent(TXID, 0))
+    })
+
+    it('should return false for a spent or missing output', async () => {
+      stubClient({ 'blockchain.utxo.get_info': async () => null })
+
+      assert.isFalse(await backend.isOutputUnspent(TXID, 0))
+    })
+
+    it('should return false when an older server reports the TX as not found', async () => {
+      stubClient({ 'blockchain.utxo.get_info': async () => { throw new Error(NODE_NOT_FOUND_MESSAGE) } })
+
+      assert.isFalse(await backend.isOutputUnspent(TXID, 0))
+    })
+  })
+})
@@ -0,0 +1,229 @@
+/*
+  Unit tests of the storage backends. Every backend must keep the same store
+  contract, described in src/adapters/storage/store.js, and must apply a
+  cross-store transaction in full or not at all.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+
+// Local libraries
+import StorageAdapter, { STORAGE_BACKENDS } from '../../src/adapters/storage/index.js'
+
+// Returns the error a promise rejects with, or undefined if it resolves.
+const rejectionOf = async (promise) => {
+  try {
+    await promise
+  } catch (err) {
+    return err
+  }
+}
+
+for (const backend of Object.keys(STORAGE_BACKENDS)) {
+  describe(`#storage-unit ${backend}`, () => {
+    let dbDir, storage
+
+    beforeEach(async () => {
+      dbDir = mkdtempSync(join(tmpdir(), 'facilitator-storage-'))
+      storage = new StorageAdapter({ backend, dbDir })
+      await storage.openDb()
+    })
+
+    afterEach(async () => {
+      await storage.closeDb()
+      rmSync(dbDir, { recursive: true, force: true })
+    })
+
+    describe('#get', () => {
+      it('should throw a notFound error for a missing key', async () => {
+        const err = await rejectionOf(storage.utxoDb.get('missing'))
+
+        assert.isTrue(err.notFound)
+      })
+
+      it('should return the value stored under a key', async () => {
+        await storage.utxoDb.put('a', { remainingBalanceSat: '1000', flags: [1, 2] })
+
+        const value = await storage.utxoDb.get('a')
+
+        assert.deepEqual(value, { remainingBalanceSat: '1000', flags: [1, 2] })
+      })
+
+      it('should keep each store apart', async () => {
+        await storage.utxoDb.put('a', { store: 'utxo' })
+
+        const err = await rejectionOf(storage.nonceDb.get('a'))
+
+        assert.isTrue(err.notFound)
+      })
+    })
+
+    describe('#put', () => {
+      it('should replace the value of an existing key', async () => {
+        await storage.utxoDb.put('a', { n: 1 })
+        await storage.utxoDb.put('a', { n: 2 })
+
+        assert.deepEqual(await storage.utxoDb.get('a'), { n: 2 })
+      })
+    })
+
+    describe('#del', () => {
+      it('should remove a key', async () => {
+        await storage.utxoDb.put('a', { n: 1 })
+        await storage.utxoDb.del('a')
+
+        const err = await rejectionOf(storage.utxoDb.get('a'))
+
+        assert.isTrue(err.notFound)
+      })
+
+      it('should do nothing for a missing key', async () => {
+        await storage.utxoDb.del('missing')
+      })
+    })
+
+    describe('#list', () => {
+      beforeEach(async () => {
+        for (const key of ['abc:1', 'abc:2', 'abc:3', 'abd:1', 'ab']) {
+          await storage.ledgerDb.put(key, { key })
+        }
+      })
+
+      it('should return every entry in key order', async () => {
+        const entries = await storage.ledgerDb.list()
+
+        assert.deepEqual(entries.map(x => x.key), ['ab', 'abc:1', 'abc:2', 'abc:3', 'abd:1'])
+        assert.deepEqual(entries[0].value, { key: 'ab' })
+      })
+
+      it('should return the keys that share a prefix', async () => {
+        const entries = await storage.ledgerDb.list({ gt: 'abc:', lt: 'abc;' })
+
+        assert.deepEqual(entries.map(x => x.key), ['abc:1', 'abc:2', 'abc:3'])
+      })
+
+      it('should include the bounds of gte and lte', async () => {
+        const entries = await storage.ledgerDb.list({ gte: 'abc:2', lte: 'abd:1' })
+
+        assert.deepEqual(entries.map(x => x.key), ['abc:2', 'abc:3', 'abd:1'])
+      })
+
+      it('should return the last entries first with reverse and limit', async () => {
+        const entries = await storage.ledgerDb.list({ gt: 'abc:', lt: 'abc;', reverse: true, limit: 2 })
+
+        assert.deepEqual(entries.map(x => x.key), ['abc:3', 'abc:2'])
+      })
+    })
+
+    describe('#batch', () => {
+      it('should apply puts and dels to one store', async () => {
+        await storage.utxoDb.put('a', { n: 1 })
+
+        await storage.utxoDb.batch([
+          { type: 'del', key: 'a' },
+          { type: 'put', key: 'b', value: { n: 2 } }
+        ])
+
+        const entries = await storage.utxoDb.list()
+        assert.deepEqual(entries, [{ key: 'b', value: { n: 2 } }])
+      })
+    })
+
+    describe('#transaction', () => {
+      it('should apply puts and dels across stores', async () => {
+        await storage.nonceDb.put('old', { status: 'reserved' })
+
+        const result = await storage.transaction([
+          { type: 'put', store: storage.utxoDb, key: 'a', value: { remainingBalanceSat: '4000' } },
+          { type: 'put', store: storage.ledgerDb, key: 'a:1', value: { amountSat: '-1000' } },
+          { type: 'del', store: storage.nonceDb, key: 'old' }
+        ])
+
+        assert.isTrue(result)
+        assert.deepEqual(await storage.utxoDb.get('a'), { remainingBalanceSat: '4000' })
+        assert.deepEqual(await storage.ledgerDb.get('a:1'), { amountSat: '-1000' })
+        assert.isTrue((await rejectionOf(storage.nonceDb.get('old'))).notFound)
+      })
+
+      it('should apply none of the ops if one of them fails', async () => {
+        await storage.utxoDb.put('a', { remainingBalanceSat: '5000' })
+
+        const err = await rejectionOf(storage.transaction([
+          { type: 'put', store: storage.utxoDb, key: 'a', value: { remainingBalanceSat: '4000' } },
+          // A BigInt can not be serialized to JSON.
+          { type: 'put', store: storage.ledgerDb, key: 'a:1', value: { amountSat: -1000n } }
+        ]))
+
+        assert.instanceOf(err, Error)
+        assert.deepEqual(await storage.utxoDb.get('a'), { remainingBalanceSat: '5000' })
+        assert.deepEqual(await storage.ledgerDb.list(), [])
+      })
+
+      it('should do nothing for no ops', async () => {
+        const result = await storage.transaction([])
+
+        assert.isTrue(result)
+      })
+    })
+
+    if (backend !== 'leveldb') return
+
+    describe('#recover', () => {
+      const logs = { ...console }
+
+      beforeEach(() => {
+        console.warn = () => {}
+      })
+
+      afterEach(() => {
+        Object.assign(console, logs)
+      })
+
+      it('should apply a transaction cut off after its journal entry when reopened', async () => {
+        await storage.nonceDb.put('old', { status: 'reserved' })
+
+        // Stop the transaction between its journal entry and its stores.
+        const { applyTransaction } = storage.backend
+        storage.backend.applyTransaction = async () => { throw new Error('crash') }
+        const err = await rejectionOf(storage.transaction([
+          { type: 'put', store: storage.utxoDb, key: 'a', value: { remainingBalanceSat: '4000' } },
+          { type: 'put', store: storage.ledgerDb, key: 'a:1', value: { amountSat: '-1000' } },
+          { type: 'del', store: storage.nonceDb, key: 'old' }
+        ]))
+        storage.backend.applyTransaction = applyTransaction
+
+        assert.equal(err.message, 'crash')
+        assert.isTrue((await rejectionOf(storage.utxoDb.get('a'))).notFound)
+        assert.lengthOf(await storage.backend.journal.list(), 1)
+
+        await storage.closeDb()
+        storage = new StorageAdapter({ backend, dbDir })
+        await storage.openDb()
+
+        assert.deepEqual(await storage.utxoDb.get('a'), { remainingBalanceSat: '4000' })
+        assert.deepEqual(await storage.ledgerDb.get('a:1'), { amountSat: '-1000' })
+        assert.isTrue((await rejectionOf(storage.nonceDb.get('old'))).notFound)
+        assert.deepEqual(await storage.backend.journal.list(), [])
+      })
+
+      it('should replay journaled transactions oldest first', async () => {
+        await storage.backend.journal.put('2:000001', [
+          { type: 'put', store: 'utxo', key: 'a', value: { n: 2 } }
+        ])
+        await storage.backend.journal.put('1:000001', [
+          { type: 'put', store: 'utxo', key: 'a', value: { n: 1 } }
+        ])
+
+        await storage.closeDb()
+        storage = new StorageAdapter({ backend, dbDir })
+        await storage.openDb()
+
+        assert.deepEqual(await storage.utxoDb.get('a'), { n: 2 })
+        assert.deepEqual(await storage.backend.journal.list(), [])
+      })
+    })
+  })
+}
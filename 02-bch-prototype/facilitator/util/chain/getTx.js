@@ -0,0 +1,32 @@
+/*
+  Utility tool to look up a TX through the configured chain backend, e.g. to
+  check the connection to a Fulcrum server before switching to it.
+
+  Usage:
+    CHAIN_BACKEND=electrum ELECTRUM_URL=tls://fulcrum.example.com:50002 \
+      node util/chain/getTx.js <txid>
+*/
+
+// Local libraries
+import BCHWalletAdapter from '../../src/adapters/bch-wallet.js'
+
+async function getTx () {
+  const bchWallet = new BCHWalletAdapter()
+
+  try {
+    const txid = process.argv[2]
+    if (!txid) {
+      console.log('Usage: node util/chain/getTx.js <txid>')
+      return
+    }
+
+    const tx = await bchWallet.chain.getTransaction(txid)
+    console.log(`Chain backend: ${bchWallet.chainBackend}`)
+    console.log(JSON.stringify(tx, null, 2))
+  } catch (err) {
+    console.error(err.message)
+  } finally {
+    await bchWallet.chain.close()
+  }
+}
+getTx()
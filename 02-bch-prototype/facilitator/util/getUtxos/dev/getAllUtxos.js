@@ -1,28 +1,25 @@
 /*
   Utility tool to retrieve all UTXO keys in the UTXO DB.
+  The storage backend is chosen with STORAGE_BACKEND, as for the facilitator.
 */
 
-// const level = require('level')
-import level from 'level'
-
-// Hack to get __dirname back.
-// https://blog.logrocket.com/alternatives-dirname-node-js-es-modules/
-import * as url from 'url'
-const __dirname = url.fileURLToPath(new URL('.', import.meta.url))
-
-const utxoDb = level(`${__dirname.toString()}/../../../leveldb/utxo`, {
-  valueEncoding: 'json'
-})
+// Local libraries
+import StorageAdapter from '../../../src/adapters/storage/index.js'
 
 async function getUtxos () {
+  const storage = new StorageAdapter()
+
   try {
-    const stream = utxoDb.createReadStream()
+    await storage.openDb()
 
-    stream.on('data', function (data) {
+    const entries = await storage.utxoDb.list()
+    for (const data of entries) {
       console.log(data.key, ' = ', data.value)
-    })
+    }
   } catch (err) {
     console.error(err.message)
+  } finally {
+    await storage.closeDb()
   }
 }
 getUtxos()
@@ -0,0 +1,98 @@
+/*
+  Utility tool to manage the tenants (resource servers) of the facilitator.
+  Stop the facilitator before running it, as LevelDB only allows one process
+  to open the DB. The storage backend is chosen with STORAGE_BACKEND, as for
+  the facilitator.
+
+  Usage:
+    node util/tenants/manageTenants.js list
+    node util/tenants/manageTenants.js add <tenantId> <payTo> [minAmountSat] [maxAmountSat] [name]
+    node util/tenants/manageTenants.js update <tenantId> <field>=<value> ...
+    node util/tenants/manageTenants.js disable <tenantId>
+    node util/tenants/manageTenants.js enable <tenantId>
+    node util/tenants/manageTenants.js add-key <tenantId>
+    node util/tenants/manageTenants.js revoke-key <tenantId> <keyId>
+
+  A resource server authenticates to /verify and /settle with the keyId and
+  secret of a credential. See paymentMiddleware in ../server.
+*/
+
+// Local libraries
+import StorageAdapter from '../../src/adapters/storage/index.js'
+import TenantUseCase from '../../src/use-cases/tenant.js'
+
+// Hide credential secrets when printing a tenant.
+function redact (tenant) {
+  return {
+    ...tenant,
+    credentials: tenant.credentials.map(({ secret, ...credential }) => credential)
+  }
+}
+
+async function manageTenants () {
+  const storage = new StorageAdapter()
+  await storage.openDb()
+
+  try {
+    const tenants = new TenantUseCase({ adapters: { storage } })
+    const [command, tenantId, ...args] = process.argv.slice(2)
+
+    let result
+    switch (command) {
+      case 'list':
+        result = (await tenants.listTenants()).map(redact)
+        break
+
+      case 'add': {
+        const [payTo, minAmountSat, maxAmountSat, name] = args
+        result = await tenants.createTenant({ tenantId, name, payTo, minAmountSat, maxAmountSat })
+        if (result.success) {
+          result.tenant = redact(result.tenant)
+          console.log('Save the credential below. Its secret is not shown again.')
+        }
+        break
+      }
+
+      case 'update': {
+        const changes = {}
+        for (const arg of args) {
+          const [key, value] = arg.split('=')
+          if (value === '') changes[key] = null
+          else if (value === 'true' || value === 'false') changes[key] = value === 'true'
+          else changes[key] = value
+        }
+        result = await tenants.updateTenant({ tenantId, ...changes })
+        if (result.success) result.tenant = redact(result.tenant)
+        break
+      }
+
+      case 'disable':
+      case 'enable':
+        result = await tenants.updateTenant({ tenantId, active: command === 'enable' })
+        if (result.success) result.tenant = redact(result.tenant)
+        break
+
+      case 'add-key':
+        result = await tenants.addCredential({ tenantId })
+        if (result.success) {
+          console.log('Save the credential below. Its secret is not shown again.')
+        }
+        break
+
+      case 'revoke-key':
+        result = await tenants.revokeCredential({ tenantId, keyId: args[0] })
+        break
+
+      default:
+        console.log('Usage: node util/tenants/manageTenants.js <list|add|update|disable|enable|add-key|revoke-key> ...')
+        return
+    }
+
+    console.log(JSON.stringify(result, null, 2))
+  } catch (err) {
+    console.error(err.message)
+  } finally {
+    await storage.closeDb()
+  }
+}
+manageTenants()
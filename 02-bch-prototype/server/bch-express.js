@@ -26,17 +26,52 @@ async function startServer () {
         payTo,
         {
           'GET /weather': {
-            // BCH amount in satoshis (placeholder)
+            // Price in USD, converted to satoshis on each request. A price
+            // can also be given in sats (1000) or BCH ('0.00001 BCH').
             price: '$0.001',
             network: 'bch',
             config: {
               description: 'Access to weather data'
             }
           },
+          // The price of a range of days depends on its length.
+          'GET /weather/range': {
+            price: async (req) => `${rangeDays(req) * 500} sats`,
+            network: 'bch',
+            config: {
+              description: 'Weather data for a range of days'
+            }
+          },
+          // Metered: the price is per KB of the streamed response, and a call
+          // reserves the price of at most 100 KB.
+          'GET /weather/stream': {
+            price: '5 sats',
+            network: 'bch',
+            metered: { unit: 'bytes', unitSize: 1024, maxUnits: 100 },
+            config: {
+              description: 'Stream of hourly weather reports, billed per KB'
+            }
+          },
           network: 'bch'
         },
         {
-          url: facilitatorUrl
+          url: facilitatorUrl,
+          // Tenant credential issued by the facilitator operator.
+          keyId: process.env.FACILITATOR_KEY_ID,
+          secret: process.env.FACILITATOR_SECRET
+        },
+        {
+          // Converts USD prices to satoshis. Set BCH_USD_FALLBACK_RATE to keep
+          // serving when the oracle can not be reached, and PRICE_ORACLE_OFFLINE
+          // to only use that rate. A quoted price is honored for
+          // PRICE_QUOTE_SECONDS.
+          priceOracle: {
+            cacheSeconds: Number(process.env.PRICE_CACHE_SECONDS || 60),
+            quoteSeconds: Number(process.env.PRICE_QUOTE_SECONDS || 60),
+            maxAgeSeconds: Number(process.env.PRICE_MAX_AGE_SECONDS || 600),
+            fallbackUsdPerBch: process.env.BCH_USD_FALLBACK_RATE,
+            offline: process.env.PRICE_ORACLE_OFFLINE === 'true'
+          }
         }
       )
     )
@@ -51,6 +86,28 @@ async function startServer () {
       })
     })
 
+    // Weather for the next days, up to 30
+    app.get('/weather/range', (req, res) => {
+      const days = rangeDays(req)
+      res.send({
+        days,
+        reports: Array.from({ length: days }, (x, day) => ({
+          day,
+          weather: 'sunny',
+          temperature: 70
+        }))
+      })
+    })
+
+    // Hourly reports for the next days, streamed as JSON lines
+    app.get('/weather/stream', async (req, res) => {
+      res.type('application/x-ndjson')
+      for (let hour = 0; hour < rangeDays(req) * 24; hour++) {
+        res.write(`${JSON.stringify({ hour, weather: 'sunny', temperature: 70 })}\n`)
+      }
+      res.end()
+    })
+
     // Start server
     app.listen(port, () => {
       // console.log('Server is running on port 3000');
@@ -61,4 +118,10 @@ async function startServer () {
   }
 }
 
+// Number of days asked for by a /weather/range request, between 1 and 30.
+function rangeDays (req) {
+  const days = parseInt(req.query.days, 10) || 1
+  return Math.min(Math.max(days, 1), 30)
+}
+
 startServer()
@@ -0,0 +1,160 @@
+/*
+  Price oracle for the USD price of BCH. The payment middleware uses it to
+  convert prices given in USD into satoshis.
+
+  - A rate is fetched at most once per cacheSeconds, and concurrent lookups
+    share the same request.
+  - If the oracle can not be reached, the last rate is still used until it is
+    older than maxAgeSeconds. After that the static fallbackUsdPerBch is used,
+    if one is configured.
+  - With offline set, the oracle is never called and only the fallback rate
+    is used.
+  - A price quoted with a rate is honored for quoteSeconds, even if the rate
+    changes in the meantime. listQuotedRates() returns the rates of the
+    quotes that have not expired yet.
+
+  By default the rate comes from the Price endpoint of the FullStack.cash
+  infrastructure, through minimal-slp-wallet. Pass fetchRate to use another
+  source.
+*/
+
+// Global libraries
+import BCHWallet from 'minimal-slp-wallet'
+
+class PriceOracle {
+  constructor (localConfig = {}) {
+    // Async function that returns the USD price of one BCH.
+    this.fetchRate = localConfig.fetchRate || this.fetchRateFromWallet
+
+    this.cacheSeconds = localConfig.cacheSeconds ?? 60
+    this.maxAgeSeconds = localConfig.maxAgeSeconds ?? 600
+    this.fallbackUsdPerBch = toRate(localConfig.fallbackUsdPerBch)
+    this.offline = !!localConfig.offline
+    this.quoteSeconds = localConfig.quoteSeconds ?? this.cacheSeconds
+
+    if (this.offline && !this.fallbackUsdPerBch) {
+      throw new Error('A fallbackUsdPerBch rate is required when the price oracle is offline.')
+    }
+
+    // State
+    this.cachedRate = null // { usdPerBch, fetchedAt }
+    this.nextFetchAt = 0
+    this.pendingFetch = null
+    this.wallet = null
+    this.quotedRates = new Map() // usdPerBch -> the rate of its last quote
+
+    // Bind 'this' object to all class methods
+    this.getUsdPerBch = this.getUsdPerBch.bind(this)
+    this.listQuotedRates = this.listQuotedRates.bind(this)
+    this.quoteRate = this.quoteRate.bind(this)
+    this.refreshRate = this.refreshRate.bind(this)
+    this.fetchRateFromWallet = this.fetchRateFromWallet.bind(this)
+  }
+
+  /**
+   * Returns the USD price of one BCH.
+   *
+   * @returns Object with usdPerBch, the source of the rate ('oracle', 'cache'
+   * or 'fallback'), the time it was fetched, and the time until which a price
+   * quoted with it is honored (expiresAt). Times are in milliseconds.
+   */
+  async getUsdPerBch () {
+    const now = Date.now()
+
+    if (!this.offline && now >= this.nextFetchAt) {
+      await this.refreshRate()
+    }
+
+    const cached = this.cachedRate
+    if (cached && Date.now() - cached.fetchedAt < this.maxAgeSeconds * 1000) {
+      const isFresh = Date.now() - cached.fetchedAt < this.cacheSeconds * 1000
+
+      return this.quoteRate({
+        usdPerBch: cached.usdPerBch,
+        source: isFresh ? 'oracle' : 'cache',
+        fetchedAt: cached.fetchedAt
+      })
+    }
+
+    if (this.fallbackUsdPerBch) {
+      return this.quoteRate({
+        usdPerBch: this.fallbackUsdPerBch,
+        source: 'fallback',
+        fetchedAt: null
+      })
+    }
+
+    throw new Error('The USD price of BCH is not available.')
+  }
+
+  /**
+   * Returns the rates of the quotes that have not expired yet, so a payment
+   * signed for one of them can be accepted after the rate has changed.
+   *
+   * @returns Array of rates, as returned by getUsdPerBch()
+   */
+  listQuotedRates () {
+    const now = Date.now()
+
+    for (const [usdPerBch, rate] of this.quotedRates) {
+      if (rate.expiresAt <= now) this.quotedRates.delete(usdPerBch)
+    }
+
+    return [...this.quotedRates.values()]
+  }
+
+  // Add the time a quote made now expires to a rate, and remember it until
+  // then.
+  quoteRate (rate) {
+    const quotedRate = { ...rate, expiresAt: Date.now() + this.quoteSeconds * 1000 }
+    this.quotedRates.set(rate.usdPerBch, quotedRate)
+
+    return quotedRate
+  }
+
+  // Fetch a new rate from the oracle. A failed fetch is logged, and is not
+  // retried before cacheSeconds have passed.
+  async refreshRate () {
+    if (this.pendingFetch) return this.pendingFetch
+
+    this.pendingFetch = (async () => {
+      try {
+        const usdPerBch = toRate(await this.fetchRate())
+        if (!usdPerBch) throw new Error('The price oracle returned an invalid rate.')
+
+        this.cachedRate = {
+          usdPerBch,
+          fetchedAt: Date.now()
+        }
+      } catch (err) {
+        console.error('Could not fetch the USD price of BCH:', err.message)
+      } finally {
+        this.nextFetchAt = Date.now() + this.cacheSeconds * 1000
+        this.pendingFetch = null
+      }
+    })()
+
+    return this.pendingFetch
+  }
+
+  // Default rate source.
+  async fetchRateFromWallet () {
+    if (!this.wallet) {
+      const wallet = new BCHWallet()
+      await wallet.walletInfoPromise
+      this.wallet = wallet
+    }
+
+    return this.wallet.getUsd()
+  }
+}
+
+// Returns a rate as a positive number, or null.
+function toRate (value) {
+  const rate = Number(value)
+  if (!Number.isFinite(rate) || rate <= 0) return null
+
+  return rate
+}
+
+export default PriceOracle
@@ -0,0 +1,637 @@
+/*
+  Framework-neutral core of the payment middleware for Bitcoin Cash (BCH).
+
+  The core matches routes, prices requests, builds the payment requirements,
+  and calls the facilitator. It never touches a request or response object
+  of a web framework. The adapters in this directory (Express, Fastify, Koa
+  and Hono) turn their requests into the plain objects the core takes, and
+  apply what it returns.
+
+  A paid request is verified with the facilitator, which reserves its cost,
+  and is then passed to the route handler. The payment is only settled once
+  the handler responds with a 2xx status, and the settlement receipt is
+  returned in the X-PAYMENT-RESPONSE header. Any other response releases the
+  reservation, so the payer is not charged.
+
+  A metered route (see ./meter.js) reserves the price of its maxUnits, and
+  settles only the units the call used.
+*/
+
+// Global libraries
+import { createHmac } from 'crypto'
+import { Transform } from 'stream'
+
+// Local libraries
+import PriceOracle from '../adapters/price-oracle.js'
+import { parsePrice, listPriceQuotes } from './price.js'
+import { parseMeteredConfig, createMeter } from './meter.js'
+
+export const X402_VERSION = 1
+
+// Header that carries the settlement receipt of a paid response.
+export const PAYMENT_RESPONSE_HEADER = 'X-PAYMENT-RESPONSE'
+
+/**
+ * Computes route patterns from routes configuration
+ * @param {Object} routes - Routes configuration object
+ * @returns {Array} Array of route pattern objects with verb, pattern regex,
+ *   config, the parsed price, or the price function of the route, and the
+ *   metered config. Throws if a static price or a metered config is invalid.
+ */
+function computeRoutePatterns (routes) {
+  // Normalize routes - handle both simple price values and full config objects
+  const normalizedRoutes = Object.fromEntries(
+    Object.entries(routes).map(([pattern, value]) => {
+      // Skip the 'network' property if it exists at the root level
+      if (pattern === 'network') {
+        return null
+      }
+      const normalizedValue = ['string', 'number', 'function'].includes(typeof value)
+        ? { price: value, network: routes.network || 'bch' }
+        : value
+      return [pattern, normalizedValue]
+    }).filter(Boolean)
+  )
+
+  return Object.entries(normalizedRoutes).map(([pattern, routeConfig]) => {
+    // Split pattern into verb and path, defaulting to "*" for verb if not specified
+    const parts = pattern.includes(' ') ? pattern.split(/\s+/) : ['*', pattern]
+    const verb = parts[0] || '*'
+    const path = parts[1] || parts[0]
+
+    if (!path) {
+      throw new Error(`Invalid route pattern: ${pattern}`)
+    }
+
+    // Convert path pattern to regex
+    const regexPattern = `^${
+      path
+        // First escape all special regex characters except * and []
+        .replace(/[$()+.?^{|}]/g, '\\$&')
+        // Then handle our special pattern characters
+        .replace(/\*/g, '.*?') // Make wildcard non-greedy and optional
+        .replace(/\[([^\]]+)\]/g, '[^/]+') // Convert [param] to regex capture
+        .replace(/\//g, '\\/') // Escape slashes
+    }$`
+
+    return {
+      verb: verb.toUpperCase(),
+      pattern: new RegExp(regexPattern, 'i'),
+      config: routeConfig,
+      price: typeof routeConfig.price === 'function'
+        ? routeConfig.price
+        : parsePrice(routeConfig.price),
+      metered: routeConfig.metered ? parseMeteredConfig(routeConfig.metered) : null
+    }
+  })
+}
+
+/**
+ * Finds the matching route pattern for the given path and method
+ * @param {Array} routePatterns - Array of route patterns to search through
+ * @param {string} path - The path to match against
+ * @param {string} method - The HTTP method to match against
+ * @returns {Object|undefined} The matching route pattern or undefined if no match is found
+ */
+function findMatchingRoute (routePatterns, path, method) {
+  // Normalize the path:
+  // 1. Remove query parameters and hash fragments
+  // 2. Replace backslashes with forward slashes
+  // 3. Replace multiple consecutive slashes with a single slash
+  // 4. Trim trailing slashes
+  let normalizedPath
+  try {
+    // First split off query parameters and hash fragments
+    const pathWithoutQuery = path.split(/[?#]/)[0]
+
+    // Then decode the path - this needs to happen before any normalization
+    // so encoded characters are properly handled
+    const decodedPath = decodeURIComponent(pathWithoutQuery)
+
+    // Normalize the path (just clean up slashes)
+    normalizedPath = decodedPath
+      .replace(/\\/g, '/') // replace backslashes
+      .replace(/\/+/g, '/') // collapse slashes
+      .replace(/(.+?)\/+$/, '$1') // trim trailing slashes
+  } catch {
+    // If decoding fails (e.g., invalid % encoding), return undefined
+    return undefined
+  }
+
+  // Find matching route pattern
+  const matchingRoutes = routePatterns.filter(({ pattern, verb }) => {
+    const matchesPath = pattern.test(normalizedPath)
+    const upperMethod = method.toUpperCase()
+    const matchesVerb = verb === '*' || upperMethod === verb
+
+    return matchesPath && matchesVerb
+  })
+
+  if (matchingRoutes.length === 0) {
+    return undefined
+  }
+
+  // Use the most specific route (longest path pattern)
+  const matchingRoute = matchingRoutes.reduce((a, b) =>
+    b.pattern.source.length > a.pattern.source.length ? b : a
+  )
+
+  return matchingRoute
+}
+
+/**
+ * Builds the headers for a call to the facilitator. When the facilitator
+ * config has a keyId and secret, the call is authenticated: the POST
+ * request is HMAC-signed with the secret, or the secret is sent as an API key
+ * when auth is 'apiKey'.
+ * @param {Object} facilitator - Configuration for the payment facilitator service
+ * @param {string} url - The URL of the facilitator endpoint
+ * @param {string} body - The JSON request body that will be sent
+ * @returns {Object} Request headers
+ */
+function createFacilitatorHeaders (facilitator, url, body) {
+  const headers = {
+    'Content-Type': 'application/json'
+  }
+
+  const { keyId, secret, auth = 'hmac' } = facilitator || {}
+  if (!keyId || !secret) {
+    return headers
+  }
+
+  if (auth === 'apiKey') {
+    headers['X-API-Key'] = `${keyId}.${secret}`
+    return headers
+  }
+
+  // The method and path are signed along with the body, so the request can
+  // not be replayed to another endpoint.
+  const { pathname, search } = new URL(url)
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  headers['X-Facilitator-Key-Id'] = keyId
+  headers['X-Facilitator-Timestamp'] = timestamp
+  headers['X-Facilitator-Signature'] = createHmac('sha256', secret)
+    .update(`POST\n${pathname}${search}\n${timestamp}\n${body}`)
+    .digest('hex')
+
+  return headers
+}
+
+/**
+ * Calls an endpoint of the facilitator
+ * @param {Object} facilitator - Configuration for the payment facilitator service
+ * @param {string} endpoint - 'verify', 'settle' or 'release'
+ * @param {string} body - The JSON request body
+ * @returns {Promise<Object>} The parsed response. Throws if the call fails.
+ */
+async function callFacilitator (facilitator, endpoint, body) {
+  // Get facilitator URL (default to localhost:4040 if not provided)
+  const facilitatorUrl = facilitator?.url || 'http://localhost:4040/facilitator'
+
+  const url = `${facilitatorUrl}/${endpoint}`
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: createFacilitatorHeaders(facilitator, url, body),
+    body
+  })
+
+  if (!response.ok) {
+    throw new Error(`Facilitator ${endpoint} failed: ${response.status} ${response.statusText}`)
+  }
+
+  return response.json()
+}
+
+/**
+ * Encodes a settlement result for the X-PAYMENT-RESPONSE header
+ * @param {Object} settlementResult - Response of the facilitator /settle endpoint
+ * @param {Object} usage - Usage of a metered call, from its meter
+ * @returns {string} Base64 encoded JSON receipt
+ */
+function encodePaymentResponse (settlementResult, usage) {
+  const paymentResponse = {
+    success: settlementResult.success,
+    transaction: settlementResult.transaction,
+    network: settlementResult.network,
+    payer: settlementResult.payer,
+    receipt: settlementResult.receipt
+  }
+  if (usage) paymentResponse.metered = usage
+
+  return Buffer.from(JSON.stringify(paymentResponse)).toString('base64')
+}
+
+/**
+ * Creates the core of the payment middleware, shared by every framework
+ * adapter.
+ * @param {string} payTo - The BCH address to receive payments
+ * @param {Object} routes - Configuration for protected routes and their payment requirements.
+ *   The price of a route is a fixed amount, or an async function that receives
+ *   the native request of the framework and returns the amount in any of the
+ *   formats of ./price.js. A function that returns 0 lets the request through
+ *   for free.
+ * @param {Object} facilitator - Optional configuration for the payment facilitator service:
+ *   url, and the keyId and secret of the tenant credential used to authenticate
+ *   (auth: 'hmac' to sign each call, the default, or 'apiKey')
+ * @param {Object} options - Optional settings. priceOracle is the PriceOracle
+ *   used to convert USD prices to satoshis, or the config to create one with.
+ * @returns {Object} Core with the processRequest() method
+ */
+export function createPaymentCore (payTo, routes, facilitator, options = {}) {
+  const x402Version = X402_VERSION
+
+  // Pre-compile route patterns to regex and extract verbs
+  const routePatterns = computeRoutePatterns(routes)
+
+  // A price oracle is only needed when a route is priced in USD, or by a
+  // function that may return a USD amount.
+  let priceOracle = null
+  const mayNeedOracle = routePatterns.some(route =>
+    typeof route.price === 'function' || route.price.currency === 'usd'
+  )
+  if (mayNeedOracle) {
+    priceOracle = typeof options.priceOracle?.getUsdPerBch === 'function'
+      ? options.priceOracle
+      : new PriceOracle(options.priceOracle)
+  }
+
+  /**
+   * Handles the payment of a request, before its route handler runs.
+   * @param {Object} request - The request, described by its method, path,
+   *   protocol, host, the value of its X-PAYMENT header (paymentHeader), and
+   *   the native request of the framework (nativeRequest), which is passed to
+   *   price functions
+   * @returns {Promise<Object>} What the adapter should do next:
+   *   - { action: 'next' }: the route is not paid, or free. Run the handler.
+   *   - { action: 'respond', status, body }: send this JSON response instead
+   *     of running the handler.
+   *   - { action: 'handle', payment }: the payment is verified. Run the
+   *     handler, then call payment.complete() with its status code.
+   *   Throws if the price function of the route throws.
+   */
+  async function processRequest ({ method, path, protocol, host, paymentHeader, nativeRequest }) {
+    const matchingRoute = findMatchingRoute(routePatterns, path, method.toUpperCase())
+
+    if (!matchingRoute) {
+      return { action: 'next' }
+    }
+
+    const { network, config = {} } = matchingRoute.config
+    const {
+      description = '',
+      mimeType = '',
+      maxTimeoutSeconds = 60,
+      discoverable = true
+    } = config
+
+    // Price this request. It is done before the 402 response and before the
+    // payment is verified, so both see the same amount.
+    let price = matchingRoute.price
+    if (typeof price === 'function') {
+      try {
+        const amount = await price(nativeRequest)
+        if (amount === 0 || amount === '0') {
+          return { action: 'next' }
+        }
+
+        price = parsePrice(amount)
+      } catch (error) {
+        console.error('Error in the price function of the route:', error)
+        throw error
+      }
+    }
+
+    // Convert the price of the route to satoshis. A metered route asks for
+    // the price of its maxUnits, the most one call may cost. A payment
+    // signed for an earlier quote that has not expired is held to the amount
+    // of that quote.
+    const { metered } = matchingRoute
+    let unitPriceSat
+    let minAmountRequired
+    let extra
+    try {
+      const quotes = await listPriceQuotes(price, priceOracle)
+      const paidSat = getPaidAmountSat(paymentHeader)
+      const quote = quotes.find(x => x.amountSat * (metered?.maxUnits || 1) === paidSat) ||
+        quotes[0]
+
+      unitPriceSat = quote.amountSat
+      minAmountRequired = unitPriceSat
+      extra = quote.extra
+
+      if (metered) {
+        minAmountRequired = unitPriceSat * metered.maxUnits
+        extra = { ...extra, metered: { ...metered, unitPriceSat } }
+      }
+    } catch (error) {
+      console.error('Error pricing the resource:', error)
+      return respond(503, {
+        x402Version,
+        error: 'The price of the resource is not available'
+      })
+    }
+
+    // Construct resource URL from request
+    const resource = `${protocol}://${host}${path}`
+
+    // Build payment requirements object
+    const paymentRequirements = [{
+      scheme: 'utxo',
+      network: network || 'bch',
+      minAmountRequired,
+      resource,
+      description,
+      mimeType,
+      payTo,
+      maxTimeoutSeconds,
+      asset: '0x0000000000000000000000000000000000000001',
+      outputSchema: {
+        input: {
+          type: 'http',
+          method: method.toUpperCase(),
+          discoverable
+        }
+      },
+      extra
+    }]
+
+    if (!paymentHeader) {
+      console.log(`Returning 402 with these payment requirements in the X-PAYMENT header: ${JSON.stringify(paymentRequirements, null, 2)}`)
+
+      // Return 402 with payment requirements
+      return respond(402, {
+        x402Version,
+        error: 'X-PAYMENT header is required',
+        accepts: paymentRequirements
+      })
+    }
+
+    // Parse X-PAYMENT header (BCH uses JSON string, not base64 like EVM)
+    let decodedPayment
+    try {
+      decodedPayment = JSON.parse(paymentHeader)
+
+      // Validate required fields
+      if (!decodedPayment.x402Version || !decodedPayment.scheme || !decodedPayment.network || !decodedPayment.payload) {
+        throw new Error('Missing required fields in payment payload')
+      }
+
+      // Ensure x402Version is set
+      decodedPayment.x402Version = x402Version
+    } catch (error) {
+      console.error('Error parsing X-PAYMENT header:', error)
+      return respond(402, {
+        x402Version,
+        error: error.message || 'Invalid or malformed payment header',
+        accepts: paymentRequirements
+      })
+    }
+
+    // Find matching payment requirements based on scheme and network
+    const selectedPaymentRequirements = paymentRequirements.find(req => {
+      return req.scheme === decodedPayment.scheme && req.network === decodedPayment.network
+    })
+
+    if (!selectedPaymentRequirements) {
+      return respond(402, {
+        x402Version,
+        error: 'Unable to find matching payment requirements',
+        accepts: paymentRequirements
+      })
+    }
+
+    // The same body is sent to /verify, /settle and /release. A metered
+    // call adds the amount it used to the /settle body.
+    const facilitatorRequest = {
+      x402Version,
+      paymentPayload: decodedPayment,
+      paymentRequirements: selectedPaymentRequirements
+    }
+
+    // Call facilitator /verify endpoint. It reserves the cost of the call.
+    try {
+      const verificationResult = await callFacilitator(facilitator, 'verify', JSON.stringify(facilitatorRequest))
+
+      // Handle verification response
+      if (!verificationResult.isValid) {
+        return respond(402, {
+          x402Version,
+          error: verificationResult.invalidReason || 'Payment verification failed',
+          accepts: paymentRequirements,
+          payer: verificationResult.payer || ''
+        })
+      }
+
+      console.log('Payment verified successfully for payer:', verificationResult.payer)
+
+      return {
+        action: 'handle',
+        payment: createPayment({
+          facilitator,
+          facilitatorRequest,
+          paymentRequirements,
+          payer: verificationResult.payer,
+          meter: metered ? createMeter(metered, unitPriceSat) : null
+        })
+      }
+    } catch (error) {
+      console.error('Error during payment verification:', error)
+      return respond(402, {
+        x402Version,
+        error: error.message || 'Payment verification failed',
+        accepts: paymentRequirements
+      })
+    }
+  }
+
+  return {
+    routePatterns,
+    processRequest
+  }
+}
+
+// Result of processRequest() that sends a JSON response.
+function respond (status, body) {
+  return { action: 'respond', status, body }
+}
+
+// The amount a payment header authorizes, in satoshis. Returns null if
+// there is no header, or it can not be read. The header is validated later.
+function getPaidAmountSat (paymentHeader) {
+  if (!paymentHeader) return null
+
+  try {
+    const value = JSON.parse(paymentHeader)?.payload?.authorization?.value
+    return value === undefined ? null : Number(value)
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Creates the state of a verified payment, which the adapter finishes once
+ * the route handler has responded.
+ * @param {Object} facilitator - Configuration for the payment facilitator service
+ * @param {Object} facilitatorRequest - The body sent to /verify
+ * @param {Array} paymentRequirements - The requirements the payment was made for
+ * @param {string} payer - Address of the payer
+ * @param {Object} meter - Meter of a metered route, or null
+ * @returns {Object} Payment with the meter, and the complete(), release()
+ *   and abort() methods. Only the first of them to be called has an effect.
+ */
+function createPayment ({ facilitator, facilitatorRequest, paymentRequirements, payer, meter }) {
+  let isFinished = false
+
+  // Only the first call to finish the payment goes through.
+  const finish = () => {
+    if (isFinished) return false
+    isFinished = true
+    return true
+  }
+
+  // Drop the reservation, so the payer is not charged for a failed call.
+  // If this fails too, the reservation still expires on its own.
+  const releaseReservation = async () => {
+    try {
+      await callFacilitator(facilitator, 'release', JSON.stringify(facilitatorRequest))
+    } catch (error) {
+      console.error('Error releasing the payment reservation:', error)
+    }
+  }
+
+  // Settle the payment, for the units used by a metered call.
+  const settle = async (usage) => {
+    const settleBody = usage
+      ? { ...facilitatorRequest, amountSat: String(usage.amountSat) }
+      : facilitatorRequest
+
+    try {
+      return await callFacilitator(facilitator, 'settle', JSON.stringify(settleBody))
+    } catch (error) {
+      console.error('Error during payment settlement:', error)
+      return {
+        success: false,
+        errorReason: error.message || 'Payment settlement failed'
+      }
+    }
+  }
+
+  return {
+    payer,
+    meter,
+
+    /**
+     * Settles the payment if the handler responded with a 2xx status, and
+     * releases it otherwise.
+     * @param {number} statusCode - Status code of the handler's response
+     * @returns {Promise<Object>} The headers to add to the response, or to
+     *   send as trailers. If settlement failed, also the status and body of
+     *   the 402 response to send in place of the handler's.
+     */
+    async complete (statusCode) {
+      if (!finish()) return { headers: {} }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        await releaseReservation()
+        return { headers: {} }
+      }
+
+      // A metered call that used nothing is not charged.
+      const usage = meter ? meter.getUsage() : null
+      if (usage && !usage.amountSat) {
+        await releaseReservation()
+        return {
+          headers: createPaymentResponseHeaders({ success: true, network: 'bch', payer }, usage)
+        }
+      }
+
+      const settlementResult = await settle(usage)
+
+      if (settlementResult.success) {
+        console.log('Payment settled for payer:', settlementResult.payer)
+        return {
+          headers: createPaymentResponseHeaders(settlementResult, usage)
+        }
+      }
+
+      return {
+        headers: {},
+        status: 402,
+        body: {
+          x402Version: X402_VERSION,
+          error: settlementResult.errorReason || 'Payment settlement failed',
+          accepts: paymentRequirements,
+          payer: settlementResult.payer || ''
+        },
+        errorReason: settlementResult.errorReason
+      }
+    },
+
+    /**
+     * Releases the payment without running complete(), e.g. when the
+     * handler threw.
+     */
+    async release () {
+      if (!finish()) return
+      await releaseReservation()
+    },
+
+    /**
+     * Finishes the payment of a request whose client went away before the
+     * response ended. The part of a metered response that was already sent
+     * is still charged.
+     * @param {number} statusCode - Status code of the response
+     */
+    async abort (statusCode) {
+      if (!finish()) return
+
+      const usage = meter ? meter.getUsage() : null
+      if (usage?.amountSat && statusCode >= 200 && statusCode < 300) {
+        await settle(usage)
+      } else {
+        await releaseReservation()
+      }
+    }
+  }
+}
+
+/**
+ * Creates a stream that passes a streamed response body through, counting it
+ * with the meter of the payment, and completes the payment when the body
+ * ends. The receipt is handed to addTrailers() before the response ends, so
+ * the response must declare the X-PAYMENT-RESPONSE trailer in its headers.
+ * @param {Object} payment - The verified payment
+ * @param {Function} getStatusCode - Returns the status code of the response
+ * @param {Function} addTrailers - Adds trailers to the response
+ * @returns {Transform} The stream to send in place of the body
+ */
+export function createSettlingStream ({ payment, getStatusCode, addTrailers }) {
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      if (payment.meter) payment.meter.countChunk(chunk, encoding)
+      callback(null, chunk)
+    },
+
+    flush (callback) {
+      payment.complete(getStatusCode())
+        .then(completion => {
+          if (completion.status) {
+            console.error('Payment settlement failed after the response was sent:', completion.errorReason)
+          } else if (completion.headers[PAYMENT_RESPONSE_HEADER]) {
+            addTrailers({ [PAYMENT_RESPONSE_HEADER]: completion.headers[PAYMENT_RESPONSE_HEADER] })
+          }
+          callback()
+        })
+        .catch(callback)
+    }
+  })
+}
+
+// Headers that return a settlement receipt to the client.
+function createPaymentResponseHeaders (settlementResult, usage) {
+  return {
+    [PAYMENT_RESPONSE_HEADER]: encodePaymentResponse(settlementResult, usage),
+    'Access-Control-Expose-Headers': PAYMENT_RESPONSE_HEADER
+  }
+}
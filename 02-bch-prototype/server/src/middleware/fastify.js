@@ -0,0 +1,103 @@
+/*
+  Payment middleware for Bitcoin Cash (BCH) network, for Fastify.
+
+  This is the Fastify adapter of the framework-neutral core in ./core.js. It
+  is a plugin that adds hooks to every route of the instance it is
+  registered on:
+
+  - preHandler verifies the payment, or answers with a 402.
+  - onSend settles the payment once the handler has responded, and adds the
+    receipt to the response. A streamed response gets it in a trailer.
+
+  The handler of a metered route reports its units with request.meter.add().
+*/
+
+// Local libraries
+import {
+  createPaymentCore,
+  createSettlingStream,
+  PAYMENT_RESPONSE_HEADER
+} from './core.js'
+
+/**
+ * Creates a payment plugin for Fastify
+ * @param {string} payTo - The BCH address to receive payments
+ * @param {Object} routes - Configuration for protected routes and their payment
+ *   requirements, as for the Express paymentMiddleware. Price functions
+ *   receive the Fastify request.
+ * @param {Object} facilitator - Optional configuration for the payment facilitator service
+ * @param {Object} options - Optional settings, as for the Express paymentMiddleware
+ * @returns {Function} A Fastify plugin
+ */
+export function fastifyPaymentPlugin (payTo, routes, facilitator, options = {}) {
+  const core = createPaymentCore(payTo, routes, facilitator, options)
+
+  async function paymentPlugin (fastify) {
+    fastify.decorateRequest('payment', null)
+    fastify.decorateRequest('meter', null)
+
+    fastify.addHook('preHandler', async (request, reply) => {
+      const result = await core.processRequest({
+        method: request.method,
+        path: request.url.split(/[?#]/)[0],
+        protocol: request.protocol,
+        host: request.host,
+        paymentHeader: request.headers['x-payment'],
+        nativeRequest: request
+      })
+
+      if (result.action === 'respond') {
+        return reply.code(result.status).send(result.body)
+      }
+
+      if (result.action === 'handle') {
+        request.payment = result.payment
+        request.meter = result.payment.meter
+
+        // The client went away before the response ended.
+        reply.raw.on('close', () => {
+          if (!reply.raw.writableFinished) result.payment.abort(reply.statusCode)
+        })
+      }
+    })
+
+    fastify.addHook('onSend', async (request, reply, payload) => {
+      const { payment } = request
+      if (!payment) return payload
+
+      // A streamed response is settled once it has been sent, and the
+      // receipt goes in a trailer. reply.trailer() is not used, as its
+      // trailers are only computed after a piped stream has ended the
+      // response.
+      if (typeof payload?.pipe === 'function') {
+        reply.removeHeader('Content-Length')
+        reply.header('Trailer', PAYMENT_RESPONSE_HEADER)
+        reply.header('Access-Control-Expose-Headers', PAYMENT_RESPONSE_HEADER)
+
+        return payload.pipe(createSettlingStream({
+          payment,
+          getStatusCode: () => reply.statusCode,
+          addTrailers: (trailers) => reply.raw.addTrailers(trailers)
+        }))
+      }
+
+      if (payment.meter) payment.meter.countChunk(payload)
+
+      const completion = await payment.complete(reply.statusCode)
+      if (completion.status) {
+        reply.code(completion.status)
+        reply.header('Content-Type', 'application/json; charset=utf-8')
+        return JSON.stringify(completion.body)
+      }
+
+      reply.headers(completion.headers)
+      return payload
+    })
+  }
+
+  // Like fastify-plugin: the hooks apply to the instance the plugin is
+  // registered on, not only to a child context.
+  paymentPlugin[Symbol.for('skip-override')] = true
+
+  return paymentPlugin
+}
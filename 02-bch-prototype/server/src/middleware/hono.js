@@ -0,0 +1,76 @@
+/*
+  Payment middleware for Bitcoin Cash (BCH) network, for Hono.
+
+  This is the Hono adapter of the framework-neutral core in ./core.js. It
+  works on Web Request and Response objects, so it runs wherever Hono runs.
+  The payment is settled once the downstream handler has returned its
+  Response, and the receipt is added to its headers.
+
+  Web Responses have no trailers, so the body of a route metered in bytes
+  is read in full to count it before it is sent. The handler of a route
+  metered in units reports them with c.get('meter').add().
+*/
+
+// Local libraries
+import { createPaymentCore } from './core.js'
+
+/**
+ * Creates a payment middleware for Hono
+ * @param {string} payTo - The BCH address to receive payments
+ * @param {Object} routes - Configuration for protected routes and their payment
+ *   requirements, as for the Express paymentMiddleware. Price functions
+ *   receive the Hono context.
+ * @param {Object} facilitator - Optional configuration for the payment facilitator service
+ * @param {Object} options - Optional settings, as for the Express paymentMiddleware
+ * @returns {Function} A Hono middleware
+ */
+export function honoPaymentMiddleware (payTo, routes, facilitator, options = {}) {
+  const core = createPaymentCore(payTo, routes, facilitator, options)
+
+  return async function paymentMiddleware (c, next) {
+    const url = new URL(c.req.url)
+
+    const result = await core.processRequest({
+      method: c.req.method,
+      path: url.pathname,
+      protocol: url.protocol.replace(/:$/, ''),
+      host: c.req.header('host') || url.host,
+      paymentHeader: c.req.header('X-PAYMENT'),
+      nativeRequest: c
+    })
+
+    if (result.action === 'next') {
+      return next()
+    }
+
+    if (result.action === 'respond') {
+      return c.json(result.body, result.status)
+    }
+
+    const { payment } = result
+    c.set('meter', payment.meter)
+
+    // Hono turns an error thrown by the handler into a 500 response, which
+    // releases the payment below.
+    await next()
+
+    if (payment.meter?.unit === 'bytes' && c.res.body) {
+      const body = await c.res.arrayBuffer()
+      payment.meter.countChunk(Buffer.from(body))
+      c.res = new Response(body, c.res)
+    }
+
+    const completion = await payment.complete(c.res.status)
+    if (completion.status) {
+      c.res = new Response(JSON.stringify(completion.body), {
+        status: completion.status,
+        headers: { 'Content-Type': 'application/json' }
+      })
+      return
+    }
+
+    for (const [name, value] of Object.entries(completion.headers)) {
+      c.header(name, value)
+    }
+  }
+}
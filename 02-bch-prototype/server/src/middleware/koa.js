@@ -0,0 +1,91 @@
+/*
+  Payment middleware for Bitcoin Cash (BCH) network, for Koa.
+
+  This is the Koa adapter of the framework-neutral core in ./core.js. Koa
+  sends the response after every middleware has returned, so the payment is
+  settled right after the downstream handler, and the receipt is added to
+  the response headers. A streamed body is settled once it has been sent,
+  and gets the receipt in a trailer.
+
+  The handler of a metered route reports its units with
+  ctx.state.meter.add().
+*/
+
+// Local libraries
+import {
+  createPaymentCore,
+  createSettlingStream,
+  PAYMENT_RESPONSE_HEADER
+} from './core.js'
+
+/**
+ * Creates a payment middleware for Koa
+ * @param {string} payTo - The BCH address to receive payments
+ * @param {Object} routes - Configuration for protected routes and their payment
+ *   requirements, as for the Express paymentMiddleware. Price functions
+ *   receive the Koa context.
+ * @param {Object} facilitator - Optional configuration for the payment facilitator service
+ * @param {Object} options - Optional settings, as for the Express paymentMiddleware
+ * @returns {Function} A Koa middleware
+ */
+export function koaPaymentMiddleware (payTo, routes, facilitator, options = {}) {
+  const core = createPaymentCore(payTo, routes, facilitator, options)
+
+  return async function paymentMiddleware (ctx, next) {
+    const result = await core.processRequest({
+      method: ctx.method,
+      path: ctx.path,
+      protocol: ctx.protocol,
+      host: ctx.host,
+      paymentHeader: ctx.get('X-PAYMENT'),
+      nativeRequest: ctx
+    })
+
+    if (result.action === 'next') {
+      return next()
+    }
+
+    if (result.action === 'respond') {
+      ctx.status = result.status
+      ctx.body = result.body
+      return
+    }
+
+    const { payment } = result
+    ctx.state.meter = payment.meter
+
+    try {
+      await next()
+    } catch (error) {
+      await payment.release()
+      throw error
+    }
+
+    // A streamed body is settled once it has been sent.
+    const { body } = ctx
+    if (typeof body?.pipe === 'function') {
+      ctx.set('Trailer', PAYMENT_RESPONSE_HEADER)
+      ctx.set('Access-Control-Expose-Headers', PAYMENT_RESPONSE_HEADER)
+      ctx.body = body.pipe(createSettlingStream({
+        payment,
+        getStatusCode: () => ctx.status,
+        addTrailers: (trailers) => ctx.res.addTrailers(trailers)
+      }))
+      return
+    }
+
+    if (payment.meter) {
+      const isRaw = typeof body === 'string' || Buffer.isBuffer(body)
+      payment.meter.countChunk(isRaw || !body ? body : JSON.stringify(body))
+    }
+
+    const completion = await payment.complete(ctx.status)
+    if (completion.status) {
+      ctx.status = completion.status
+      ctx.body = completion.body
+      return
+    }
+
+    ctx.set(completion.headers)
+  }
+}
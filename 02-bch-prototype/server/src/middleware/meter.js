@@ -0,0 +1,94 @@
+/*
+  Usage meter for metered routes of the payment middleware. The price of a
+  metered route is the price of one unit, and its config has a metered
+  object:
+
+  - unit: 'bytes' to count the bytes of the response body, or 'units' for
+    units reported by the handler with meter.add(units). Each framework
+    adapter hands the meter to the handler, e.g. as res.locals.meter in
+    Express.
+  - unitSize: Number of bytes in one unit, when unit is 'bytes' (default 1).
+  - maxUnits: The most units one call may use. The payer authorizes, and the
+    facilitator reserves, the price of maxUnits. Usage above it is not
+    charged.
+*/
+
+export const METERED_UNITS = ['bytes', 'units']
+
+/**
+ * Checks and normalizes the metered config of a route.
+ * @param {Object} metered - The metered config of the route
+ * @returns {Object} The unit, unitSize and maxUnits. Throws if invalid.
+ */
+export function parseMeteredConfig (metered) {
+  const { unit = 'bytes', unitSize = 1, maxUnits } = metered
+
+  if (!METERED_UNITS.includes(unit)) {
+    throw new Error(`Invalid metered unit: ${unit}`)
+  }
+
+  if (!Number.isSafeInteger(unitSize) || unitSize <= 0) {
+    throw new Error(`Invalid metered unitSize: ${unitSize}`)
+  }
+
+  if (!Number.isSafeInteger(maxUnits) || maxUnits <= 0) {
+    throw new Error(`Invalid metered maxUnits: ${maxUnits}`)
+  }
+
+  return {
+    unit,
+    unitSize: unit === 'bytes' ? unitSize : 1,
+    maxUnits
+  }
+}
+
+/**
+ * Creates the meter of one metered call.
+ * @param {Object} metered - Config returned by parseMeteredConfig()
+ * @param {number} unitPriceSat - Price of one unit in satoshis
+ * @returns {Object} Meter with its unit, countChunk() for the body of the
+ *   response, add() for units reported by the handler, and getUsage()
+ */
+export function createMeter (metered, unitPriceSat) {
+  let bytes = 0
+  let reportedUnits = 0
+
+  return {
+    unit: metered.unit,
+
+    // Count a chunk written to the response body.
+    countChunk (chunk, encoding) {
+      if (!chunk || typeof chunk === 'function') return
+
+      bytes += typeof chunk === 'string'
+        ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+        : chunk.length
+    },
+
+    // Add units used by the handler.
+    add (units = 1) {
+      if (!Number.isFinite(units) || units < 0) {
+        throw new Error(`Invalid metered units: ${units}`)
+      }
+
+      reportedUnits += units
+    },
+
+    // Units used so far, capped at maxUnits, and what they cost.
+    getUsage () {
+      const usedUnits = metered.unit === 'bytes'
+        ? Math.ceil(bytes / metered.unitSize)
+        : Math.ceil(reportedUnits)
+      const units = Math.min(usedUnits, metered.maxUnits)
+
+      return {
+        unit: metered.unit,
+        unitSize: metered.unitSize,
+        unitPriceSat,
+        maxUnits: metered.maxUnits,
+        units,
+        amountSat: units * unitPriceSat
+      }
+    }
+  }
+}
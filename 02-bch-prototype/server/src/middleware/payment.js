@@ -1,265 +1,128 @@
 /*
-  Payment middleware for Bitcoin Cash (BCH) network.
+  Payment middleware for Bitcoin Cash (BCH) network, for Express.
+
+  This is the Express adapter of the framework-neutral core in ./core.js.
+  The end of the handler's response is held back until the payment is
+  settled, so the receipt can be added to it. When the handler streams its
+  response, the receipt is sent in an X-PAYMENT-RESPONSE trailer instead.
+  The handler of a metered route reports its units with
+  res.locals.meter.add().
 */
 
-/**
- * Computes route patterns from routes configuration
- * @param {Object} routes - Routes configuration object
- * @returns {Array} Array of route pattern objects with verb, pattern regex, and config
- */
-function computeRoutePatterns (routes) {
-  // Normalize routes - handle both simple price values and full config objects
-  const normalizedRoutes = Object.fromEntries(
-    Object.entries(routes).map(([pattern, value]) => {
-      // Skip the 'network' property if it exists at the root level
-      if (pattern === 'network') {
-        return null
-      }
-      const normalizedValue = typeof value === 'string' || typeof value === 'number'
-        ? { price: value, network: routes.network || 'bch' }
-        : value
-      return [pattern, normalizedValue]
-    }).filter(Boolean)
-  )
-
-  return Object.entries(normalizedRoutes).map(([pattern, routeConfig]) => {
-    // Split pattern into verb and path, defaulting to "*" for verb if not specified
-    const parts = pattern.includes(' ') ? pattern.split(/\s+/) : ['*', pattern]
-    const verb = parts[0] || '*'
-    const path = parts[1] || parts[0]
-
-    if (!path) {
-      throw new Error(`Invalid route pattern: ${pattern}`)
-    }
-
-    // Convert path pattern to regex
-    const regexPattern = `^${
-      path
-        // First escape all special regex characters except * and []
-        .replace(/[$()+.?^{|}]/g, '\\$&')
-        // Then handle our special pattern characters
-        .replace(/\*/g, '.*?') // Make wildcard non-greedy and optional
-        .replace(/\[([^\]]+)\]/g, '[^/]+') // Convert [param] to regex capture
-        .replace(/\//g, '\\/') // Escape slashes
-    }$`
-
-    return {
-      verb: verb.toUpperCase(),
-      pattern: new RegExp(regexPattern, 'i'),
-      config: routeConfig
-    }
-  })
-}
-
-/**
- * Finds the matching route pattern for the given path and method
- * @param {Array} routePatterns - Array of route patterns to search through
- * @param {string} path - The path to match against
- * @param {string} method - The HTTP method to match against
- * @returns {Object|undefined} The matching route pattern or undefined if no match is found
- */
-function findMatchingRoute (routePatterns, path, method) {
-  // Normalize the path:
-  // 1. Remove query parameters and hash fragments
-  // 2. Replace backslashes with forward slashes
-  // 3. Replace multiple consecutive slashes with a single slash
-  // 4. Trim trailing slashes
-  let normalizedPath
-  try {
-    // First split off query parameters and hash fragments
-    const pathWithoutQuery = path.split(/[?#]/)[0]
-
-    // Then decode the path - this needs to happen before any normalization
-    // so encoded characters are properly handled
-    const decodedPath = decodeURIComponent(pathWithoutQuery)
-
-    // Normalize the path (just clean up slashes)
-    normalizedPath = decodedPath
-      .replace(/\\/g, '/') // replace backslashes
-      .replace(/\/+/g, '/') // collapse slashes
-      .replace(/(.+?)\/+$/, '$1') // trim trailing slashes
-  } catch {
-    // If decoding fails (e.g., invalid % encoding), return undefined
-    return undefined
-  }
-
-  // Find matching route pattern
-  const matchingRoutes = routePatterns.filter(({ pattern, verb }) => {
-    const matchesPath = pattern.test(normalizedPath)
-    const upperMethod = method.toUpperCase()
-    const matchesVerb = verb === '*' || upperMethod === verb
-
-    return matchesPath && matchesVerb
-  })
-
-  if (matchingRoutes.length === 0) {
-    return undefined
-  }
-
-  // Use the most specific route (longest path pattern)
-  const matchingRoute = matchingRoutes.reduce((a, b) =>
-    b.pattern.source.length > a.pattern.source.length ? b : a
-  )
-
-  return matchingRoute
-}
+// Local libraries
+import { createPaymentCore, PAYMENT_RESPONSE_HEADER } from './core.js'
 
 /**
  * Creates a payment middleware factory for Express
  * @param {string} payTo - The BCH address to receive payments
- * @param {Object} routes - Configuration for protected routes and their payment requirements
- * @param {Object} facilitator - Optional configuration for the payment facilitator service
+ * @param {Object} routes - Configuration for protected routes and their payment requirements.
+ *   The price of a route is a fixed amount, or an async function that receives
+ *   the Express request and returns the amount in any of the formats of
+ *   ./price.js. A function that returns 0 lets the request through for free.
+ * @param {Object} facilitator - Optional configuration for the payment facilitator service:
+ *   url, and the keyId and secret of the tenant credential used to authenticate
+ *   (auth: 'hmac' to sign each call, the default, or 'apiKey')
+ * @param {Object} options - Optional settings. priceOracle is the PriceOracle
+ *   used to convert USD prices to satoshis, or the config to create one with.
  * @returns {Function} An Express middleware handler
  */
-export function paymentMiddleware (payTo, routes, facilitator) {
-  const x402Version = 1
-
-  // Pre-compile route patterns to regex and extract verbs
-  const routePatterns = computeRoutePatterns(routes)
+export function paymentMiddleware (payTo, routes, facilitator, options = {}) {
+  const core = createPaymentCore(payTo, routes, facilitator, options)
 
   return async function paymentMiddleware (req, res, next) {
-    const matchingRoute = findMatchingRoute(routePatterns, req.path, req.method.toUpperCase())
+    let result
+    try {
+      result = await core.processRequest({
+        method: req.method,
+        path: req.path,
+        protocol: req.protocol,
+        host: req.headers.host,
+        paymentHeader: req.header('X-PAYMENT'),
+        nativeRequest: req
+      })
+    } catch (error) {
+      return next(error)
+    }
 
-    if (!matchingRoute) {
+    if (result.action === 'next') {
       return next()
     }
 
-    const { price, network, config = {} } = matchingRoute.config
-    console.log('paymentMiddleware() price:', price)
-    const {
-      description = '',
-      mimeType = '',
-      maxTimeoutSeconds = 60,
-      discoverable = true
-    } = config
-
-    // Hardcode maxAmountRequired for now (can be made configurable later)
-    const minAmountRequired = 1000 // 1000 satoshis
-
-    // Construct resource URL from request
-    const resource = `${req.protocol}://${req.headers.host}${req.path}`
-
-    // Build payment requirements object
-    const paymentRequirements = [{
-      scheme: 'utxo',
-      network: network || 'bch',
-      minAmountRequired,
-      resource,
-      description,
-      mimeType,
-      payTo,
-      maxTimeoutSeconds,
-      asset: '0x0000000000000000000000000000000000000001',
-      outputSchema: {
-        input: {
-          type: 'http',
-          method: req.method.toUpperCase(),
-          discoverable
-        }
-      },
-      extra: {}
-    }]
-
-    // Check for X-PAYMENT header
-    const payment = req.header('X-PAYMENT')
-
-    if (!payment) {
-      console.log(`Returning 402 with these payment requirements in the X-PAYMENT header: ${JSON.stringify(paymentRequirements, null, 2)}`)
-
-      // Return 402 with payment requirements
-      res.status(402).json({
-        x402Version,
-        error: 'X-PAYMENT header is required',
-        accepts: paymentRequirements
-      })
+    if (result.action === 'respond') {
+      res.status(result.status).json(result.body)
       return
     }
 
-    // Parse X-PAYMENT header (BCH uses JSON string, not base64 like EVM)
-    let decodedPayment
-    try {
-      decodedPayment = JSON.parse(payment)
+    const { payment } = result
+    const { meter } = payment
+    if (meter) res.locals.meter = meter
+
+    // Settle the payment once the handler has responded, and send the
+    // response with the settlement receipt: as headers, or as trailers if
+    // the handler has already sent the headers of a streamed response.
+    const finishPayment = async (endArgs) => {
+      const completion = await payment.complete(res.statusCode)
 
-      // Validate required fields
-      if (!decodedPayment.x402Version || !decodedPayment.scheme || !decodedPayment.network || !decodedPayment.payload) {
-        throw new Error('Missing required fields in payment payload')
+      if (completion.status && !res.headersSent) {
+        res.status(completion.status).json(completion.body)
+        return
       }
 
-      // Ensure x402Version is set
-      decodedPayment.x402Version = x402Version
-    } catch (error) {
-      console.error('Error parsing X-PAYMENT header:', error)
-      res.status(402).json({
-        x402Version,
-        error: error.message || 'Invalid or malformed payment header',
-        accepts: paymentRequirements
-      })
-      return
+      if (completion.status) {
+        console.error('Payment settlement failed after the response was sent:', completion.errorReason)
+      } else if (!res.headersSent) {
+        res.set(completion.headers)
+      } else if (hasTrailer && completion.headers[PAYMENT_RESPONSE_HEADER]) {
+        res.addTrailers({ [PAYMENT_RESPONSE_HEADER]: completion.headers[PAYMENT_RESPONSE_HEADER] })
+      }
+
+      originalEnd.apply(res, endArgs)
     }
 
-    // Find matching payment requirements based on scheme and network
-    const selectedPaymentRequirements = paymentRequirements.find(req => {
-      return req.scheme === decodedPayment.scheme && req.network === decodedPayment.network
-    })
+    // A streamed response declares the trailer that will carry its receipt,
+    // on every paid route. The body of a metered response is counted as it
+    // is written.
+    const originalWrite = res.write
+    let hasTrailer = false
+    res.write = function (chunk, encoding, ...args) {
+      if (!res.headersSent && res.statusCode >= 200 && res.statusCode < 300 &&
+        !res.getHeader('Content-Length')) {
+        res.setHeader('Trailer', PAYMENT_RESPONSE_HEADER)
+        res.setHeader('Access-Control-Expose-Headers', PAYMENT_RESPONSE_HEADER)
+        hasTrailer = true
+      }
 
-    if (!selectedPaymentRequirements) {
-      res.status(402).json({
-        x402Version,
-        error: 'Unable to find matching payment requirements',
-        accepts: paymentRequirements
-      })
-      return
+      if (meter) meter.countChunk(chunk, encoding)
+      return originalWrite.call(res, chunk, encoding, ...args)
     }
 
-    // Get facilitator URL (default to localhost:4040 if not provided)
-    const facilitatorUrl = facilitator?.url || 'http://localhost:4040/facilitator'
+    // Hold back the end of the response until the payment is settled.
+    const originalEnd = res.end
+    let isEnded = false
+    res.end = function (...endArgs) {
+      res.end = originalEnd
+      res.write = originalWrite
+      isEnded = true
 
-    const url = `${facilitatorUrl}/verify`
-    console.log('facilitator URL:', url)
+      if (meter) meter.countChunk(endArgs[0], endArgs[1])
 
-    // Call facilitator /verify endpoint
-    try {
-      const verifyResponse = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          x402Version,
-          paymentPayload: decodedPayment,
-          paymentRequirements: selectedPaymentRequirements
-        })
+      finishPayment(endArgs).catch(error => {
+        console.error('Error finishing the payment:', error)
+        if (!res.writableEnded) originalEnd.apply(res, endArgs)
       })
-      console.log('verifyResponse:', verifyResponse)
 
-      if (!verifyResponse.ok) {
-        throw new Error(`Facilitator verification failed: ${verifyResponse.status} ${verifyResponse.statusText}`)
-      }
-
-      const verificationResult = await verifyResponse.json()
+      return res
+    }
 
-      // Handle verification response
-      if (!verificationResult.isValid) {
-        res.status(402).json({
-          x402Version,
-          error: verificationResult.invalidReason || 'Payment verification failed',
-          accepts: paymentRequirements,
-          payer: verificationResult.payer || ''
-        })
-        return
-      }
+    // The client went away before the handler responded.
+    res.on('close', () => {
+      if (isEnded) return
+      isEnded = true
+      res.end = originalEnd
+      res.write = originalWrite
 
-      // Payment verified successfully - continue to next middleware
-      console.log('Payment verified successfully for payer:', verificationResult.payer)
-    } catch (error) {
-      console.error('Error during payment verification:', error)
-      res.status(402).json({
-        x402Version,
-        error: error.message || 'Payment verification failed',
-        accepts: paymentRequirements
-      })
-      return
-    }
+      payment.abort(res.statusCode)
+    })
 
     // Continue to the next middleware or route handler
     next()
@@ -0,0 +1,133 @@
+/*
+  Route prices for the payment middleware. A price can be given as:
+
+  - A number of satoshis: 1000, '1000', '1000 sats'
+  - An amount of BCH: '0.00001 BCH'
+  - An amount of USD: '$0.001', '0.001 USD'
+
+  USD prices are converted to satoshis with the rate of a price oracle, each
+  time payment requirements are built. A quote is honored until its
+  quoteExpiresAt time: a payment signed for it is accepted even if the rate
+  has changed since (see listPriceQuotes()).
+*/
+
+const SATS_PER_BCH = 100000000
+
+/**
+ * Parses the price of a route.
+ * @param {number|string} price - The configured price
+ * @returns {Object} The currency ('sat', 'bch' or 'usd') and the amount as a
+ *   decimal string
+ */
+export function parsePrice (price) {
+  if (typeof price === 'number') {
+    price = String(price)
+  }
+
+  if (typeof price !== 'string') {
+    throw new Error(`Invalid price: ${price}`)
+  }
+
+  const text = price.trim()
+
+  let match = text.match(/^\$\s*(\d+(?:\.\d+)?)$/) ||
+    text.match(/^(\d+(?:\.\d+)?)\s*usd$/i)
+  if (match) {
+    if (!(Number(match[1]) > 0)) throw new Error(`Invalid price: ${price}`)
+    return { currency: 'usd', amount: match[1] }
+  }
+
+  match = text.match(/^(\d+(?:\.\d{1,8})?)\s*bch$/i)
+  if (match) {
+    bchToSats(match[1])
+    return { currency: 'bch', amount: match[1] }
+  }
+
+  match = text.match(/^(\d+)(?:\s*sats?)?$/i)
+  if (match && Number(match[1]) > 0) {
+    return { currency: 'sat', amount: match[1] }
+  }
+
+  throw new Error(`Invalid price: ${price}`)
+}
+
+/**
+ * Converts an amount of BCH, as a decimal string, to satoshis without
+ * rounding.
+ * @param {string} amount - Amount of BCH with at most 8 decimals
+ * @returns {number} The amount in satoshis
+ */
+export function bchToSats (amount) {
+  const [whole, fraction = ''] = amount.split('.')
+  const sats = Number(whole) * SATS_PER_BCH + Number(fraction.padEnd(8, '0'))
+
+  if (!Number.isSafeInteger(sats) || sats <= 0) {
+    throw new Error(`Invalid BCH amount: ${amount}`)
+  }
+
+  return sats
+}
+
+/**
+ * Resolves a parsed price to satoshis.
+ * @param {Object} parsedPrice - Price returned by parsePrice()
+ * @param {Object} priceOracle - PriceOracle used for USD prices
+ * @param {Object} [rate] - Rate to convert a USD price with, instead of the
+ *   current rate of the oracle
+ * @returns {Promise<Object>} The price in satoshis (amountSat), and the extra
+ *   fields for the payment requirements. For USD prices these hold the
+ *   conversion rate and the time the quote expires.
+ */
+export async function priceToSats (parsedPrice, priceOracle, rate = null) {
+  const { currency, amount } = parsedPrice
+
+  if (currency === 'sat') {
+    return { amountSat: Number(amount), extra: {} }
+  }
+
+  if (currency === 'bch') {
+    return { amountSat: bchToSats(amount), extra: {} }
+  }
+
+  rate = rate || await priceOracle.getUsdPerBch()
+
+  // Round up, so the resource is never sold below its price. Rounding to a
+  // few decimals first keeps float noise from adding a satoshi.
+  const exactSats = Number(amount) * SATS_PER_BCH / rate.usdPerBch
+  const amountSat = Math.max(1, Math.ceil(Number(exactSats.toFixed(6))))
+
+  return {
+    amountSat,
+    extra: {
+      priceUsd: amount,
+      usdPerBch: rate.usdPerBch,
+      rateSource: rate.source,
+      rateFetchedAt: rate.fetchedAt ? new Date(rate.fetchedAt).toISOString() : null,
+      quoteExpiresAt: rate.expiresAt ? new Date(rate.expiresAt).toISOString() : null
+    }
+  }
+}
+
+/**
+ * Resolves a parsed price to satoshis with the current rate, and with the
+ * rate of every earlier quote that has not expired yet.
+ * @param {Object} parsedPrice - Price returned by parsePrice()
+ * @param {Object} priceOracle - PriceOracle used for USD prices
+ * @returns {Promise<Array>} Quotes as returned by priceToSats(), the current
+ *   one first
+ */
+export async function listPriceQuotes (parsedPrice, priceOracle) {
+  const current = await priceToSats(parsedPrice, priceOracle)
+  if (parsedPrice.currency !== 'usd') return [current]
+
+  // An oracle passed in by the caller may not keep its quotes.
+  const earlierRates = (priceOracle.listQuotedRates?.() || [])
+    .filter(x => x.usdPerBch !== current.extra.usdPerBch)
+
+  const earlier = []
+  for (const rate of earlierRates) {
+    earlier.push(await priceToSats(parsedPrice, priceOracle, rate))
+  }
+
+  return [current, ...earlier]
+}
@@ -0,0 +1,509 @@
+/*
+  End-to-end tests of the Express, Fastify, Koa and Hono adapters of the
+  payment middleware. Every adapter must behave the same.
+
+  Starts a stand-in facilitator that accepts every payment, except the ones
+  whose nonce is 'rejected', and records the endpoints it is called on. Then
+  it builds the same paid API in each framework and runs the same tests
+  against it.
+
+  Express, Fastify and Koa run on random ports. Hono is called through its
+  fetch() handler. Nothing is sent outside of the process.
+
+  The quotes of USD prices do not depend on the framework, and are only
+  tested with Express.
+*/
+
+// Global libraries
+import { assert } from 'chai'
+import express from 'express'
+import Fastify from 'fastify'
+import Koa from 'koa'
+import { Hono } from 'hono'
+import http from 'http'
+import { Readable } from 'stream'
+
+// Local libraries
+import { paymentMiddleware } from '../../src/middleware/payment.js'
+import { fastifyPaymentPlugin } from '../../src/middleware/fastify.js'
+import { koaPaymentMiddleware } from '../../src/middleware/koa.js'
+import { honoPaymentMiddleware } from '../../src/middleware/hono.js'
+import PriceOracle from '../../src/adapters/price-oracle.js'
+
+const PAY_TO = 'bitcoincash:qqlrzp23w08434twmvr4fxw672whkjy0py26r63g3d'
+
+// Reads a query parameter from the native request of any of the frameworks.
+function getQueryParam (nativeRequest, name) {
+  // Hono passes its context, which reads the query with a function.
+  if (typeof nativeRequest.req?.query === 'function') return nativeRequest.req.query(name)
+
+  return nativeRequest.query?.[name]
+}
+
+// Every framework protects these routes. /open is not paid. /priced costs
+// 100 sats per item, and is free for no items.
+const ROUTES = {
+  'GET /weather': '1000 sats',
+  'GET /broken': '1000 sats',
+  'GET /usage': { price: '10 sats', metered: { unit: 'units', maxUnits: 50 } },
+  'GET /stream': { price: '1 sat', metered: { unit: 'bytes', maxUnits: 1000 } },
+  'GET /download': '1000 sats',
+  'GET /priced': {
+    price: async (nativeRequest) => {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      return Number(getQueryParam(nativeRequest, 'items')) * 100
+    }
+  },
+  'GET /price-throws': {
+    price: () => { throw new Error('The price lookup failed') }
+  },
+  'GET /price-rejects': {
+    price: async () => { throw new Error('The price lookup failed') }
+  },
+  network: 'bch'
+}
+
+// Units reported by the /usage handler.
+const USED_UNITS = 3
+
+// Body of the /stream and /download handlers, sent in two chunks.
+const STREAM_CHUNKS = [Buffer.alloc(500, 'x'), Buffer.alloc(250, 'x')]
+
+// Start an app on a random port. Returns the server.
+function listen (app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server))
+  })
+}
+
+// Build an X-PAYMENT header, for the amount in value if one is given. The
+// stand-in facilitator does not check the signature.
+function createPaymentHeader (nonce = 'accepted', value) {
+  return JSON.stringify({
+    x402Version: 1,
+    scheme: 'utxo',
+    network: 'bch',
+    payload: {
+      signature: 'unchecked',
+      authorization: { from: 'bitcoincash:payer', nonce, value }
+    }
+  })
+}
+
+// Stand-in facilitator. Records the endpoint and body of every call.
+function createFacilitator (calls) {
+  const app = express()
+  app.use(express.json())
+
+  app.post('/facilitator/:endpoint', (req, res) => {
+    const { endpoint } = req.params
+    calls.push({ endpoint, body: req.body })
+
+    const { nonce } = req.body.paymentPayload.payload.authorization
+    const payer = 'bitcoincash:payer'
+
+    if (endpoint === 'verify') {
+      return res.json(nonce === 'rejected'
+        ? { isValid: false, invalidReason: 'insufficient_balance', payer }
+        : { isValid: true, payer })
+    }
+
+    if (endpoint === 'settle') {
+      const debitedSat = req.body.amountSat ?? String(req.body.paymentRequirements.minAmountRequired)
+      return res.json({
+        success: true,
+        transaction: 'funding-txid',
+        network: 'bch',
+        payer,
+        receipt: { debitedSat, remainingBalanceSat: String(5000 - Number(debitedSat)) }
+      })
+    }
+
+    res.json({ success: true, payer })
+  })
+
+  return app
+}
+
+// Make a request to a server on a port. Resolves to the status, headers,
+// trailers and parsed body of the response.
+function createRequester (port) {
+  return (path, headers = {}) => new Promise((resolve, reject) => {
+    http.get({ port, path, headers }, (res) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        trailers: res.trailers,
+        body: parseBody(Buffer.concat(chunks).toString())
+      }))
+    }).on('error', reject)
+  })
+}
+
+// Parse a JSON body. Other bodies are returned as text.
+function parseBody (text) {
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    return text
+  }
+}
+
+// Decode an X-PAYMENT-RESPONSE header or trailer.
+function decodePaymentResponse (value) {
+  if (!value) return null
+
+  return JSON.parse(Buffer.from(value, 'base64').toString('utf8'))
+}
+
+// The paid API, in each framework. Each resolves to a function that makes a
+// request, and to a function that stops the server.
+const frameworks = {
+  async Express (facilitator) {
+    const app = express()
+    app.use(paymentMiddleware(PAY_TO, ROUTES, facilitator))
+    app.get('/weather', (req, res) => res.json({ weather: 'sunny' }))
+    app.get('/broken', () => { throw new Error('The handler failed') })
+    app.get('/usage', (req, res) => {
+      res.locals.meter.add(USED_UNITS)
+      res.json({ units: USED_UNITS })
+    })
+    app.get('/stream', (req, res) => Readable.from(STREAM_CHUNKS).pipe(res))
+    app.get('/download', (req, res) => Readable.from(STREAM_CHUNKS).pipe(res))
+    app.get('/priced', (req, res) => res.json({ items: Number(req.query.items) }))
+    app.get('/open', (req, res) => res.json({ open: true }))
+    app.use((err, req, res, next) => res.status(500).json({ error: err.message }))
+
+    const server = await listen(app)
+
+    return {
+      request: createRequester(server.address().port),
+      close: () => server.close()
+    }
+  },
+
+  async Fastify (facilitator) {
+    const app = Fastify()
+    await app.register(fastifyPaymentPlugin(PAY_TO, ROUTES, facilitator))
+    app.get('/weather', async () => ({ weather: 'sunny' }))
+    app.get('/broken', async () => { throw new Error('The handler failed') })
+    app.get('/usage', async (request) => {
+      request.meter.add(USED_UNITS)
+      return { units: USED_UNITS }
+    })
+    app.get('/stream', async (request, reply) => reply.send(Readable.from(STREAM_CHUNKS)))
+    app.get('/download', async (request, reply) => reply.send(Readable.from(STREAM_CHUNKS)))
+    app.get('/priced', async (request) => ({ items: Number(request.query.items) }))
+    app.get('/open', async () => ({ open: true }))
+
+    await app.listen({ port: 0, host: '127.0.0.1' })
+
+    return {
+      request: createRequester(app.server.address().port),
+      close: () => app.close()
+    }
+  },
+
+  async Koa (facilitator) {
+    const app = new Koa()
+    app.silent = true
+    app.use(koaPaymentMiddleware(PAY_TO, ROUTES, facilitator))
+    app.use(async (ctx) => {
+      if (ctx.path === '/weather') ctx.body = { weather: 'sunny' }
+      if (ctx.path === '/broken') throw new Error('The handler failed')
+      if (ctx.path === '/usage') {
+        ctx.state.meter.add(USED_UNITS)
+        ctx.body = { units: USED_UNITS }
+      }
+      if (ctx.path === '/stream') ctx.body = Readable.from(STREAM_CHUNKS)
+      if (ctx.path === '/download') ctx.body = Readable.from(STREAM_CHUNKS)
+      if (ctx.path === '/priced') ctx.body = { items: Number(ctx.query.items) }
+      if (ctx.path === '/open') ctx.body = { open: true }
+    })
+
+    const server = await listen(app)
+
+    return {
+      request: createRequester(server.address().port),
+      close: () => server.close()
+    }
+  },
+
+  async Hono (facilitator) {
+    const app = new Hono()
+    app.use('*', honoPaymentMiddleware(PAY_TO, ROUTES, facilitator))
+    app.get('/weather', (c) => c.json({ weather: 'sunny' }))
+    app.get('/broken', () => { throw new Error('The handler failed') })
+    app.get('/usage', (c) => {
+      c.get('meter').add(USED_UNITS)
+      return c.json({ units: USED_UNITS })
+    })
+    app.get('/stream', () => new Response(Readable.toWeb(Readable.from(STREAM_CHUNKS))))
+    app.get('/download', () => new Response(Readable.toWeb(Readable.from(STREAM_CHUNKS))))
+    app.get('/priced', (c) => c.json({ items: Number(c.req.query('items')) }))
+    app.get('/open', (c) => c.json({ open: true }))
+
+    // Web Responses have no trailers.
+    const request = async (path, headers = {}) => {
+      const response = await app.fetch(new Request(`http://localhost:4021${path}`, { headers }))
+
+      return {
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+        trailers: {},
+        body: parseBody(await response.text())
+      }
+    }
+
+    return {
+      request,
+      close: () => {}
+    }
+  }
+}
+
+describe('#payment-middleware-adapters', () => {
+  const calls = []
+  const logs = { ...console }
+  let facilitatorServer, facilitator
+
+  // Make a request, and return the response along with the facilitator
+  // endpoints it called.
+  const endpointsOf = async (fn) => {
+    calls.length = 0
+    const response = await fn()
+
+    // A release may still be on its way when the response arrives.
+    await new Promise(resolve => setTimeout(resolve, 50))
+    return { response, endpoints: calls.map(x => x.endpoint).join() }
+  }
+
+  before(async () => {
+    // The middleware logs every step.
+    if (!process.env.VERBOSE) {
+      console.log = () => {}
+      console.error = () => {}
+    }
+
+    facilitatorServer = await listen(createFacilitator(calls))
+    facilitator = { url: `http://localhost:${facilitatorServer.address().port}/facilitator` }
+  })
+
+  after(() => {
+    Object.assign(console, logs)
+    facilitatorServer.close()
+  })
+
+  for (const [name, start] of Object.entries(frameworks)) {
+    describe(`#${name}`, () => {
+      let app
+
+      before(async () => {
+        app = await start(facilitator)
+      })
+
+      after(() => app.close())
+
+      it('should return 402 with the payment requirements to an unpaid call', async () => {
+        const unpaid = await app.request('/weather')
+        const [requirements] = unpaid.body.accepts || []
+
+        assert.equal(unpaid.status, 402)
+        assert.equal(requirements?.minAmountRequired, 1000)
+        assert.equal(requirements.payTo, PAY_TO)
+        assert.isTrue(requirements.resource.endsWith('/weather'))
+      })
+
+      it('should return 402 to a malformed payment', async () => {
+        const malformed = await app.request('/weather', { 'X-PAYMENT': 'not json' })
+
+        assert.equal(malformed.status, 402)
+        assert.isString(malformed.body.error)
+      })
+
+      it('should return 402 to a payment rejected by the facilitator', async () => {
+        const rejected = await app.request('/weather', { 'X-PAYMENT': createPaymentHeader('rejected') })
+
+        assert.equal(rejected.status, 402)
+        assert.equal(rejected.body.error, 'insufficient_balance')
+      })
+
+      it('should verify and settle a paid call, and return the receipt', async () => {
+        const paid = await endpointsOf(() => app.request('/weather', { 'X-PAYMENT': createPaymentHeader() }))
+        const receipt = decodePaymentResponse(paid.response.headers['x-payment-response'])
+
+        assert.equal(paid.response.status, 200)
+        assert.equal(paid.response.body.weather, 'sunny')
+        assert.equal(paid.endpoints, 'verify,settle')
+        assert.isTrue(receipt?.success)
+        assert.equal(receipt.receipt.remainingBalanceSat, '4000')
+      })
+
+      it('should release the payment of a failed handler', async () => {
+        const broken = await endpointsOf(() => app.request('/broken', { 'X-PAYMENT': createPaymentHeader() }))
+
+        assert.equal(broken.response.status, 500)
+        assert.equal(broken.endpoints, 'verify,release')
+        assert.isUndefined(broken.response.headers['x-payment-response'])
+      })
+
+      it('should settle the units a metered call used', async () => {
+        const metered = await endpointsOf(() => app.request('/usage', { 'X-PAYMENT': createPaymentHeader() }))
+        const receipt = decodePaymentResponse(metered.response.headers['x-payment-response'])
+        const settleCall = calls.find(x => x.endpoint === 'settle')
+
+        assert.equal(metered.response.status, 200)
+        assert.equal(receipt?.metered?.units, USED_UNITS)
+        assert.equal(settleCall?.body.amountSat, String(USED_UNITS * 10))
+        assert.equal(settleCall.body.paymentRequirements.minAmountRequired, 500)
+      })
+
+      it('should settle the bytes of a streamed response', async () => {
+        const streamed = await endpointsOf(() => app.request('/stream', { 'X-PAYMENT': createPaymentHeader() }))
+        const { headers, trailers, body } = streamed.response
+
+        // A Web Response has no trailers, so Hono reads the whole body and
+        // sends the receipt in a header.
+        const receipt = decodePaymentResponse(name === 'Hono'
+          ? headers['x-payment-response']
+          : trailers['x-payment-response'])
+        const settleCall = calls.find(x => x.endpoint === 'settle')
+
+        assert.equal(streamed.response.status, 200)
+        assert.equal(body.length, 750)
+        assert.equal(streamed.endpoints, 'verify,settle')
+        assert.equal(settleCall.body.amountSat, '750')
+        assert.equal(receipt?.metered?.units, 750)
+      })
+
+      it('should send the receipt of a streamed response on a route that is not metered', async () => {
+        const streamed = await endpointsOf(() => app.request('/download', { 'X-PAYMENT': createPaymentHeader() }))
+        const { headers, trailers, body } = streamed.response
+
+        // Hono settles before the body of a route that is not metered is
+        // sent, so the receipt is a header.
+        const receipt = decodePaymentResponse(name === 'Hono'
+          ? headers['x-payment-response']
+          : trailers['x-payment-response'])
+
+        assert.equal(streamed.response.status, 200)
+        assert.equal(body.length, 750)
+        assert.equal(streamed.endpoints, 'verify,settle')
+        assert.isTrue(receipt?.success)
+        assert.equal(receipt.receipt.remainingBalanceSat, '4000')
+      })
+
+      it('should price each request with the async price function of its route', async () => {
+        const small = await app.request('/priced?items=3')
+        const large = await app.request('/priced?items=5')
+        const paid = await endpointsOf(() => app.request('/priced?items=3', { 'X-PAYMENT': createPaymentHeader() }))
+        const settleCall = calls.find(x => x.endpoint === 'settle')
+
+        assert.equal(small.status, 402)
+        assert.equal(small.body.accepts[0].minAmountRequired, 300)
+        assert.equal(large.body.accepts[0].minAmountRequired, 500)
+        assert.equal(paid.response.status, 200)
+        assert.equal(paid.response.body.items, 3)
+        assert.equal(paid.endpoints, 'verify,settle')
+        assert.equal(settleCall.body.paymentRequirements.minAmountRequired, 300)
+      })
+
+      it('should let a request through for free when its price is 0', async () => {
+        const free = await endpointsOf(() => app.request('/priced?items=0'))
+
+        assert.equal(free.response.status, 200)
+        assert.equal(free.response.body.items, 0)
+        assert.equal(free.endpoints, '')
+      })
+
+      for (const path of ['/price-throws', '/price-rejects']) {
+        it(`should answer ${path} with a server error, and not leave the rejection unhandled`, async () => {
+          const unhandled = []
+          const onUnhandled = (reason) => unhandled.push(reason)
+          process.on('unhandledRejection', onUnhandled)
+
+          let failed
+          try {
+            failed = await endpointsOf(() => app.request(path, { 'X-PAYMENT': createPaymentHeader() }))
+          } finally {
+            process.removeListener('unhandledRejection', onUnhandled)
+          }
+
+          assert.equal(failed.response.status, 500)
+          assert.equal(failed.endpoints, '')
+          assert.isEmpty(unhandled)
+        })
+      }
+
+      it('should pass through a route that is not paid', async () => {
+        const open = await endpointsOf(() => app.request('/open'))
+
+        assert.equal(open.response.status, 200)
+        assert.isTrue(open.response.body.open)
+        assert.equal(open.endpoints, '')
+      })
+    })
+  }
+
+  describe('#usd-quotes', () => {
+    // USD price of one BCH returned by the oracle. The rate is fetched again
+    // on every request.
+    let usdPerBch
+    let quoteSeconds
+    let app
+
+    before(async () => {
+      const priceOracle = new PriceOracle({
+        fetchRate: async () => usdPerBch,
+        cacheSeconds: 0,
+        quoteSeconds: 60
+      })
+      quoteSeconds = (value) => { priceOracle.quoteSeconds = value }
+
+      const expressApp = express()
+      expressApp.use(paymentMiddleware(PAY_TO, { 'GET /usd': '$0.01' }, facilitator, { priceOracle }))
+      expressApp.get('/usd', (req, res) => res.json({ paid: true }))
+
+      const server = await listen(expressApp)
+      app = { request: createRequester(server.address().port), close: () => server.close() }
+    })
+
+    after(() => app.close())
+
+    // Ask for the price of /usd at a rate, then pay the quoted amount after
+    // the rate has changed. Returns the quote and the settle call.
+    const payAfterRateChange = async (quotedRate, paidRate) => {
+      usdPerBch = quotedRate
+      const [quote] = (await app.request('/usd')).body.accepts
+
+      usdPerBch = paidRate
+      const paid = await endpointsOf(() => app.request('/usd', {
+        'X-PAYMENT': createPaymentHeader('accepted', String(quote.minAmountRequired))
+      }))
+
+      return { quote, paid, settleCall: calls.find(x => x.endpoint === 'settle') }
+    }
+
+    it('should honor the amount of a quote that has not expired', async () => {
+      quoteSeconds(60)
+      const { quote, paid, settleCall } = await payAfterRateChange(500, 400)
+
+      assert.equal(quote.minAmountRequired, 2000)
+      assert.isString(quote.extra.quoteExpiresAt)
+      assert.equal(paid.response.status, 200)
+      assert.equal(settleCall.body.paymentRequirements.minAmountRequired, 2000)
+      assert.equal(settleCall.body.paymentRequirements.extra.usdPerBch, 500)
+    })
+
+    it('should price a payment again once its quote has expired', async () => {
+      quoteSeconds(0)
+      const { paid, settleCall } = await payAfterRateChange(250, 200)
+
+      assert.equal(paid.response.status, 200)
+      assert.equal(settleCall.body.paymentRequirements.minAmountRequired, 5000)
+      assert.equal(settleCall.body.paymentRequirements.extra.usdPerBch, 200)
+    })
+  })
+})